@@ -1,19 +1,74 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import FileUpload from './components/FileUpload';
 import ChartTypeSelector from './components/ChartTypeSelector';
+import ColumnMappingPanel from './components/ColumnMappingPanel';
+import ComboSeriesPanel from './components/ComboSeriesPanel';
+import AggregationPanel from './components/AggregationPanel';
+import ReshapePanel from './components/ReshapePanel';
+import ComputedColumnsPanel from './components/ComputedColumnsPanel';
+import RowRulesPanel from './components/RowRulesPanel';
+import RowRuleChips from './components/RowRuleChips';
+import DataGrid from './components/DataGrid';
+import TimeAxisControls from './components/TimeAxisControls';
+import HistogramBinControls from './components/HistogramBinControls';
 import ChartRenderer from './components/ChartRenderer';
 import ThemeSelector from './components/ThemeSelector';
+import PdfExportOptions from './components/PdfExportOptions';
 import ErrorBoundary from './components/ErrorBoundary';
 import { ToastProvider } from './components/ui/Toast';
 import { loadSampleData, getAllSamples } from './utils/sample-data-loader';
 import { testEdgeCases } from './utils/test-edge-cases';
 import { quickCompatibilityCheck } from './utils/browser-testing';
 import { setupAccessibility } from './utils/accessibility-helpers';
+import { validateDataForCharting, suggestEncoding, isEncodingCompatible } from './utils/validators/data-validator';
+import { AGGREGATION_FUNCTIONS, aggregateData } from './utils/transforms/aggregate';
+import { isDateColumn } from './utils/transforms/resample';
+import { DEFAULT_BINNING } from './utils/transforms/distribution';
+import { applyReshape, createReshapeDefaults } from './utils/transforms/reshape';
+import { applyColumnTypes } from './utils/transforms/column-types';
+import { applyComputedColumns } from './utils/transforms/computed-columns';
+import {
+  EMPTY_ROW_RULES,
+  applyRankingRules,
+  applyRowFilters,
+  describeRowRules,
+  removeRowRule
+} from './utils/transforms/filter-sort';
+import { getColumnFormats, deriveColumnFormats } from './utils/transforms/column-formats';
+import { CHART_TYPES, DISTRIBUTION_CHART_TYPES, TIME_SCALE_CHART_TYPES, XY_CHART_TYPES } from './utils/constants';
+import { EMPTY_COMBO_SETTINGS } from './utils/combo-chart';
+import { DEFAULT_PDF_OPTIONS } from './utils/pdf-export';
+import { EMBED_MODES } from './utils/html-embed';
 // Theme reset is now handled by ChartRenderer component
 
+// Group and aggregate rows with the user's settings; on failure the rows are charted as they are
+const aggregateRows = (rows, aggregation) => {
+  if (!rows || !aggregation?.enabled) return rows;
+
+  try {
+    return aggregateData(rows, aggregation);
+  } catch (err) {
+    console.error('Aggregation failed:', err);
+    return rows;
+  }
+};
+
 function App() {
   const [data, setData] = useState(null);
   const [selectedChartType, setSelectedChartType] = useState('bar');
+  const [encoding, setEncoding] = useState(null);
+  const [resample, setResample] = useState({ unit: null, fn: AGGREGATION_FUNCTIONS.SUM });
+  const [comboSettings, setComboSettings] = useState(EMPTY_COMBO_SETTINGS);
+  const [binning, setBinning] = useState(DEFAULT_BINNING);
+  const [columnTypes, setColumnTypes] = useState({});
+  const [numberLocale, setNumberLocale] = useState(null);
+  const [computedColumns, setComputedColumns] = useState([]);
+  const [reshape, setReshape] = useState(null);
+  const [aggregation, setAggregation] = useState(null);
+  const [rowRules, setRowRules] = useState(EMPTY_ROW_RULES);
+  const [columnFormats, setColumnFormats] = useState({});
+  const [pdfOptions, setPdfOptions] = useState(DEFAULT_PDF_OPTIONS);
+  const [embedMode, setEmbedMode] = useState(EMBED_MODES.INTERACTIVE);
   const [selectedTheme, setSelectedTheme] = useState('default');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -36,12 +91,150 @@ function App() {
     testEdgeCases();
   }, []);
 
-  const handleFileUpload = async (fileData) => {
+  // Seed the group-by settings from the validator's analysis of the (reshaped) rows
+  const seedAggregation = (rows, validation = validateDataForCharting(rows)) => {
+    const suggested = validation.aggregation;
+    setAggregation(suggested ? {
+      enabled: suggested.recommended,
+      groupBy: suggested.groupBy,
+      measures: suggested.measures
+    } : null);
+  };
+
+  // Store new data and seed the transform settings from the validator's analysis
+  // (uploads pass in the analysis already run by the parse worker, and the parser's meta)
+  const loadDataset = (newData, validation = validateDataForCharting(newData), meta = {}) => {
+    setData(newData);
+    setColumnTypes({});
+    setNumberLocale(meta.numberLocale || null);
+    setComputedColumns([]);
+    setColumnFormats(getColumnFormats(validation.columnAnalysis));
+    setReshape(createReshapeDefaults(validation.columnAnalysis));
+    seedAggregation(newData, validation);
+    setRowRules(EMPTY_ROW_RULES);
+    setEncoding(null);
+    setResample(current => ({ ...current, unit: null }));
+    setComboSettings(EMPTY_COMBO_SETTINGS);
+  };
+
+  // Data with the user's column type overrides applied (ignored columns dropped); text
+  // read as numbers uses the file's number format
+  const typedData = useMemo(
+    () => applyColumnTypes(data, columnTypes, { numberLocale }),
+    [data, columnTypes, numberLocale]
+  );
+
+  // Typed data plus the user's computed columns, which chart like parsed ones
+  const computedData = useMemo(
+    () => applyComputedColumns(typedData, computedColumns),
+    [typedData, computedColumns]
+  );
+
+  // Data after the wide/long reshape step; invalid settings fall back to the computed rows
+  const reshapedData = useMemo(() => {
+    if (!computedData) return computedData;
+
+    try {
+      return applyReshape(computedData, reshape);
+    } catch (err) {
+      console.error('Reshape failed:', err);
+      return computedData;
+    }
+  }, [computedData, reshape]);
+
+  // Re-seed the grouping for the columns produced by a type, formula and reshape config
+  const reseedAggregation = (nextComputedData, nextReshape) => {
+    try {
+      seedAggregation(applyReshape(nextComputedData, nextReshape));
+    } catch (err) {
+      console.error('Reshape failed:', err);
+      seedAggregation(nextComputedData);
+    }
+  };
+
+  // Reshaping changes the available columns, so the grouping is re-seeded to match
+  const handleReshapeChange = (nextReshape) => {
+    setReshape(nextReshape);
+    reseedAggregation(computedData, nextReshape);
+  };
+
+  // Retyping or ignoring a column changes what can be grouped and measured
+  const handleColumnTypeChange = (column, type) => {
+    const nextColumnTypes = { ...columnTypes, [column]: type };
+    setColumnTypes(nextColumnTypes);
+    reseedAggregation(
+      applyComputedColumns(applyColumnTypes(data, nextColumnTypes, { numberLocale }), computedColumns),
+      reshape
+    );
+  };
+
+  // A new computed column can be grouped or measured like any other
+  const handleComputedColumnsChange = (nextComputedColumns) => {
+    setComputedColumns(nextComputedColumns);
+    reseedAggregation(applyComputedColumns(typedData, nextComputedColumns), reshape);
+  };
+
+  // Edits replace the cell in the uploaded rows and flow through every transform
+  const handleCellEdit = (rowIndex, column, value) => {
+    setData(rows => rows.map((row, index) => (index === rowIndex ? { ...row, [column]: value } : row)));
+  };
+
+  // Data after reshaping, grouping and aggregation, before any filter (column mapping and
+  // the filter builder use it, so they keep their columns when the filters match nothing)
+  const aggregatedData = useMemo(() => aggregateRows(reshapedData, aggregation), [reshapedData, aggregation]);
+
+  // Value and category filters pick rows before grouping, so they can use any column
+  const filteredRows = useMemo(() => applyRowFilters(reshapedData, rowRules), [reshapedData, rowRules]);
+  const filteredAggregatedData = useMemo(
+    () => (filteredRows === reshapedData ? aggregatedData : aggregateRows(filteredRows, aggregation)),
+    [filteredRows, reshapedData, aggregatedData, aggregation]
+  );
+
+  // Filtered groups, ranked (top/bottom N) and sorted
+  const groupedChartData = useMemo(
+    () => applyRankingRules(filteredAggregatedData, rowRules),
+    [filteredAggregatedData, rowRules]
+  );
+
+  // Histograms and box plots show the spread of the individual rows, which grouping would
+  // collapse to one value per category, so they skip aggregation
+  const isDistributionChart = DISTRIBUTION_CHART_TYPES.includes(selectedChartType);
+  const distributionData = useMemo(() => applyRankingRules(filteredRows, rowRules), [filteredRows, rowRules]);
+
+  // Data as it reaches the chart, and the unfiltered rows it is drawn from
+  const chartData = isDistributionChart ? distributionData : groupedChartData;
+  const chartSourceData = isDistributionChart ? reshapedData : aggregatedData;
+  const reshapedColumns = useMemo(() => Object.keys(reshapedData?.[0] || {}), [reshapedData]);
+  const chartSourceColumns = useMemo(() => Object.keys(chartSourceData?.[0] || {}), [chartSourceData]);
+  const rowRulesDescription = describeRowRules(rowRules, reshapedColumns, chartSourceColumns);
+  const isFilteredOut = chartData?.length === 0 && reshapedData?.length > 0;
+
+  // Units and number formats from the file, following columns through reshaping and aggregation
+  const chartColumnFormats = useMemo(() => deriveColumnFormats(columnFormats, {
+    reshape,
+    aggregation: isDistributionChart ? null : aggregation,
+    reshapedColumns
+  }), [columnFormats, reshape, aggregation, isDistributionChart, reshapedColumns]);
+
+  // Keep the user's column mapping while it fits the charted columns, otherwise re-seed it
+  // (filters don't change the columns, so the mapping is based on the unfiltered rows)
+  const activeEncoding = useMemo(() => {
+    if (!chartSourceData) return null;
+    return isEncodingCompatible(encoding, chartSourceData)
+      ? encoding
+      : suggestEncoding(chartSourceData, selectedChartType);
+  }, [encoding, chartSourceData, selectedChartType]);
+
+  // Resampling applies when a date column drives the X axis of a cartesian chart
+  const hasTimeAxis = TIME_SCALE_CHART_TYPES.includes(selectedChartType) &&
+    isDateColumn(chartSourceData, activeEncoding?.x);
+
+  const handleFileUpload = async (fileData, { meta, validation } = {}) => {
     setIsLoading(true);
     setError(null);
     
     try {
-      setData(fileData);
+      loadDataset(fileData, validation, meta);
       // Reset theme to default when new data is uploaded
       setSelectedTheme('default');
     } catch (err) {
@@ -58,7 +251,7 @@ function App() {
     try {
       const sampleResult = await loadSampleData(sampleKey);
       // Extract just the data array from the sample result
-      setData(sampleResult.data);
+      loadDataset(sampleResult.data);
       // Reset theme to default when new data is loaded
       setSelectedTheme('default');
     } catch (err) {
@@ -69,6 +262,15 @@ function App() {
   };
 
   const handleChartTypeChange = (chartType) => {
+    // Scatter and bubble map numeric against numeric and distributions take one value
+    // column, so re-seed the mapping when moving to or from those
+    const getMappingKind = (type) => {
+      if (XY_CHART_TYPES.includes(type)) return 'xy';
+      return DISTRIBUTION_CHART_TYPES.includes(type) ? type : 'series';
+    };
+    if (getMappingKind(chartType) !== getMappingKind(selectedChartType)) {
+      setEncoding(null);
+    }
     setSelectedChartType(chartType);
   };
 
@@ -95,10 +297,22 @@ function App() {
     }
   };
 
+  const handleExportPDF = async () => {
+    if (chartRef.current) {
+      await chartRef.current.exportChart('pdf', `graph-gleam-${selectedChartType}`, pdfOptions);
+    }
+  };
+
+  const handleExportHTML = async () => {
+    if (chartRef.current) {
+      await chartRef.current.exportChart('html', `graph-gleam-${selectedChartType}`);
+    }
+  };
+
   const handleCopyEmbed = async () => {
     if (chartRef.current) {
-      const embedCode = chartRef.current.getEmbedCode();
       try {
+        const embedCode = await chartRef.current.getEmbedCode({ mode: embedMode });
         await navigator.clipboard.writeText(embedCode);
         // You can add a toast notification here if you have a toast system
         console.log('Embed code copied to clipboard');
@@ -178,6 +392,19 @@ function App() {
               </div>
             </section>
 
+            {/* Data Grid */}
+            {data && (
+              <section className="bg-card rounded-lg border border-border shadow-sm p-6">
+                <DataGrid
+                  data={data}
+                  typedData={typedData}
+                  columnTypes={columnTypes}
+                  onColumnTypeChange={handleColumnTypeChange}
+                  onCellEdit={handleCellEdit}
+                />
+              </section>
+            )}
+
             {/* Error Display */}
             {error && (
               <section className="bg-destructive/10 border border-destructive/20 rounded-lg p-4">
@@ -195,17 +422,72 @@ function App() {
               </section>
             )}
 
+            {/* Data Transforms */}
+            {data && reshape && (
+              <section className="bg-card rounded-lg border border-border shadow-sm p-6">
+                <h2 className="text-xl font-semibold text-foreground mb-4">
+                  Prepare Data
+                </h2>
+                <div className="space-y-8">
+                  <ComputedColumnsPanel
+                    data={typedData}
+                    computedColumns={computedColumns}
+                    onComputedColumnsChange={handleComputedColumnsChange}
+                  />
+                  <ReshapePanel
+                    data={computedData}
+                    reshape={reshape}
+                    onReshapeChange={handleReshapeChange}
+                  />
+                  {aggregation && (
+                    <AggregationPanel
+                      data={reshapedData}
+                      aggregation={aggregation}
+                      onAggregationChange={setAggregation}
+                    />
+                  )}
+                  <RowRulesPanel
+                    data={reshapedData}
+                    groupedData={chartSourceData}
+                    rules={rowRules}
+                    onRulesChange={setRowRules}
+                  />
+                </div>
+              </section>
+            )}
+
             {/* Chart Type Selector */}
             {data && (
               <section className="bg-card rounded-lg border border-border shadow-sm p-6">
                 <h2 className="text-xl font-semibold text-foreground mb-4">
                   Choose Chart Type
                 </h2>
-                <ChartTypeSelector
-                  selectedType={selectedChartType}
-                  onTypeChange={handleChartTypeChange}
-                  data={data}
-                />
+                <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+                  <div className="xl:col-span-2">
+                    <ChartTypeSelector
+                      selectedType={selectedChartType}
+                      onTypeChange={handleChartTypeChange}
+                      data={groupedChartData}
+                      distributionData={distributionData}
+                    />
+                  </div>
+                  <div className="space-y-6">
+                    <ColumnMappingPanel
+                      data={chartSourceData}
+                      chartType={selectedChartType}
+                      encoding={activeEncoding}
+                      onEncodingChange={setEncoding}
+                    />
+                    {selectedChartType === CHART_TYPES.COMBO && (
+                      <ComboSeriesPanel
+                        data={chartData}
+                        encoding={activeEncoding}
+                        comboSettings={comboSettings}
+                        onComboSettingsChange={setComboSettings}
+                      />
+                    )}
+                  </div>
+                </div>
               </section>
             )}
 
@@ -217,16 +499,52 @@ function App() {
                     Visualization
                   </h2>
                   <div className="text-sm text-muted-foreground">
-                    {data.length} data points
+                    {chartData.length === chartSourceData.length
+                      ? `${chartData.length} data points`
+                      : `${chartData.length} of ${chartSourceData.length} data points`}
+                    {filteredRows.length < reshapedData.length && aggregation?.enabled && !isDistributionChart &&
+                      ` (from ${filteredRows.length} of ${reshapedData.length} rows)`}
                   </div>
                 </div>
-                <ChartRenderer
-                  ref={chartRef}
-                  data={data}
-                  chartType={selectedChartType}
-                  themeId={selectedTheme}
-                  isLoading={isLoading}
+                <RowRuleChips
+                  rules={rowRules}
+                  columns={reshapedColumns}
+                  groupedColumns={chartSourceColumns}
+                  onRemove={(rule) => setRowRules(removeRowRule(rowRules, rule))}
+                  className="mb-4"
                 />
+                {hasTimeAxis && (
+                  <div className="mb-4">
+                    <TimeAxisControls resample={resample} onResampleChange={setResample} />
+                  </div>
+                )}
+                {selectedChartType === CHART_TYPES.HISTOGRAM && (
+                  <div className="mb-4">
+                    <HistogramBinControls binning={binning} onBinningChange={setBinning} />
+                  </div>
+                )}
+                {isFilteredOut ? (
+                  <div className="flex items-center justify-center h-64 bg-muted/20 rounded-lg">
+                    <div className="text-center text-muted-foreground">
+                      <div className="text-lg font-semibold mb-2">No Matching Rows</div>
+                      <div className="text-sm">No rows match the filters - remove one to see the chart again</div>
+                    </div>
+                  </div>
+                ) : (
+                  <ChartRenderer
+                    ref={chartRef}
+                    data={chartData}
+                    chartType={selectedChartType}
+                    themeId={selectedTheme}
+                    encoding={activeEncoding}
+                    resample={hasTimeAxis ? resample : null}
+                    comboSettings={comboSettings}
+                    binning={binning}
+                    columnFormats={chartColumnFormats}
+                    dataDescription={rowRulesDescription}
+                    isLoading={isLoading}
+                  />
+                )}
               </section>
             )}
 
@@ -269,16 +587,43 @@ function App() {
                     🎨 SVG Export
                   </button>
                   <button
-                    onClick={handleCopyEmbed}
+                    onClick={handleExportHTML}
                     className="px-4 py-2 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors flex items-center gap-2 text-sm"
-                    title="Copy embed code for the chart"
+                    title="Export a standalone interactive HTML page"
                   >
-                    📋 Copy Embed
+                    🌐 HTML Export
                   </button>
+                  <div className="flex">
+                    <select
+                      value={embedMode}
+                      onChange={(e) => setEmbedMode(e.target.value)}
+                      aria-label="Embed mode"
+                      className="px-3 py-2 bg-background text-foreground border border-border rounded-l-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                    >
+                      <option value={EMBED_MODES.INTERACTIVE}>Interactive</option>
+                      <option value={EMBED_MODES.IMAGE}>Image</option>
+                    </select>
+                    <button
+                      onClick={handleCopyEmbed}
+                      className="px-4 py-2 bg-secondary text-secondary-foreground rounded-r-md border border-l-0 border-border hover:bg-accent hover:text-accent-foreground transition-colors flex items-center gap-2 text-sm"
+                      title={embedMode === EMBED_MODES.INTERACTIVE
+                        ? 'Copy an interactive HTML snippet with tooltips and legend toggling'
+                        : 'Copy a static image embed for the chart'}
+                    >
+                      📋 Copy Embed
+                    </button>
+                  </div>
                 </div>
                 <p className="text-sm text-muted-foreground mt-2">
                   Exported files will include the selected theme styling
                 </p>
+                <div className="mt-4">
+                  <PdfExportOptions
+                    options={pdfOptions}
+                    onChange={setPdfOptions}
+                    onExport={handleExportPDF}
+                  />
+                </div>
               </section>
             )}
 
@@ -0,0 +1,168 @@
+import React, { useMemo } from 'react';
+import { validateDataForCharting } from '../utils/validators/data-validator';
+import { AGGREGATION_FUNCTIONS, AGGREGATION_LABELS, aggregateData } from '../utils/transforms/aggregate';
+
+const AggregationPanel = ({ data, aggregation, onAggregationChange }) => {
+  // Group-by candidates are categories and dates; measures are numeric columns
+  const columns = useMemo(() => {
+    if (!data || data.length === 0) return { groupable: [], numeric: [] };
+
+    const { columnAnalysis = {} } = validateDataForCharting(data);
+    const analysed = Object.values(columnAnalysis);
+
+    return {
+      groupable: analysed
+        .filter(col => col.isCategorical || col.typeAnalysis.primaryType === 'date')
+        .map(col => col.name),
+      numeric: analysed
+        .filter(col => col.isChartable && col.typeAnalysis.primaryType === 'number')
+        .map(col => col.name)
+    };
+  }, [data]);
+
+  const groupCount = useMemo(() => {
+    if (!aggregation?.enabled) return null;
+    try {
+      return aggregateData(data, aggregation).length;
+    } catch (error) {
+      console.error('Aggregation preview failed:', error);
+      return null;
+    }
+  }, [data, aggregation]);
+
+  if (!aggregation || !data || data.length === 0) {
+    return null;
+  }
+
+  const updateAggregation = (changes) => {
+    onAggregationChange({ ...aggregation, ...changes });
+  };
+
+  const handleGroupToggle = (column) => {
+    const groupBy = aggregation.groupBy.includes(column)
+      ? aggregation.groupBy.filter(col => col !== column)
+      : [...aggregation.groupBy, column];
+    updateAggregation({ groupBy });
+  };
+
+  const getMeasureFn = (column) => aggregation.measures.find(m => m.column === column)?.fn || '';
+
+  const handleMeasureChange = (column, fn) => {
+    const others = aggregation.measures.filter(m => m.column !== column);
+    updateAggregation({ measures: fn ? [...others, { column, fn }] : others });
+  };
+
+  const hasRowCount = aggregation.measures.some(m => !m.column);
+
+  const handleRowCountToggle = () => {
+    updateAggregation({
+      measures: hasRowCount
+        ? aggregation.measures.filter(m => m.column)
+        : [...aggregation.measures, { column: null, fn: AGGREGATION_FUNCTIONS.COUNT }]
+    });
+  };
+
+  const selectClassName = 'w-full px-2 py-1 bg-background text-foreground border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary disabled:opacity-50';
+
+  return (
+    <div className="space-y-4" role="group" aria-labelledby="aggregation-heading">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div>
+          <h4 id="aggregation-heading" className="font-medium text-foreground">
+            Group &amp; Aggregate
+          </h4>
+          <p className="text-xs text-muted-foreground mt-1">
+            Collapse repeated labels into one row per group before charting
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-foreground">
+          <input
+            type="checkbox"
+            checked={aggregation.enabled}
+            onChange={(e) => updateAggregation({ enabled: e.target.checked })}
+            className="accent-primary"
+          />
+          Enable grouping
+        </label>
+      </div>
+
+      <fieldset disabled={!aggregation.enabled} className="space-y-4 disabled:opacity-60">
+        {/* Group-by columns */}
+        <div>
+          <div className="block text-sm font-medium text-foreground mb-2">Group By</div>
+          <div className="flex flex-wrap gap-2">
+            {columns.groupable.map(col => {
+              const position = aggregation.groupBy.indexOf(col);
+              return (
+                <label
+                  key={col}
+                  className={`flex items-center gap-2 px-3 py-1 rounded-md border text-sm cursor-pointer transition-colors ${
+                    position >= 0
+                      ? 'border-primary bg-primary/5 text-foreground'
+                      : 'border-border text-muted-foreground hover:bg-muted/50'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={position >= 0}
+                    onChange={() => handleGroupToggle(col)}
+                    className="accent-primary"
+                  />
+                  {col}
+                  {position >= 0 && aggregation.groupBy.length > 1 && (
+                    <span className="text-xs text-muted-foreground">#{position + 1}</span>
+                  )}
+                </label>
+              );
+            })}
+            {columns.groupable.length === 0 && (
+              <p className="text-xs text-muted-foreground">No category or date columns to group by</p>
+            )}
+          </div>
+        </div>
+
+        {/* Measures */}
+        <div>
+          <div className="block text-sm font-medium text-foreground mb-2">Measures</div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {columns.numeric.map(col => (
+              <div key={col}>
+                <label htmlFor={`measure-${col}`} className="block text-xs text-muted-foreground mb-1">
+                  {col}
+                </label>
+                <select
+                  id={`measure-${col}`}
+                  value={getMeasureFn(col)}
+                  onChange={(e) => handleMeasureChange(col, e.target.value)}
+                  className={selectClassName}
+                >
+                  <option value="">Exclude</option>
+                  {Object.values(AGGREGATION_FUNCTIONS).map(fn => (
+                    <option key={fn} value={fn}>{AGGREGATION_LABELS[fn]}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 text-sm text-foreground mt-3">
+            <input
+              type="checkbox"
+              checked={hasRowCount}
+              onChange={handleRowCountToggle}
+              className="accent-primary"
+            />
+            Add a row count per group
+          </label>
+        </div>
+      </fieldset>
+
+      {aggregation.enabled && groupCount !== null && (
+        <p className="text-xs text-muted-foreground">
+          {data.length} rows → {groupCount} {groupCount === 1 ? 'group' : 'groups'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AggregationPanel;
@@ -3,6 +3,7 @@ import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
+  LogarithmicScale,
   PointElement,
   LineElement,
   BarElement,
@@ -11,19 +12,38 @@ import {
   Tooltip,
   Legend,
   Filler,
-  RadialLinearScale
+  RadialLinearScale,
+  TimeScale
 } from 'chart.js';
-import { Bar, Line, Pie, Doughnut, PolarArea, Scatter } from 'react-chartjs-2';
+import 'chartjs-adapter-date-fns';
+import { Bar, Bubble, Line, Pie, Doughnut, PolarArea, Radar, Scatter } from 'react-chartjs-2';
 import { optimizeForPerformance } from '../utils/performance-optimizer';
+import {
+  PERFORMANCE_THRESHOLDS,
+  CHART_TYPES,
+  BAR_CHART_TYPES,
+  STACKED_CHART_TYPES,
+  TIME_SCALE_CHART_TYPES,
+  XY_CHART_TYPES
+} from '../utils/constants';
 import { useToast } from './ui/Toast';
 import LoadingSpinner from './ui/LoadingSpinner';
 import { getCurrentTheme, applyThemeToContainer, resetToDefault, getThemeById } from '../utils/theme-manager';
+import { createSVGBlob } from '../utils/svg-export';
+import { createChartPDF } from '../utils/pdf-export';
+import { EMBED_MODES, buildInteractiveEmbed, buildEmbedDocument, buildImageEmbed } from '../utils/html-embed';
+import { isDateColumn, resampleData, sortByDate } from '../utils/transforms/resample';
+import { DOWNSAMPLE_METHODS } from '../utils/transforms/downsample';
+import { getSharedNumberFormat } from '../utils/transforms/column-formats';
+import { binValues, getNumericValues, summarizeByCategory } from '../utils/transforms/distribution';
+import { COMBO_MARKS, Y_AXES, getAxisScaleOptions, getColumnPeaks, hasMixedMagnitudes, resolveComboSeries } from '../utils/combo-chart';
 import './charts.css';
 
 // Register Chart.js components
 ChartJS.register(
   CategoryScale,
   LinearScale,
+  LogarithmicScale,
   PointElement,
   LineElement,
   BarElement,
@@ -32,19 +52,110 @@ ChartJS.register(
   Tooltip,
   Legend,
   Filler,
-  RadialLinearScale
+  RadialLinearScale,
+  TimeScale
 );
 
-const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId }, ref) => {
+// Chart types whose rows can be downsampled
+const SAMPLED_CHART_TYPES = [...BAR_CHART_TYPES, 'combo', 'line', 'area'];
+
+// Tooltip line for stacked bars: the value and its share of the stack. 100% bars
+// plot shares and keep the values in rawData. The HTML embed carries this as
+// source text, so it may only read from the tooltip context.
+const stackTooltipLabel = (context) => {
+  const { chart, dataset, dataIndex } = context;
+  const isPercent = Array.isArray(dataset.rawData);
+  const value = isPercent ? dataset.rawData[dataIndex] : context.parsed.y;
+  if (value === null || value === undefined) return `${dataset.label}: no value`;
+
+  const total = chart.data.datasets.reduce((sum, other, index) => (
+    chart.isDatasetVisible(index) ? sum + Math.abs(other.data[dataIndex] || 0) : sum
+  ), 0);
+  const share = isPercent ? context.parsed.y : (total ? Math.abs(value) / total : 0);
+  const formatValue = new Intl.NumberFormat(chart.options.locale, dataset.numberFormat);
+  const formatShare = new Intl.NumberFormat(chart.options.locale, { style: 'percent', maximumFractionDigits: 1 });
+  return `${dataset.label}: ${formatValue.format(value)} (${formatShare.format(share)} of stack)`;
+};
+
+// Box plots draw each box from a whisker bar, a quartile bar and a median mark.
+// The whisker and median datasets are marked as parts of the box, so the legend
+// and tooltip only list the box itself (and any outliers).
+const isBoxPlotTooltipItem = (item) => !item.dataset.isBoxPart;
+const isBoxPlotLegendItem = (item, data) => !data.datasets[item.datasetIndex].isBoxPart;
+
+// The median mark spans the quartile bar: a fifth of each category's width
+const boxMedianRadius = (context) => {
+  const { chartArea, data } = context.chart;
+  return chartArea ? (chartArea.width / Math.max(1, data.labels.length)) * 0.2 : 10;
+};
+
+// Five-number summary for a box; outliers show their own value
+const boxPlotTooltipLabel = (context) => {
+  const { chart, dataset, dataIndex } = context;
+  const format = new Intl.NumberFormat(chart.options.locale, dataset.numberFormat);
+  const summary = dataset.summaries?.[dataIndex];
+  if (!summary) return `${dataset.label}: ${format.format(context.parsed.y)}`;
+
+  return [
+    `Median: ${format.format(summary.median)}`,
+    `Quartiles: ${format.format(summary.q1)} – ${format.format(summary.q3)}`,
+    `Whiskers: ${format.format(summary.lowerWhisker)} – ${format.format(summary.upperWhisker)}`,
+    `Outliers: ${summary.outliers.length}`,
+    `Count: ${summary.count}`,
+  ];
+};
+
+// Bubble position in the axes' number formats, plus the size column's value
+const bubbleTooltipLabel = (context) => {
+  const { chart, dataset, raw } = context;
+  const position = `(${chart.scales.x.getLabelForValue(raw.x)}, ${chart.scales.y.getLabelForValue(raw.y)})`;
+  if (!dataset.sizeColumn) return `${dataset.label}: ${position}`;
+
+  const size = raw.size === null ? 'no value' : new Intl.NumberFormat(chart.options.locale, dataset.sizeFormat).format(raw.size);
+  return `${dataset.label}: ${position}, ${dataset.sizeColumn}: ${size}`;
+};
+
+// Radar values in each metric's own format; plotted shares keep the values in rawData
+const radarTooltipLabel = (context) => {
+  const { chart, dataset, dataIndex } = context;
+  const isShare = Array.isArray(dataset.rawData);
+  const value = isShare ? dataset.rawData[dataIndex] : context.parsed.r;
+  const text = `${dataset.label} – ${context.label}: ${new Intl.NumberFormat(chart.options.locale, dataset.numberFormats?.[dataIndex]).format(value)}`;
+  if (!isShare) return text;
+
+  const share = new Intl.NumberFormat(chart.options.locale, { style: 'percent', maximumFractionDigits: 0 }).format(context.parsed.r);
+  return `${text} (${share} of the largest)`;
+};
+
+// Radar charts draw one outline per row, which stops being readable past a dozen
+const MAX_RADAR_ENTITIES = 12;
+
+// Chart.js scale id for each side of a combo chart
+const COMBO_AXIS_IDS = {
+  [Y_AXES.LEFT]: 'y',
+  [Y_AXES.RIGHT]: 'y1'
+};
+
+// date-fns patterns for the tooltip title at each resampling unit
+const TIME_TOOLTIP_FORMATS = {
+  day: 'PP',
+  week: "'Week of' PP",
+  month: 'MMM yyyy',
+  quarter: 'QQQ yyyy',
+  year: 'yyyy'
+};
+
+const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId, encoding, resample, comboSettings, binning, columnFormats, dataDescription }, ref) => {
   const internalChartRef = useRef(null);
   const [error, setError] = useState(null);
   const [exportingFormat, setExportingFormat] = useState(null);
   const [copyingEmbed, setCopyingEmbed] = useState(false);
   const [isThemeSwitching, setIsThemeSwitching] = useState(false);
+  const [showAllPoints, setShowAllPoints] = useState(false);
   const { addToast } = useToast();
 
   // Internal export functions
-  const exportChart = async (format = 'png', filename = 'chart') => {
+  const exportChart = async (format = 'png', filename = 'chart', exportOptions = {}) => {
     try {
       setExportingFormat(format);
       
@@ -70,7 +181,13 @@ const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId },
       
       if (format === 'svg') {
         // Handle SVG export
-        downloadUrl = await exportAsSVG(canvas, finalFilename);
+        downloadUrl = await exportAsSVG();
+      } else if (format === 'html') {
+        // Handle standalone interactive HTML export
+        downloadUrl = await exportAsHTML(exportOptions);
+      } else if (format === 'pdf') {
+        // Handle PDF export
+        downloadUrl = await exportAsPDF(exportOptions);
       } else {
         // Handle PNG/JPEG export
         const quality = format === 'jpeg' ? 0.95 : 1.0;
@@ -121,48 +238,70 @@ const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId },
     return exportCanvas;
   };
 
-  // Export canvas as SVG
-  const exportAsSVG = async (canvas, filename) => {
+  // Export chart as vector SVG by redrawing its config through an SVG context
+  const exportAsSVG = async () => {
     try {
       // Get current theme for metadata
       const currentTheme = getCurrentTheme();
       const themeInfo = currentTheme !== 'default' ? ` (${currentTheme} theme)` : '';
       
-      // Convert canvas to data URL
-      const canvasDataURL = canvas.toDataURL('image/png');
-      
-      // Create SVG wrapper with embedded canvas image
-      const svgString = `<?xml version="1.0" encoding="UTF-8"?>
-<svg width="${canvas.width}" height="${canvas.height}" xmlns="http://www.w3.org/2000/svg">
-  <title>Chart generated by Graph Gleam${themeInfo}</title>
-  <desc>Data visualization chart exported from Graph Gleam</desc>
-  <image width="${canvas.width}" height="${canvas.height}" href="${canvasDataURL}" />
-</svg>`;
+      const svgBlob = createSVGBlob(internalChartRef.current, {
+        title: `Chart generated by Graph Gleam${themeInfo}`,
+        description: ['Data visualization chart exported from Graph Gleam', dataDescription].filter(Boolean).join('. ')
+      });
       
-      // Create blob and URL for download
-      const svgBlob = new Blob([svgString], { type: 'image/svg+xml' });
-      const svgUrl = URL.createObjectURL(svgBlob);
-      
-      return svgUrl;
+      return URL.createObjectURL(svgBlob);
     } catch (error) {
       console.error('SVG export error:', error);
       throw new Error('Failed to export as SVG');
     }
   };
   
+  // Export chart as a PDF page with an optional title block
+  const exportAsPDF = async (pdfOptions) => {
+    try {
+      const { blob, vector } = await createChartPDF(internalChartRef.current, { ...pdfOptions, description: dataDescription });
+      
+      if (pdfOptions.vector !== false && !vector) {
+        addToast('Vector rendering unavailable - PDF contains an image of the chart', 'info');
+      }
+      
+      return URL.createObjectURL(blob);
+    } catch (error) {
+      console.error('PDF export error:', error);
+      throw new Error('Failed to export as PDF');
+    }
+  };
+  
+  // Export chart as a standalone interactive HTML page
+  const exportAsHTML = async (htmlOptions) => {
+    try {
+      const html = await buildEmbedDocument(internalChartRef.current, { themeId, description: dataDescription, ...htmlOptions });
+      const htmlBlob = new Blob([html], { type: 'text/html' });
+      
+      return URL.createObjectURL(htmlBlob);
+    } catch (error) {
+      console.error('HTML export error:', error);
+      throw new Error('Failed to export as HTML');
+    }
+  };
+  
   const getChartInstance = () => {
     return internalChartRef.current;
   };
   
-  const getEmbedCode = () => {
-    if (!internalChartRef.current?.canvas) return '';
+  // Embed code - interactive HTML snippet by default, static <img> as an option
+  const getEmbedCode = async (embedOptions = {}) => {
+    const chart = internalChartRef.current;
+    if (!chart?.canvas) return '';
     
-    const dataURL = internalChartRef.current.canvas.toDataURL();
-    const currentTheme = getCurrentTheme();
-    const themeInfo = currentTheme !== 'default' ? ` (${currentTheme} theme)` : '';
-    const embedHTML = `<img src="${dataURL}" alt="Chart generated by Graph Gleam${themeInfo}" style="max-width: 100%; height: auto;" />`;
+    const { mode = EMBED_MODES.INTERACTIVE, ...snippetOptions } = embedOptions;
     
-    return embedHTML;
+    if (mode === EMBED_MODES.IMAGE) {
+      return buildImageEmbed(chart, { themeId });
+    }
+    
+    return buildInteractiveEmbed(chart, { themeId, description: dataDescription, ...snippetOptions });
   };
 
   // Export methods exposed via ref
@@ -313,29 +452,266 @@ const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId },
     return { labels, datasets };
   };
 
-  const prepareScatterChartData = (data, numericCols, colors) => {
+  // Each series is bars or a line on its own axis; lines draw over the bars
+  const prepareComboChartData = (data, numericCols, categoricalCols, colors, comboSeries) => {
+    const labels = data.map(row => row[categoricalCols[0]] || 'Unknown');
+    const datasets = numericCols.map((col, index) => {
+      const color = colors[index % colors.length];
+      const { mark, axis } = comboSeries[col];
+      const dataset = {
+        label: col,
+        type: mark,
+        yAxisID: COMBO_AXIS_IDS[axis],
+        data: data.map(row => parseFloat(row[col]) || 0),
+        borderColor: color,
+      };
+
+      return mark === COMBO_MARKS.LINE
+        ? { ...dataset, backgroundColor: addTransparency(color, 0.1), borderWidth: 2, fill: false, tension: 0.4, order: 0 }
+        : { ...dataset, backgroundColor: color, borderWidth: 1, order: 1 };
+    });
+
+    return { labels, datasets };
+  };
+
+  const prepareScatterChartData = (data, numericCols, colors, pointEncoding = {}) => {
     if (numericCols.length < 2) {
       throw new Error('Scatter plot requires at least 2 numeric columns');
     }
 
     const xCol = numericCols[0];
     const yCol = numericCols[1];
+    const { size: sizeCol, color: colorCol } = pointEncoding;
+
+    // Scale point radius between 3 and 15px when a size column is mapped
+    const sizeValues = sizeCol ? data.map(row => parseFloat(row[sizeCol]) || 0) : [];
+    const minSize = Math.min(...sizeValues);
+    const sizeRange = Math.max(...sizeValues) - minSize || 1;
+    const getRadius = (rowIndex) => sizeCol
+      ? 3 + ((sizeValues[rowIndex] - minSize) / sizeRange) * 12
+      : 4;
+
+    // One dataset per color category, or a single dataset without one
+    const groups = new Map();
+    data.forEach((row, rowIndex) => {
+      const key = colorCol ? String(row[colorCol] ?? 'Unknown') : `${yCol} vs ${xCol}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(rowIndex);
+    });
 
     return {
-      datasets: [{
-        label: `${yCol} vs ${xCol}`,
-        data: data.map(row => ({
-          x: parseFloat(row[xCol]) || 0,
-          y: parseFloat(row[yCol]) || 0,
+      datasets: [...groups.entries()].map(([label, rowIndexes], index) => ({
+        label,
+        data: rowIndexes.map(rowIndex => ({
+          x: parseFloat(data[rowIndex][xCol]) || 0,
+          y: parseFloat(data[rowIndex][yCol]) || 0,
         })),
-        backgroundColor: colors[0],
+        backgroundColor: colors[index % colors.length],
+        borderColor: colors[index % colors.length],
+        borderWidth: 1,
+        pointRadius: rowIndexes.map(getRadius),
+      }))
+    };
+  };
+
+  // Points sized by a third column: bubble area (not radius) follows its value, so
+  // radii run from 4 to 24px by square root. Color-by splits points into datasets.
+  const prepareBubbleChartData = (data, numericCols, colors, pointEncoding = {}) => {
+    if (numericCols.length < 2) {
+      throw new Error('Bubble chart requires at least 2 numeric columns');
+    }
+
+    const [xCol, yCol] = numericCols;
+    const sizeCol = pointEncoding.size || numericCols[2] || null;
+    const colorCol = pointEncoding.color;
+    const sizePeak = sizeCol ? getColumnPeaks(data, [sizeCol])[sizeCol] : 0;
+
+    const toPoint = (row) => {
+      const size = sizeCol ? parseFloat(row[sizeCol]) : NaN;
+      const hasSize = Number.isFinite(size);
+      return {
+        x: parseFloat(row[xCol]) || 0,
+        y: parseFloat(row[yCol]) || 0,
+        r: hasSize && sizePeak > 0 ? 4 + 20 * Math.sqrt(Math.abs(size) / sizePeak) : 8,
+        size: hasSize ? size : null,
+      };
+    };
+
+    const groups = new Map();
+    data.forEach(row => {
+      const key = colorCol ? String(row[colorCol] ?? 'Unknown') : `${yCol} vs ${xCol}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(toPoint(row));
+    });
+
+    return {
+      datasets: [...groups.entries()].map(([label, points], index) => ({
+        label,
+        sizeColumn: sizeCol,
+        data: points,
+        backgroundColor: addTransparency(colors[index % colors.length], 0.5),
+        borderColor: colors[index % colors.length],
+        borderWidth: 1,
+      }))
+    };
+  };
+
+  // One outline per row across the value columns. Columns of very different sizes
+  // are drawn as a share of their largest value so the small ones don't sit at the centre.
+  const prepareRadarChartData = (data, numericCols, categoricalCols, colors, isShare) => {
+    if (numericCols.length < 3) {
+      throw new Error('Radar chart needs at least 3 value columns to compare');
+    }
+    if (data.length > MAX_RADAR_ENTITIES) {
+      throw new Error(`Radar chart compares up to ${MAX_RADAR_ENTITIES} rows - filter or group the data first (${data.length} rows)`);
+    }
+
+    const peaks = getColumnPeaks(data, numericCols);
+    const datasets = data.map((row, index) => {
+      const color = colors[index % colors.length];
+      const values = numericCols.map(col => parseFloat(row[col]) || 0);
+      return {
+        label: String(row[categoricalCols[0]] ?? `Row ${index + 1}`),
+        data: isShare ? values.map((value, metric) => (peaks[numericCols[metric]] ? value / peaks[numericCols[metric]] : 0)) : values,
+        ...(isShare ? { rawData: values } : {}),
+        borderColor: color,
+        backgroundColor: addTransparency(color, 0.2),
+        pointBackgroundColor: color,
+        borderWidth: 2,
+      };
+    });
+
+    return { labels: numericCols, datasets };
+  };
+
+  const preparePolarAreaChartData = (data, numericCols, categoricalCols, colors) => {
+    const chartData = preparePieChartData(data, numericCols, categoricalCols, colors);
+    const sliceColors = chartData.datasets[0].backgroundColor;
+    chartData.datasets[0] = {
+      ...chartData.datasets[0],
+      // See-through slices keep the radial gridlines visible
+      backgroundColor: sliceColors.map(color => addTransparency(color, 0.6)),
+      borderColor: sliceColors,
+      borderWidth: 1,
+    };
+    return chartData;
+  };
+
+  // Counts per equal-width bin, with the bin edges written in the column's number format
+  const prepareHistogramData = (data, valueCol, colors) => {
+    const bins = binValues(getNumericValues(data, valueCol), binning || undefined);
+    if (bins.length === 0) {
+      throw new Error(`Histogram needs numbers in column "${valueCol}"`);
+    }
+
+    const edgeFormat = columnFormats?.[valueCol];
+    const formatEdge = new Intl.NumberFormat(edgeFormat?.locale, edgeFormat?.format || { maximumFractionDigits: 2 }).format;
+
+    return {
+      labels: bins.map(bin => (bin.start === bin.end
+        ? formatEdge(bin.start)
+        : `${formatEdge(bin.start)} – ${formatEdge(bin.end)}`)),
+      datasets: [{
+        label: 'Count',
+        data: bins.map(bin => bin.count),
+        backgroundColor: addTransparency(colors[0], 0.7),
         borderColor: colors[0],
         borderWidth: 1,
-        pointRadius: 4,
+        // Bins touch, as the ranges do
+        barPercentage: 1,
+        categoryPercentage: 1,
       }]
     };
   };
 
+  // One box per category: floating bars from whisker to whisker and quartile to quartile,
+  // a median mark and outlier points, all on the category axis
+  const prepareBoxPlotData = (data, valueCol, groupCol, colors) => {
+    const summaries = summarizeByCategory(data, valueCol, groupCol);
+    if (summaries.length === 0) {
+      throw new Error(`Box plot needs numbers in column "${valueCol}"`);
+    }
+
+    const color = colors[0];
+    const datasets = [
+      {
+        label: 'Whiskers',
+        isBoxPart: true,
+        data: summaries.map(summary => [summary.lowerWhisker, summary.upperWhisker]),
+        backgroundColor: color,
+        barThickness: 2,
+        grouped: false,
+        order: 2,
+      },
+      {
+        label: valueCol,
+        summaries,
+        data: summaries.map(summary => [summary.q1, summary.q3]),
+        backgroundColor: addTransparency(color, 0.4),
+        borderColor: color,
+        borderWidth: 2,
+        borderSkipped: false,
+        barPercentage: 0.5,
+        grouped: false,
+        order: 1,
+      },
+      {
+        type: 'line',
+        label: 'Median',
+        isBoxPart: true,
+        data: summaries.map(summary => summary.median),
+        showLine: false,
+        pointStyle: 'line',
+        pointRadius: boxMedianRadius,
+        pointHoverRadius: boxMedianRadius,
+        borderColor: color,
+        borderWidth: 3,
+        order: 0,
+      },
+    ];
+
+    const outliers = summaries.flatMap(summary => summary.outliers.map(value => ({ x: summary.label, y: value })));
+    if (outliers.length > 0) {
+      datasets.push({
+        type: 'line',
+        label: 'Outliers',
+        data: outliers,
+        showLine: false,
+        pointRadius: 3,
+        pointHoverRadius: 5,
+        backgroundColor: 'transparent',
+        borderColor: color,
+        borderWidth: 1,
+        order: 0,
+      });
+    }
+
+    return { labels: summaries.map(summary => summary.label), datasets };
+  };
+
+  // Split a single value column into one series per distinct value of seriesBy
+  const applySeriesBy = (chartData, data, labelCol, valueCol, seriesCol, colors, styleDataset) => {
+    const labels = [...new Set(data.map(row => row[labelCol] ?? 'Unknown'))];
+    const seriesValues = [...new Set(data.map(row => row[seriesCol] ?? 'Unknown'))];
+
+    const datasets = seriesValues.map((seriesValue, index) => {
+      const totals = new Map(labels.map(label => [label, null]));
+      data
+        .filter(row => (row[seriesCol] ?? 'Unknown') === seriesValue)
+        .forEach(row => {
+          const label = row[labelCol] ?? 'Unknown';
+          totals.set(label, (totals.get(label) || 0) + (parseFloat(row[valueCol]) || 0));
+        });
+
+      return styleDataset({
+        label: String(seriesValue),
+        data: labels.map(label => totals.get(label)),
+      }, colors[index % colors.length]);
+    });
+
+    return { ...chartData, labels, datasets };
+  };
+
   const getBaseChartOptions = () => {
     return {
       responsive: true,
@@ -375,19 +751,140 @@ const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId },
     };
   };
 
-  const getBarChartOptions = () => {
+  // Grouped bars by default; stacked variants share an axis per stack, 100% bars
+  // run the value axis from 0 to 1 as percentages, horizontal bars swap the axes
+  const getBarChartOptions = (type = CHART_TYPES.BAR) => {
+    const baseOptions = getBaseChartOptions();
+    const isStacked = STACKED_CHART_TYPES.includes(type);
+    const isHorizontal = type === CHART_TYPES.HORIZONTAL_BAR;
+    const valueAxis = isHorizontal ? 'x' : 'y';
+
+    const options = {
+      ...baseOptions,
+      indexAxis: isHorizontal ? 'y' : 'x',
+      scales: {
+        x: { ...baseOptions.scales.x, stacked: isStacked },
+        y: { ...baseOptions.scales.y, stacked: isStacked },
+      },
+    };
+    options.scales[valueAxis] = { ...options.scales[valueAxis], beginAtZero: true };
+
+    if (type === CHART_TYPES.PERCENT_BAR) {
+      options.scales.y = {
+        ...options.scales.y,
+        min: 0,
+        max: 1,
+        ticks: { format: { style: 'percent' } },
+      };
+    }
+
+    if (isStacked) {
+      options.plugins = {
+        ...baseOptions.plugins,
+        tooltip: {
+          ...baseOptions.plugins.tooltip,
+          mode: 'index',
+          intersect: false,
+          callbacks: { label: stackTooltipLabel },
+        },
+      };
+    }
+
+    return options;
+  };
+
+  // Turn each stack into shares of its total; values move to rawData for the tooltip
+  const toPercentOfStack = (chartData) => {
+    const totals = (chartData.labels || []).map((label, index) => chartData.datasets.reduce(
+      (sum, dataset) => sum + Math.abs(dataset.data[index] || 0), 0
+    ));
+
     return {
-      ...getBaseChartOptions(),
+      ...chartData,
+      datasets: chartData.datasets.map(dataset => ({
+        ...dataset,
+        rawData: dataset.data,
+        data: dataset.data.map((value, index) => (
+          value === null || value === undefined ? null : (totals[index] ? Math.abs(value) / totals[index] : 0)
+        )),
+      })),
+    };
+  };
+
+  // One Y axis per side in use, each with its own scale settings. Axes are titled
+  // with their series unless the user named them.
+  const getComboChartOptions = (comboSeries, numericCols) => {
+    const baseOptions = getBaseChartOptions();
+    const scales = { x: baseOptions.scales.x };
+
+    Object.values(Y_AXES).forEach(side => {
+      const columns = numericCols.filter(col => comboSeries[col].axis === side);
+      if (columns.length === 0) return;
+
+      const axisSettings = comboSettings?.axes?.[side];
+      scales[COMBO_AXIS_IDS[side]] = {
+        ...baseOptions.scales.y,
+        ...getAxisScaleOptions(axisSettings),
+        position: side,
+        title: { display: true, text: axisSettings?.title?.trim() || columns.join(', ') },
+        // Gridlines follow the left axis only, so the two sets don't clash
+        grid: side === Y_AXES.RIGHT && scales.y
+          ? { ...baseOptions.scales.y.grid, drawOnChartArea: false }
+          : baseOptions.scales.y.grid,
+      };
+    });
+
+    return {
+      ...baseOptions,
+      interaction: { mode: 'index', intersect: false },
+      scales,
+    };
+  };
+
+  const getHistogramOptions = (valueCol) => {
+    const baseOptions = getBaseChartOptions();
+    return {
+      ...baseOptions,
+      plugins: {
+        ...baseOptions.plugins,
+        legend: { ...baseOptions.plugins.legend, display: false },
+      },
       scales: {
-        ...getBaseChartOptions().scales,
+        x: { ...baseOptions.scales.x, title: { display: true, text: valueCol } },
         y: {
-          ...getBaseChartOptions().scales.y,
+          ...baseOptions.scales.y,
           beginAtZero: true,
+          title: { display: true, text: 'Count' },
+          ticks: { precision: 0 },
         },
       },
     };
   };
 
+  const getBoxPlotOptions = (valueCol) => {
+    const baseOptions = getBaseChartOptions();
+    return {
+      ...baseOptions,
+      interaction: { mode: 'x', intersect: false },
+      plugins: {
+        ...baseOptions.plugins,
+        legend: {
+          ...baseOptions.plugins.legend,
+          labels: { ...baseOptions.plugins.legend.labels, filter: isBoxPlotLegendItem },
+        },
+        tooltip: {
+          ...baseOptions.plugins.tooltip,
+          filter: isBoxPlotTooltipItem,
+          callbacks: { label: boxPlotTooltipLabel },
+        },
+      },
+      scales: {
+        x: baseOptions.scales.x,
+        y: { ...baseOptions.scales.y, title: { display: true, text: valueCol } },
+      },
+    };
+  };
+
   const getLineChartOptions = () => {
     return {
       ...getBaseChartOptions(),
@@ -451,29 +948,227 @@ const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId },
     };
   };
 
+  const getBubbleChartOptions = (xCol, yCol) => {
+    const scatterOptions = getScatterChartOptions();
+    return {
+      ...scatterOptions,
+      plugins: {
+        ...scatterOptions.plugins,
+        tooltip: { ...scatterOptions.plugins.tooltip, callbacks: { label: bubbleTooltipLabel } },
+      },
+      scales: {
+        x: { ...scatterOptions.scales.x, title: { display: true, text: xCol } },
+        y: { ...scatterOptions.scales.y, title: { display: true, text: yCol } },
+      },
+    };
+  };
+
+  // Radial charts use a single r scale in place of x and y
+  const getRadialScale = () => ({
+    beginAtZero: true,
+    grid: { color: 'rgba(0, 0, 0, 0.1)' },
+    angleLines: { color: 'rgba(0, 0, 0, 0.1)' },
+  });
+
+  const getRadarChartOptions = (isShare) => {
+    const baseOptions = getBaseChartOptions();
+    return {
+      ...baseOptions,
+      plugins: {
+        ...baseOptions.plugins,
+        tooltip: { ...baseOptions.plugins.tooltip, callbacks: { label: radarTooltipLabel } },
+      },
+      scales: {
+        r: isShare
+          ? { ...getRadialScale(), max: 1, ticks: { format: { style: 'percent' } } }
+          : getRadialScale(),
+      },
+    };
+  };
+
+  const getPolarAreaChartOptions = () => {
+    return {
+      ...getPieChartOptions(),
+      scales: { r: getRadialScale() },
+    };
+  };
+
+  // Show values as the file wrote them ($45,000, 1.234,56, 12%). Formats are
+  // declarative Intl options (not closures) so they survive the HTML embed.
+  const applyNumberFormats = (chartData, options, type, numericCols) => {
+    const withTicksFormat = (scale, numberFormat) => ({
+      ...scale,
+      ticks: { ...scale?.ticks, format: numberFormat.format },
+    });
+
+    if (XY_CHART_TYPES.includes(type)) {
+      const xFormat = getSharedNumberFormat(columnFormats, [numericCols[0]]);
+      const yFormat = getSharedNumberFormat(columnFormats, [numericCols[1]]);
+      if (xFormat) options.scales.x = withTicksFormat(options.scales.x, xFormat);
+      if (yFormat) options.scales.y = withTicksFormat(options.scales.y, yFormat);
+      // Bubble tooltips format the size value from the dataset
+      const sizeFormat = getSharedNumberFormat(columnFormats, [chartData.datasets[0]?.sizeColumn]);
+      if (sizeFormat) chartData.datasets.forEach(dataset => { dataset.sizeFormat = sizeFormat.format; });
+      const locale = (yFormat || xFormat || sizeFormat)?.locale;
+      if (locale) options.locale = locale;
+      return;
+    }
+
+    if (type === CHART_TYPES.RADAR) {
+      // Each spoke keeps its column's format in the tooltip; the scale only takes
+      // a format the columns share, and shares keep their percent scale
+      const metricFormats = numericCols.map(col => getSharedNumberFormat(columnFormats, [col]));
+      chartData.datasets.forEach(dataset => { dataset.numberFormats = metricFormats.map(format => format?.format); });
+      const locale = metricFormats.find(Boolean)?.locale;
+      if (locale) options.locale = locale;
+      const sharedFormat = getSharedNumberFormat(columnFormats, numericCols);
+      if (sharedFormat && !Array.isArray(chartData.datasets[0]?.rawData)) {
+        options.scales.r = withTicksFormat(options.scales.r, sharedFormat);
+      }
+      return;
+    }
+
+    // Histogram bins are labelled in the column's format at preparation; the axis counts rows
+    if (type === 'histogram') return;
+
+    if (type === 'combo') {
+      // Each axis takes the format its series share; tooltips format through the axis
+      Object.values(COMBO_AXIS_IDS).forEach(axisId => {
+        if (!options.scales[axisId]) return;
+        const axisColumns = chartData.datasets.filter(dataset => dataset.yAxisID === axisId).map(dataset => dataset.label);
+        const axisFormat = getSharedNumberFormat(columnFormats, axisColumns);
+        if (!axisFormat) return;
+        options.scales[axisId] = withTicksFormat(options.scales[axisId], axisFormat);
+        options.locale = options.locale || axisFormat.locale;
+      });
+      return;
+    }
+
+    const isArcChart = type === 'pie' || type === 'doughnut' || type === CHART_TYPES.POLAR_AREA;
+    const valueFormat = getSharedNumberFormat(columnFormats, isArcChart ? [numericCols[0]] : numericCols);
+    if (!valueFormat) return;
+    options.locale = valueFormat.locale;
+
+    if (isArcChart) {
+      // Arc tooltips don't use a scale, so the format rides on the dataset
+      // (polar areas parse each value as { r })
+      chartData.datasets.forEach(dataset => { dataset.numberFormat = valueFormat.format; });
+      options.plugins = {
+        ...options.plugins,
+        tooltip: {
+          ...options.plugins.tooltip,
+          callbacks: {
+            label: (context) => `${context.label}: ${new Intl.NumberFormat(context.chart.options.locale, context.dataset.numberFormat).format(typeof context.parsed === 'number' ? context.parsed : context.parsed.r)}`,
+          },
+        },
+      };
+      if (type === CHART_TYPES.POLAR_AREA) {
+        options.scales.r = withTicksFormat(options.scales.r, valueFormat);
+      }
+    } else if (type === 'box-plot') {
+      // Box tooltips format their summary from the dataset
+      chartData.datasets.forEach(dataset => { dataset.numberFormat = valueFormat.format; });
+      options.scales.y = withTicksFormat(options.scales.y, valueFormat);
+    } else if (BAR_CHART_TYPES.includes(type)) {
+      // Stacked tooltips format values from the dataset; 100% bars keep their percent axis
+      chartData.datasets.forEach(dataset => { dataset.numberFormat = valueFormat.format; });
+      const valueAxis = type === CHART_TYPES.HORIZONTAL_BAR ? 'x' : 'y';
+      if (type !== CHART_TYPES.PERCENT_BAR) {
+        options.scales[valueAxis] = withTicksFormat(options.scales[valueAxis], valueFormat);
+      }
+    } else {
+      options.scales.y = withTicksFormat(options.scales.y, valueFormat);
+    }
+  };
+
+  // Drop encoding channels that point at columns missing from the current data
+  const resolveEncoding = (rawEncoding, columns) => {
+    if (!rawEncoding) return null;
+
+    const keep = (col) => (col && columns.includes(col) ? col : null);
+    return {
+      x: keep(rawEncoding.x),
+      y: (rawEncoding.y || []).filter(col => columns.includes(col)),
+      seriesBy: keep(rawEncoding.seriesBy),
+      size: keep(rawEncoding.size),
+      color: keep(rawEncoding.color),
+    };
+  };
+
   const prepareChartData = (rawData, type) => {
     if (!rawData || rawData.length === 0) {
       throw new Error('No data provided for chart');
     }
 
-    // Optimize data for performance
-    const optimizationResult = optimizeForPerformance(rawData);
-    const optimizedData = optimizationResult.data;
-    
     // Get column names
-    const columns = Object.keys(optimizedData[0] || {});
+    const columns = Object.keys(rawData[0] || {});
     if (columns.length === 0) {
       throw new Error('No columns found in data');
     }
 
-    // Find numeric and categorical columns
-    const numericColumns = columns.filter(col => 
-      typeof optimizedData[0][col] === 'number' || !isNaN(optimizedData[0][col])
+    // Find numeric and categorical columns (dates count as labels, not values)
+    const firstRow = rawData[0];
+    let numericColumns = columns.filter(col => 
+      !(firstRow[col] instanceof Date) && (typeof firstRow[col] === 'number' || !isNaN(firstRow[col]))
     );
-    const categoricalColumns = columns.filter(col => 
-      typeof optimizedData[0][col] === 'string' && isNaN(optimizedData[0][col])
+    let categoricalColumns = columns.filter(col => 
+      firstRow[col] instanceof Date || (typeof firstRow[col] === 'string' && isNaN(firstRow[col]))
     );
 
+    // An explicit encoding from the column mapping panel overrides detection
+    const activeEncoding = resolveEncoding(encoding, columns);
+    if (activeEncoding) {
+      if (XY_CHART_TYPES.includes(type)) {
+        numericColumns = [activeEncoding.x, ...activeEncoding.y].filter(Boolean);
+      } else {
+        if (activeEncoding.y.length > 0) numericColumns = activeEncoding.y;
+        if (activeEncoding.x) categoricalColumns = [activeEncoding.x];
+      }
+    }
+
+    // Date labels go on a time scale (resampled if requested); elsewhere they become readable text
+    const labelColumn = categoricalColumns[0];
+    const hasDateLabels = !XY_CHART_TYPES.includes(type) && isDateColumn(rawData, labelColumn);
+    const useTimeScale = hasDateLabels && TIME_SCALE_CHART_TYPES.includes(type);
+    let sourceData = rawData;
+
+    if (useTimeScale) {
+      const timeSeries = resample?.unit
+        ? resampleData(rawData, {
+          dateColumn: labelColumn,
+          unit: resample.unit,
+          fn: resample.fn,
+          valueColumns: numericColumns,
+          groupBy: activeEncoding?.seriesBy ? [activeEncoding.seriesBy] : []
+        })
+        : sortByDate(rawData, labelColumn);
+      sourceData = timeSeries.map(row => ({ ...row, [labelColumn]: row[labelColumn].getTime() }));
+    } else if (hasDateLabels) {
+      sourceData = rawData.map(row => ({
+        ...row,
+        [labelColumn]: row[labelColumn] instanceof Date ? row[labelColumn].toLocaleDateString() : row[labelColumn]
+      }));
+    }
+
+    if (sourceData.length === 0) {
+      throw new Error(`No valid dates found in column "${labelColumn}"`);
+    }
+
+    // Downsample large line/area/bar data unless the user asked for every point
+    const optimizationResult = optimizeForPerformance(sourceData, {
+      chartType: type,
+      yColumns: numericColumns,
+      xColumn: useTimeScale ? labelColumn : null,
+      groupColumn: activeEncoding?.seriesBy,
+      maxPoints: showAllPoints ? Infinity : PERFORMANCE_THRESHOLDS.MAX_CHART_POINTS
+    });
+    const optimizedData = optimizationResult.data;
+    const sampling = {
+      shown: optimizedData.length,
+      total: optimizationResult.originalLength,
+      method: optimizationResult.method
+    };
+
     // Use memoized theme colors
     const colors = themeColors;
 
@@ -482,9 +1177,19 @@ const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId },
 
     switch (type) {
       case 'bar':
+      case 'stacked-bar':
+      case 'percent-bar':
+      case 'horizontal-bar':
         chartData = prepareBarChartData(optimizedData, numericColumns, categoricalColumns, colors);
-        options = getBarChartOptions();
+        options = getBarChartOptions(type);
+        break;
+      case 'combo': {
+        // Suggested from the rows as given, matching what the combo panel shows
+        const comboSeries = resolveComboSeries(comboSettings, rawData, numericColumns);
+        chartData = prepareComboChartData(optimizedData, numericColumns, categoricalColumns, colors, comboSeries);
+        options = getComboChartOptions(comboSeries, numericColumns);
         break;
+      }
       case 'line':
         chartData = prepareLineChartData(optimizedData, numericColumns, categoricalColumns, colors);
         options = getLineChartOptions();
@@ -502,31 +1207,97 @@ const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId },
         options = getAreaChartOptions();
         break;
       case 'scatter':
-        chartData = prepareScatterChartData(optimizedData, numericColumns, colors);
+        chartData = prepareScatterChartData(optimizedData, numericColumns, colors, activeEncoding || {});
         options = getScatterChartOptions();
         break;
+      case 'bubble':
+        chartData = prepareBubbleChartData(optimizedData, numericColumns, colors, activeEncoding || {});
+        options = getBubbleChartOptions(numericColumns[0], numericColumns[1]);
+        break;
+      case 'radar': {
+        const isShare = hasMixedMagnitudes(optimizedData, numericColumns);
+        chartData = prepareRadarChartData(optimizedData, numericColumns, categoricalColumns, colors, isShare);
+        options = getRadarChartOptions(isShare);
+        break;
+      }
+      case 'polar-area':
+        chartData = preparePolarAreaChartData(optimizedData, numericColumns, categoricalColumns, colors);
+        options = getPolarAreaChartOptions();
+        break;
+      case 'histogram':
+        chartData = prepareHistogramData(optimizedData, numericColumns[0], colors);
+        options = getHistogramOptions(numericColumns[0]);
+        break;
+      case 'box-plot':
+        chartData = prepareBoxPlotData(optimizedData, numericColumns[0], activeEncoding ? activeEncoding.x : null, colors);
+        options = getBoxPlotOptions(numericColumns[0]);
+        break;
       default:
         throw new Error(`Unsupported chart type: ${type}`);
     }
 
-    return { chartData, options };
+    // Series-by splits the first value column into one dataset per category
+    if (activeEncoding?.seriesBy && [...BAR_CHART_TYPES, 'line', 'area'].includes(type)) {
+      const template = chartData.datasets[0] || {};
+      chartData = applySeriesBy(
+        chartData,
+        optimizedData,
+        categoricalColumns[0],
+        numericColumns[0],
+        activeEncoding.seriesBy,
+        colors,
+        (dataset, color) => ({
+          ...template,
+          ...dataset,
+          borderColor: color,
+          backgroundColor: BAR_CHART_TYPES.includes(type) ? color : addTransparency(color, type === 'area' ? 0.3 : 0.1),
+        })
+      );
+    }
+
+    if (type === CHART_TYPES.PERCENT_BAR) {
+      chartData = toPercentOfStack(chartData);
+    }
+
+    if (useTimeScale) {
+      options.scales = {
+        ...options.scales,
+        x: {
+          ...options.scales.x,
+          type: 'time',
+          time: resample?.unit
+            ? {
+              unit: resample.unit,
+              isoWeekday: true,
+              tooltipFormat: TIME_TOOLTIP_FORMATS[resample.unit]
+            }
+            : { tooltipFormat: 'PP' },
+        },
+      };
+    }
+
+    if (columnFormats) {
+      applyNumberFormats(chartData, options, type, numericColumns);
+    }
+
+    return { chartData, options, sampling };
   };
 
   // Memoized chart data preparation for performance
-  const { chartData, chartOptions } = useMemo(() => {
+  const { chartData, chartOptions, sampling } = useMemo(() => {
     if (!data || !chartType) {
-      return { chartData: null, chartOptions: null };
+      return { chartData: null, chartOptions: null, sampling: null };
     }
 
     try {
-      const { chartData: preparedData, options } = prepareChartData(data, chartType);
-      return { chartData: preparedData, chartOptions: options };
+      const { chartData: preparedData, options, sampling: samplingInfo } = prepareChartData(data, chartType);
+      return { chartData: preparedData, chartOptions: options, sampling: samplingInfo };
     } catch (err) {
       console.error('Chart preparation error:', err);
       setError(err.message);
-      return { chartData: null, chartOptions: null };
+      return { chartData: null, chartOptions: null, sampling: null };
     }
-  }, [data, chartType, themeColors]); // Use themeColors instead of themeId for better memoization
+  }, [data, chartType, themeColors, encoding, resample, comboSettings, binning, showAllPoints, columnFormats]); // Use themeColors instead of themeId for better memoization
 
   const renderChart = () => {
     if (!chartData || !chartOptions) {
@@ -541,6 +1312,12 @@ const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId },
 
     switch (chartType) {
       case 'bar':
+      case 'stacked-bar':
+      case 'percent-bar':
+      case 'horizontal-bar':
+      case 'combo':
+      case 'histogram':
+      case 'box-plot':
         return <Bar {...chartProps} />;
       case 'line':
         return <Line {...chartProps} />;
@@ -552,6 +1329,12 @@ const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId },
         return <Line {...chartProps} />;
       case 'scatter':
         return <Scatter {...chartProps} />;
+      case 'bubble':
+        return <Bubble {...chartProps} />;
+      case 'radar':
+        return <Radar {...chartProps} />;
+      case 'polar-area':
+        return <PolarArea {...chartProps} />;
       default:
         return null;
     }
@@ -561,7 +1344,7 @@ const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId },
   const handleCopyEmbed = async () => {
     try {
       setCopyingEmbed(true);
-      const embedCode = getEmbedCode();
+      const embedCode = await getEmbedCode();
       
       if (!embedCode) {
         addToast('No chart available to embed', 'error');
@@ -580,12 +1363,12 @@ const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId },
 
 
 
-  // Clear error when data or chart type changes
+  // Clear error when data, chart type, encoding or resampling changes
   useEffect(() => {
     if (error) {
       setError(null);
     }
-  }, [data, chartType]);
+  }, [data, chartType, encoding, resample]);
 
   if (isLoading) {
     return (
@@ -617,8 +1400,31 @@ const ChartRenderer = React.forwardRef(({ data, chartType, isLoading, themeId },
     );
   }
 
+  // Downsampling applies to line, area and bar charts over the point budget
+  const isSampled = sampling?.method != null;
+  const canSample = showAllPoints && SAMPLED_CHART_TYPES.includes(chartType) &&
+    sampling?.total > PERFORMANCE_THRESHOLDS.MAX_CHART_POINTS;
+
   return (
     <div className="space-y-6">
+      {/* Downsampling notice */}
+      {(isSampled || canSample) && (
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 bg-muted/20 rounded-lg px-4 py-3 text-sm" role="status">
+          <span className="text-muted-foreground">
+            {isSampled
+              ? `Showing ${sampling.shown.toLocaleString()} of ${sampling.total.toLocaleString()} points (${sampling.method === DOWNSAMPLE_METHODS.LTTB ? 'shape-preserving' : 'min/max per bucket'} sampling)`
+              : `Showing all ${sampling.total.toLocaleString()} points - rendering may be slow`}
+          </span>
+          <button
+            type="button"
+            onClick={() => setShowAllPoints(!showAllPoints)}
+            className="px-3 py-1 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm"
+          >
+            {isSampled ? 'Show all points' : 'Downsample'}
+          </button>
+        </div>
+      )}
+
       {/* Chart Container */}
       <div className={`chart-container bg-card rounded-lg border border-border shadow-sm p-6 ${isThemeSwitching ? 'theme-switching' : ''}`}>
         <div className="chart-renderer" style={{ height: '400px', position: 'relative' }}>
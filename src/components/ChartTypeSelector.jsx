@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import LoadingSpinner from './ui/LoadingSpinner';
 import { getChartSuggestions } from '../utils/chart-config';
 
-const ChartTypeSelector = ({ selectedType, onTypeChange, data }) => {
+const ChartTypeSelector = ({ selectedType, onTypeChange, data, distributionData }) => {
   const [suggestions, setSuggestions] = useState([]);
   const [loading, setLoading] = useState(false);
 
@@ -10,7 +10,7 @@ const ChartTypeSelector = ({ selectedType, onTypeChange, data }) => {
     if (data && data.length > 0) {
       setLoading(true);
       try {
-        const chartSuggestions = getChartSuggestions(data);
+        const chartSuggestions = getChartSuggestions(data, distributionData);
         setSuggestions(chartSuggestions);
         
         // Auto-select the best chart type if none is selected
@@ -23,16 +23,44 @@ const ChartTypeSelector = ({ selectedType, onTypeChange, data }) => {
         setLoading(false);
       }
     }
-  }, [data, selectedType, onTypeChange]);
+  }, [data, distributionData, selectedType, onTypeChange]);
 
   const chartTypes = [
     {
       type: 'bar',
-      name: 'Bar Chart',
-      description: 'Compare values across categories',
+      name: 'Grouped Bar Chart',
+      description: 'Compare values across categories, series side by side',
       icon: '📊',
       suitableFor: ['categorical', 'numerical', 'comparison']
     },
+    {
+      type: 'stacked-bar',
+      name: 'Stacked Bar Chart',
+      description: 'Show totals and the parts that make them up',
+      icon: '🧱',
+      suitableFor: ['categorical', 'composition', 'totals']
+    },
+    {
+      type: 'percent-bar',
+      name: '100% Stacked Bar Chart',
+      description: 'Compare the mix of each category as percentages',
+      icon: '💯',
+      suitableFor: ['composition', 'percentages', 'comparison']
+    },
+    {
+      type: 'horizontal-bar',
+      name: 'Horizontal Bar Chart',
+      description: 'Compare categories with long labels or in rank order',
+      icon: '📶',
+      suitableFor: ['categorical', 'ranking', 'long-labels']
+    },
+    {
+      type: 'combo',
+      name: 'Combo Chart',
+      description: 'Mix bars and lines, with a second Y axis for series on a different scale',
+      icon: '📉',
+      suitableFor: ['mixed-units', 'comparison', 'trends']
+    },
     {
       type: 'line',
       name: 'Line Chart',
@@ -61,6 +89,41 @@ const ChartTypeSelector = ({ selectedType, onTypeChange, data }) => {
       icon: '📊',
       suitableFor: ['time-series', 'volume', 'trends']
     },
+    {
+      type: 'bubble',
+      name: 'Bubble Chart',
+      description: 'Plot two measures by position and a third by bubble size',
+      icon: '🫧',
+      suitableFor: ['correlation', 'three-measures', 'comparison']
+    },
+    {
+      type: 'radar',
+      name: 'Radar Chart',
+      description: 'Compare several metrics across a few items',
+      icon: '🕸️',
+      suitableFor: ['multi-metric', 'profiles', 'comparison']
+    },
+    {
+      type: 'polar-area',
+      name: 'Polar Area Chart',
+      description: 'Compare categories by the reach of equal-angle slices',
+      icon: '🎯',
+      suitableFor: ['categorical', 'proportions', 'comparison']
+    },
+    {
+      type: 'histogram',
+      name: 'Histogram',
+      description: 'Show how the values of one column are spread',
+      icon: '🔢',
+      suitableFor: ['distribution', 'frequency', 'numerical']
+    },
+    {
+      type: 'box-plot',
+      name: 'Box Plot',
+      description: 'Compare medians, quartiles and outliers across categories',
+      icon: '📦',
+      suitableFor: ['distribution', 'outliers', 'comparison']
+    },
     {
       type: 'scatter',
       name: 'Scatter Plot',
@@ -93,7 +156,7 @@ const ChartTypeSelector = ({ selectedType, onTypeChange, data }) => {
         {chartTypes.map((chartType) => {
           const suggestion = getSuggestionForType(chartType.type);
           const isSelected = selectedType === chartType.type;
-          const confidence = suggestion?.confidence || 0;
+          const confidence = suggestion?.score || 0;
           
           return (
             <button
@@ -173,7 +236,7 @@ const ChartTypeSelector = ({ selectedType, onTypeChange, data }) => {
               </p>
               {getSuggestionForType(selectedType) && (
                 <p className="text-xs text-muted-foreground mt-1">
-                  AI confidence: {getSuggestionForType(selectedType).confidence}% - {getSuggestionForType(selectedType).reason}
+                  AI confidence: {getSuggestionForType(selectedType).score}% - {getSuggestionForType(selectedType).reason}
                 </p>
               )}
             </div>
@@ -0,0 +1,170 @@
+import React, { useMemo } from 'react';
+import { validateDataForCharting } from '../utils/validators/data-validator';
+import { CHART_TYPES, DISTRIBUTION_CHART_TYPES, XY_CHART_TYPES } from '../utils/constants';
+
+// Which encoding channels each chart type makes use of
+const CHART_CHANNELS = {
+  bar: ['x', 'y', 'seriesBy'],
+  line: ['x', 'y', 'seriesBy'],
+  area: ['x', 'y', 'seriesBy'],
+  combo: ['x', 'y'],
+  pie: ['x', 'y'],
+  doughnut: ['x', 'y'],
+  scatter: ['x', 'y', 'size', 'color'],
+  bubble: ['x', 'y', 'size', 'color'],
+  radar: ['x', 'y'],
+  'polar-area': ['x', 'y'],
+  histogram: ['y'],
+  'box-plot': ['x', 'y']
+};
+
+const ColumnMappingPanel = ({ data, chartType, encoding, onEncodingChange }) => {
+  // Column types come from the same analysis the validator uses for suggestions
+  const columns = useMemo(() => {
+    if (!data || data.length === 0) return { all: [], numeric: [], categorical: [] };
+
+    const { columnAnalysis = {} } = validateDataForCharting(data);
+    const analysed = Object.values(columnAnalysis);
+
+    return {
+      all: analysed.map(col => col.name),
+      numeric: analysed
+        .filter(col => col.isChartable && col.typeAnalysis.primaryType === 'number')
+        .map(col => col.name),
+      categorical: analysed.filter(col => col.isCategorical).map(col => col.name)
+    };
+  }, [data]);
+
+  if (!encoding || columns.all.length === 0) {
+    return null;
+  }
+
+  const channels = CHART_CHANNELS[chartType] || CHART_CHANNELS.bar;
+  const isSingleValue = chartType === 'pie' || chartType === 'doughnut' || chartType === CHART_TYPES.POLAR_AREA;
+  // Scatter and bubble charts plot numeric against numeric
+  const isScatter = XY_CHART_TYPES.includes(chartType);
+  const isBoxPlot = chartType === CHART_TYPES.BOX_PLOT;
+  // Pie slices, scatter points and distributions each plot a single value column
+  const isOneValue = isSingleValue || isScatter || DISTRIBUTION_CHART_TYPES.includes(chartType);
+
+  const updateEncoding = (changes) => {
+    onEncodingChange({ ...encoding, ...changes });
+  };
+
+  const handleSeriesToggle = (column) => {
+    if (isOneValue) {
+      updateEncoding({ y: [column] });
+      return;
+    }
+
+    const y = encoding.y.includes(column)
+      ? encoding.y.filter(col => col !== column)
+      : [...encoding.y, column];
+    updateEncoding({ y });
+  };
+
+  const selectClassName = 'w-full px-3 py-2 bg-background text-foreground border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary';
+
+  const renderOptionalSelect = (channel, label, options) => (
+    <div>
+      <label htmlFor={`encoding-${channel}`} className="block text-sm font-medium text-foreground mb-1">
+        {label}
+      </label>
+      <select
+        id={`encoding-${channel}`}
+        value={encoding[channel] || ''}
+        onChange={(e) => updateEncoding({ [channel]: e.target.value || null })}
+        className={selectClassName}
+      >
+        <option value="">None</option>
+        {options.map(col => (
+          <option key={col} value={col}>{col}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const xOptions = isScatter ? columns.numeric : isBoxPlot ? columns.categorical : columns.all;
+  const yOptions = columns.numeric.filter(col => !isScatter || col !== encoding.x);
+
+  return (
+    <div className="bg-card rounded-lg p-4 border border-border space-y-4" role="group" aria-labelledby="column-mapping-heading">
+      <div>
+        <h4 id="column-mapping-heading" className="font-medium text-foreground">
+          Column Mapping
+        </h4>
+        <p className="text-xs text-muted-foreground mt-1">
+          Choose which columns drive the chart. Unchecked value columns are hidden.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {/* X axis / labels (box plots can group by nothing, histograms bin the value itself) */}
+        {channels.includes('x') && (
+          <div>
+            <label htmlFor="encoding-x" className="block text-sm font-medium text-foreground mb-1">
+              {isSingleValue ? 'Labels' : isBoxPlot ? 'Group By' : chartType === CHART_TYPES.RADAR ? 'Items' : 'X Axis'}
+            </label>
+            <select
+              id="encoding-x"
+              value={encoding.x || ''}
+              onChange={(e) => updateEncoding({ x: e.target.value || null })}
+              className={selectClassName}
+            >
+              {(!encoding.x || isBoxPlot) && <option value="">{isBoxPlot ? 'None' : 'Select a column'}</option>}
+              {xOptions.map(col => (
+                <option key={col} value={col}>{col}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {channels.includes('seriesBy') &&
+          renderOptionalSelect('seriesBy', 'Series By', columns.categorical.filter(col => col !== encoding.x))}
+        {channels.includes('size') && renderOptionalSelect('size', 'Point Size', columns.numeric)}
+        {channels.includes('color') && renderOptionalSelect('color', 'Color By', columns.categorical)}
+      </div>
+
+      {/* Value columns */}
+      <fieldset>
+        <legend className="block text-sm font-medium text-foreground mb-2">
+          {isOneValue ? 'Value' : chartType === CHART_TYPES.RADAR ? 'Metrics' : 'Series'}
+          {encoding.seriesBy && !isOneValue && (
+            <span className="ml-2 text-xs text-muted-foreground font-normal">
+              (split by {encoding.seriesBy} - first selected column is used)
+            </span>
+          )}
+        </legend>
+        <div className="flex flex-wrap gap-2">
+          {yOptions.map(col => {
+            const isActive = encoding.y.includes(col);
+            return (
+              <label
+                key={col}
+                className={`flex items-center gap-2 px-3 py-1 rounded-md border text-sm cursor-pointer transition-colors ${
+                  isActive
+                    ? 'border-primary bg-primary/5 text-foreground'
+                    : 'border-border text-muted-foreground hover:bg-muted/50'
+                }`}
+              >
+                <input
+                  type={isOneValue ? 'radio' : 'checkbox'}
+                  name="encoding-y"
+                  checked={isActive}
+                  onChange={() => handleSeriesToggle(col)}
+                  className="accent-primary"
+                />
+                {col}
+              </label>
+            );
+          })}
+        </div>
+        {yOptions.length === 0 && (
+          <p className="text-xs text-muted-foreground">No numeric columns available</p>
+        )}
+      </fieldset>
+    </div>
+  );
+};
+
+export default ColumnMappingPanel;
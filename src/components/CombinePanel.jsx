@@ -0,0 +1,254 @@
+import React, { useState, useMemo } from 'react';
+import {
+  COMBINE_MODES,
+  JOIN_TYPES,
+  JOIN_TYPE_LABELS,
+  combineDatasets,
+  getSharedColumns
+} from '../utils/transforms/combine';
+
+const PREVIEW_ROWS = 5;
+
+const MODE_OPTIONS = [
+  { value: COMBINE_MODES.UNION, label: 'Append rows', description: 'Stack the files, matching columns by name' },
+  { value: COMBINE_MODES.JOIN, label: 'Join on keys', description: 'Match rows that share key values and put their columns side by side' }
+];
+
+const formatCell = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (value instanceof Date) return value.toLocaleDateString();
+  if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(2);
+  return String(value);
+};
+
+const pluralize = (count, noun) => `${count.toLocaleString()} ${noun}${count === 1 ? '' : 's'}`;
+
+const CombinePanel = ({ datasets, initialConfig, onApply, onCancel, disabled }) => {
+  const [config, setConfig] = useState(initialConfig);
+  const [applyError, setApplyError] = useState(null);
+  const sharedColumns = useMemo(() => getSharedColumns(datasets), [datasets]);
+
+  const result = useMemo(() => {
+    try {
+      return { ...combineDatasets(datasets, config), error: null };
+    } catch (error) {
+      return { data: [], meta: { columns: [] }, report: {}, error: error.message };
+    }
+  }, [datasets, config]);
+
+  const updateUnion = (changes) => {
+    setConfig(current => ({ ...current, union: { ...current.union, ...changes } }));
+  };
+
+  const updateJoin = (changes) => {
+    setConfig(current => ({ ...current, join: { ...current.join, ...changes } }));
+  };
+
+  const handleApply = async () => {
+    setApplyError(null);
+    try {
+      await onApply(result, config);
+    } catch (err) {
+      setApplyError(err.message || 'Failed to use the combined data');
+    }
+  };
+
+  // Keep keys in column order rather than click order
+  const handleKeyToggle = (column) => {
+    const keys = config.join.keys.includes(column)
+      ? config.join.keys.filter(key => key !== column)
+      : sharedColumns.filter(col => col === column || config.join.keys.includes(col));
+    updateJoin({ keys });
+  };
+
+  const chipClassName = (active) => `flex items-center gap-2 px-3 py-1 rounded-md border text-sm cursor-pointer transition-colors ${
+    active
+      ? 'border-primary bg-primary/5 text-foreground'
+      : 'border-border text-muted-foreground hover:bg-muted/50'
+  }`;
+
+  const { mismatches = [], steps = [] } = result.report;
+  const previewColumns = result.meta.columns;
+
+  return (
+    <div className="bg-card rounded-lg p-4 border border-border space-y-4" role="group" aria-labelledby="combine-heading">
+      <div>
+        <h4 id="combine-heading" className="font-medium text-foreground">
+          Combine Files
+        </h4>
+        <p className="text-xs text-muted-foreground mt-1">
+          Append files with the same layout, such as monthly exports, or join files that share key columns,
+          such as actuals and targets.
+        </p>
+      </div>
+
+      <ul className="space-y-1 text-sm">
+        {datasets.map(dataset => (
+          <li key={dataset.name} className="flex items-center justify-between gap-3 px-3 py-2 rounded-md border border-border">
+            <span className="text-foreground">{dataset.name}</span>
+            <span className="text-xs text-muted-foreground">
+              {dataset.data.length.toLocaleString()} rows × {dataset.columns.length} columns
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Combine mode">
+        {MODE_OPTIONS.map(option => (
+          <label key={option.value} className={chipClassName(config.mode === option.value)} title={option.description}>
+            <input
+              type="radio"
+              name="combine-mode"
+              value={option.value}
+              checked={config.mode === option.value}
+              onChange={() => setConfig(current => ({ ...current, mode: option.value }))}
+              className="accent-primary"
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+
+      {/* Append */}
+      {config.mode === COMBINE_MODES.UNION && (
+        <div className="space-y-3">
+          <label className="flex items-center gap-2 text-sm text-foreground">
+            <input
+              type="checkbox"
+              checked={config.union.addSource}
+              onChange={(e) => updateUnion({ addSource: e.target.checked })}
+              className="accent-primary"
+            />
+            Add a &quot;Source&quot; column with each row&apos;s file name
+          </label>
+          {mismatches.length > 0 && (
+            <div className="px-3 py-2 bg-muted/50 rounded-md border border-border text-sm">
+              <p className="text-foreground">Not every file has the same columns. Missing values are left empty:</p>
+              <ul className="list-disc list-inside text-xs text-muted-foreground mt-1 space-y-1">
+                {mismatches.map(mismatch => (
+                  <li key={mismatch.dataset}>
+                    {mismatch.dataset} has no {mismatch.missing.map(col => `"${col}"`).join(', ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Join */}
+      {config.mode === COMBINE_MODES.JOIN && (
+        <div className="space-y-3">
+          {sharedColumns.length === 0 ? (
+            <p className="text-sm text-destructive" role="alert">
+              These files have no column in common to join on.
+            </p>
+          ) : (
+            <div>
+              <p className="text-xs text-muted-foreground mb-1">Key columns (rows match when all of these are equal)</p>
+              <div className="flex flex-wrap gap-2">
+                {sharedColumns.map(col => (
+                  <label key={col} className={chipClassName(config.join.keys.includes(col))}>
+                    <input
+                      type="checkbox"
+                      checked={config.join.keys.includes(col)}
+                      onChange={() => handleKeyToggle(col)}
+                      className="accent-primary"
+                    />
+                    {col}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          <div className="sm:w-1/2">
+            <label htmlFor="join-type" className="block text-xs text-muted-foreground mb-1">
+              Keep
+            </label>
+            <select
+              id="join-type"
+              value={config.join.type}
+              onChange={(e) => updateJoin({ type: e.target.value })}
+              className="w-full px-2 py-1 bg-background text-foreground border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              {Object.values(JOIN_TYPES).map(type => (
+                <option key={type} value={type}>{JOIN_TYPE_LABELS[type]}</option>
+              ))}
+            </select>
+          </div>
+          {steps.length > 0 && (
+            <ul className="list-disc list-inside text-xs text-muted-foreground space-y-1">
+              {steps.map(step => (
+                <li key={step.dataset}>
+                  {step.dataset}: {pluralize(step.matchedRows, 'row')} matched
+                  {step.unmatchedLeft > 0 && `, ${pluralize(step.unmatchedLeft, 'row')} without a match`}
+                  {step.unmatchedRight > 0 && `, ${pluralize(step.unmatchedRight, 'row')} only in ${step.dataset}`}
+                  {step.duplicateKeys > 0 && `, ${pluralize(step.duplicateKeys, 'key')} repeated (matching rows are repeated)`}
+                  {step.renamed.map(({ from, to }) => `; "${from}" renamed to "${to}"`).join('')}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {result.error ? (
+        <p className="text-sm text-destructive" role="alert">{result.error}</p>
+      ) : (
+        <div>
+          <p className="text-xs text-muted-foreground mb-2">
+            Preview: {result.data.length.toLocaleString()} rows × {previewColumns.length} columns
+          </p>
+          <div className="overflow-x-auto border border-border rounded-md">
+            <table className="min-w-full text-xs">
+              <thead className="bg-muted/50">
+                <tr>
+                  {previewColumns.map(col => (
+                    <th key={col} scope="col" className="px-3 py-2 text-left font-medium text-foreground whitespace-nowrap">
+                      {col}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {result.data.slice(0, PREVIEW_ROWS).map((row, rowIndex) => (
+                  <tr key={rowIndex} className="border-t border-border">
+                    {previewColumns.map(col => (
+                      <td key={col} className="px-3 py-1.5 text-muted-foreground whitespace-nowrap">
+                        {formatCell(row[col])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {applyError && (
+        <p className="text-sm text-destructive" role="alert">{applyError}</p>
+      )}
+
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleApply}
+          disabled={disabled || Boolean(result.error) || result.data.length === 0}
+          className="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Use Combined Data
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CombinePanel;
@@ -0,0 +1,176 @@
+import React, { useMemo } from 'react';
+import {
+  AXIS_SCALE_LABELS,
+  AXIS_SCALE_TYPES,
+  COMBO_MARK_LABELS,
+  DEFAULT_AXIS_SETTINGS,
+  Y_AXES,
+  Y_AXIS_LABELS,
+  getAxisSettingsError,
+  resolveComboSeries
+} from '../utils/combo-chart';
+
+const ComboSeriesPanel = ({ data, encoding, comboSettings, onComboSettingsChange }) => {
+  const columns = useMemo(() => encoding?.y || [], [encoding]);
+  const series = useMemo(
+    () => resolveComboSeries(comboSettings, data, columns),
+    [comboSettings, data, columns]
+  );
+
+  if (!data || data.length === 0 || columns.length === 0) {
+    return null;
+  }
+
+  const updateSeries = (column, changes) => {
+    onComboSettingsChange({
+      ...comboSettings,
+      series: { ...comboSettings.series, [column]: { ...series[column], ...changes } }
+    });
+  };
+
+  const updateAxis = (side, changes) => {
+    onComboSettingsChange({
+      ...comboSettings,
+      axes: { ...comboSettings.axes, [side]: { ...DEFAULT_AXIS_SETTINGS, ...comboSettings.axes[side], ...changes } }
+    });
+  };
+
+  const hasCustomSeries = columns.some(column => comboSettings.series[column]);
+  const inputClassName = 'w-full px-2 py-1 bg-background text-foreground border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary disabled:opacity-50';
+
+  const renderAxisSettings = (side) => {
+    const axis = { ...DEFAULT_AXIS_SETTINGS, ...comboSettings.axes[side] };
+    const axisColumns = columns.filter(column => series[column].axis === side);
+    const axisError = getAxisSettingsError(axis);
+    const isLogarithmic = axis.scale === AXIS_SCALE_TYPES.LOGARITHMIC;
+    const toBound = (value) => (value === '' ? null : Number(value));
+
+    return (
+      <fieldset key={side} className="space-y-2">
+        <legend className="text-sm font-medium text-foreground">
+          {Y_AXIS_LABELS[side]}
+          {axisColumns.length === 0 && (
+            <span className="ml-2 text-xs text-muted-foreground font-normal">(no series - hidden)</span>
+          )}
+        </legend>
+        <div className="grid grid-cols-2 gap-2">
+          <label className="text-xs text-muted-foreground">
+            Scale
+            <select
+              value={axis.scale}
+              onChange={(e) => updateAxis(side, { scale: e.target.value })}
+              className={`${inputClassName} mt-1`}
+            >
+              {Object.values(AXIS_SCALE_TYPES).map(scale => (
+                <option key={scale} value={scale}>{AXIS_SCALE_LABELS[scale]}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-xs text-muted-foreground">
+            Title
+            <input
+              type="text"
+              value={axis.title}
+              onChange={(e) => updateAxis(side, { title: e.target.value })}
+              placeholder={axisColumns.join(', ') || 'Axis title'}
+              className={`${inputClassName} mt-1`}
+            />
+          </label>
+          <label className="text-xs text-muted-foreground">
+            Minimum
+            <input
+              type="number"
+              value={axis.min ?? ''}
+              onChange={(e) => updateAxis(side, { min: toBound(e.target.value) })}
+              placeholder="Auto"
+              aria-invalid={Boolean(axisError)}
+              className={`${inputClassName} mt-1`}
+            />
+          </label>
+          <label className="text-xs text-muted-foreground">
+            Maximum
+            <input
+              type="number"
+              value={axis.max ?? ''}
+              onChange={(e) => updateAxis(side, { max: toBound(e.target.value) })}
+              placeholder="Auto"
+              aria-invalid={Boolean(axisError)}
+              className={`${inputClassName} mt-1`}
+            />
+          </label>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-foreground">
+          <input
+            type="checkbox"
+            checked={axis.beginAtZero && !isLogarithmic}
+            disabled={isLogarithmic}
+            onChange={(e) => updateAxis(side, { beginAtZero: e.target.checked })}
+            className="accent-primary"
+          />
+          Start at zero
+        </label>
+        {axisError && (
+          <p className="text-xs text-destructive" role="alert">{axisError} - the range is set automatically.</p>
+        )}
+      </fieldset>
+    );
+  };
+
+  return (
+    <div className="bg-card rounded-lg p-4 border border-border space-y-4" role="group" aria-labelledby="combo-series-heading">
+      <div>
+        <h4 id="combo-series-heading" className="font-medium text-foreground">
+          Combo Series
+        </h4>
+        <p className="text-xs text-muted-foreground mt-1">
+          Draw each series as bars or a line, on the left or right axis. Much smaller series start on the
+          right so they don't look flat.
+        </p>
+      </div>
+
+      <ul className="space-y-2">
+        {columns.map(column => (
+          <li key={column} className="grid grid-cols-[1fr_auto_auto] gap-2 items-center">
+            <span className="text-sm text-foreground truncate" title={column}>{column}</span>
+            <select
+              value={series[column].mark}
+              onChange={(e) => updateSeries(column, { mark: e.target.value })}
+              aria-label={`How to draw ${column}`}
+              className={inputClassName}
+            >
+              {Object.entries(COMBO_MARK_LABELS).map(([mark, label]) => (
+                <option key={mark} value={mark}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={series[column].axis}
+              onChange={(e) => updateSeries(column, { axis: e.target.value })}
+              aria-label={`Axis for ${column}`}
+              className={inputClassName}
+            >
+              {Object.values(Y_AXES).map(side => (
+                <option key={side} value={side}>{Y_AXIS_LABELS[side]}</option>
+              ))}
+            </select>
+          </li>
+        ))}
+      </ul>
+
+      {hasCustomSeries && (
+        <button
+          type="button"
+          onClick={() => onComboSettingsChange({ ...comboSettings, series: {} })}
+          className="px-3 py-1 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm"
+        >
+          Use suggested layout
+        </button>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {Object.values(Y_AXES).map(renderAxisSettings)}
+      </div>
+    </div>
+  );
+};
+
+export default ComboSeriesPanel;
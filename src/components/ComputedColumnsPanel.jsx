@@ -0,0 +1,198 @@
+import React, { useState, useMemo, useRef } from 'react';
+import {
+  FORMULA_FUNCTIONS,
+  applyComputedColumns,
+  compileFormula,
+  getComputedColumnErrors,
+  validateComputedColumn
+} from '../utils/transforms/computed-columns';
+
+const PREVIEW_ROWS = 5;
+
+const EMPTY_DRAFT = { name: '', formula: '' };
+
+const formatCell = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (value instanceof Date) return value.toLocaleDateString();
+  if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(2);
+  return String(value);
+};
+
+// Bare names work for simple columns; anything else needs brackets
+const toReference = (column) => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(column) ? column : `[${column}]`);
+
+const nextId = (items) => Math.max(0, ...items.map(item => item.id)) + 1;
+
+const ComputedColumnsPanel = ({ data, computedColumns, onComputedColumnsChange }) => {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const formulaRef = useRef(null);
+
+  // Rows with the existing computed columns, so a new formula can build on them
+  const rows = useMemo(() => applyComputedColumns(data, computedColumns), [data, computedColumns]);
+  const columns = useMemo(() => Object.keys(rows?.[0] || {}), [rows]);
+  const errors = useMemo(() => getComputedColumnErrors(data, computedColumns), [data, computedColumns]);
+
+  // Values of the formula being typed, for the first few rows
+  const draftPreview = useMemo(() => {
+    if (!draft.formula.trim()) return null;
+    try {
+      return compileFormula(draft.formula, columns)(rows).slice(0, PREVIEW_ROWS);
+    } catch {
+      return null;
+    }
+  }, [draft.formula, columns, rows]);
+
+  if (!data || data.length === 0) {
+    return null;
+  }
+
+  const draftError = draft.formula.trim() ? validateComputedColumn(draft, columns) : null;
+
+  const handleAdd = () => {
+    onComputedColumnsChange([
+      ...computedColumns,
+      { id: nextId(computedColumns), name: draft.name.trim(), formula: draft.formula }
+    ]);
+    setDraft(EMPTY_DRAFT);
+  };
+
+  const handleRemove = (id) => {
+    onComputedColumnsChange(computedColumns.filter(computedColumn => computedColumn.id !== id));
+  };
+
+  // Insert a column reference at the cursor
+  const handleInsertColumn = (column) => {
+    const input = formulaRef.current;
+    const reference = toReference(column);
+    const start = input?.selectionStart ?? draft.formula.length;
+    const end = input?.selectionEnd ?? draft.formula.length;
+    setDraft(current => ({
+      ...current,
+      formula: current.formula.slice(0, start) + reference + current.formula.slice(end)
+    }));
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(start + reference.length, start + reference.length);
+    });
+  };
+
+  const inputClassName = 'w-full px-2 py-1 bg-background text-foreground border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className="space-y-4" role="group" aria-labelledby="computed-columns-heading">
+      <div>
+        <h4 id="computed-columns-heading" className="font-medium text-foreground">
+          Computed Columns
+        </h4>
+        <p className="text-xs text-muted-foreground mt-1">
+          Add columns worked out from the others, like a margin (Profit / Revenue) or the change from the previous row.
+          They can be charted like any other column.
+        </p>
+      </div>
+
+      {computedColumns.length > 0 && (
+        <ul className="space-y-2">
+          {computedColumns.map(computedColumn => (
+            <li key={computedColumn.id} className="flex items-start justify-between gap-3 px-3 py-2 rounded-md border border-border">
+              <div className="min-w-0 text-sm">
+                <span className="font-medium text-foreground">{computedColumn.name}</span>
+                <span className="text-muted-foreground"> = </span>
+                <code className="text-xs text-muted-foreground break-all">{computedColumn.formula}</code>
+                {errors[computedColumn.id] && (
+                  <p className="text-xs text-destructive mt-1" role="alert">
+                    Not computed: {errors[computedColumn.id]}
+                  </p>
+                )}
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRemove(computedColumn.id)}
+                aria-label={`Remove ${computedColumn.name}`}
+                className="w-7 h-7 flex-shrink-0 flex items-center justify-center rounded-md text-muted-foreground hover:bg-muted hover:text-foreground transition-colors"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-[1fr_3fr_auto] gap-2 items-start">
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft(current => ({ ...current, name: e.target.value }))}
+          placeholder="New column name"
+          aria-label="New column name"
+          className={inputClassName}
+        />
+        <input
+          ref={formulaRef}
+          type="text"
+          value={draft.formula}
+          onChange={(e) => setDraft(current => ({ ...current, formula: e.target.value }))}
+          placeholder="e.g. ROUND([Profit] / [Revenue] * 100, 1)"
+          aria-label="Formula"
+          aria-invalid={Boolean(draftError)}
+          spellCheck={false}
+          className={`${inputClassName} font-mono`}
+        />
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={!draft.formula.trim() || Boolean(draftError)}
+          className="px-3 py-1 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Add column
+        </button>
+      </div>
+
+      <div>
+        <p className="text-xs text-muted-foreground mb-1">Insert a column</p>
+        <div className="flex flex-wrap gap-1">
+          {columns.map(column => (
+            <button
+              key={column}
+              type="button"
+              onClick={() => handleInsertColumn(column)}
+              className="px-2 py-0.5 rounded-md border border-border text-xs text-muted-foreground hover:bg-muted/50 hover:text-foreground transition-colors"
+            >
+              {column}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {draftError && (
+        <p className="text-sm text-destructive" role="alert">{draftError}</p>
+      )}
+
+      {draftPreview && (
+        <p className="text-xs text-muted-foreground">
+          First rows: {draftPreview.map(formatCell).join(', ')}
+        </p>
+      )}
+
+      <details className="text-xs text-muted-foreground">
+        <summary className="cursor-pointer hover:text-foreground">Formula help</summary>
+        <div className="mt-2 space-y-2">
+          <p>
+            Use <code>+ - * / ^</code> for arithmetic, <code>&amp;</code> to join text, and
+            <code> = &lt;&gt; &lt; &lt;= &gt; &gt;=</code> to compare. Put column names with spaces in
+            brackets, like <code>[Unit Price]</code>, and text in quotes. Blanks, text and division by zero
+            give an empty cell instead of an error.
+          </p>
+          <ul className="space-y-1">
+            {FORMULA_FUNCTIONS.map(fn => (
+              <li key={fn.name}>
+                <code className="text-foreground">{fn.syntax}</code> - {fn.description}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </details>
+    </div>
+  );
+};
+
+export default ComputedColumnsPanel;
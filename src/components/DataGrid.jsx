@@ -0,0 +1,231 @@
+import React, { useState, useMemo } from 'react';
+import { validateDataForCharting, findFlaggedCells } from '../utils/validators/data-validator';
+import {
+  COLUMN_TYPES,
+  COLUMN_TYPE_LABELS,
+  getDetectedType,
+  parseEditedValue
+} from '../utils/transforms/column-types';
+
+// Rows have a fixed height so only the visible ones need rendering
+const ROW_HEIGHT = 32;
+const VIEWPORT_HEIGHT = 384;
+const OVERSCAN_ROWS = 8;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (value instanceof Date) return value.toLocaleDateString();
+  return String(value);
+};
+
+// Text shown in the editor, in a form the column type can read back
+const toEditText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const pad = (part) => String(part).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value);
+};
+
+const DataGrid = ({ data, typedData, columnTypes, onColumnTypeChange, onCellEdit }) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [editing, setEditing] = useState(null);
+
+  const columns = useMemo(() => Object.keys(data?.[0] || {}), [data]);
+
+  // Types as detected in the uploaded rows, and as the chart sees them after overrides
+  const detectedAnalysis = useMemo(() => (
+    data?.length ? validateDataForCharting(data).columnAnalysis || {} : {}
+  ), [data]);
+  const columnAnalysis = useMemo(() => (
+    typedData === data ? detectedAnalysis : validateDataForCharting(typedData).columnAnalysis || {}
+  ), [data, typedData, detectedAnalysis]);
+
+  // Validator flags, plus values an override couldn't read
+  const flaggedCells = useMemo(() => {
+    if (!typedData?.length) return new Map();
+    const flagged = findFlaggedCells(typedData, columnAnalysis);
+
+    Object.entries(columnTypes)
+      .filter(([, type]) => type !== COLUMN_TYPES.AUTO && type !== COLUMN_TYPES.IGNORE)
+      .forEach(([column, type]) => {
+        data.forEach((row, rowIndex) => {
+          const raw = row[column];
+          const isBlank = raw === null || raw === undefined || String(raw).trim() === '';
+          if (!isBlank && typedData[rowIndex][column] === null) {
+            flagged.set(`${rowIndex}:${column}`, {
+              type: 'unreadable',
+              message: `"${raw}" can't be read as a ${COLUMN_TYPE_LABELS[type].toLowerCase()}`
+            });
+          }
+        });
+      });
+
+    return flagged;
+  }, [data, typedData, columnAnalysis, columnTypes]);
+
+  if (!data || data.length === 0) {
+    return null;
+  }
+
+  const getColumnType = (column) => columnTypes[column] || COLUMN_TYPES.AUTO;
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const lastRow = Math.min(data.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN_ROWS);
+  const visibleRows = data.slice(firstRow, lastRow);
+
+  const startEditing = (rowIndex, column) => {
+    setEditing({ rowIndex, column, text: toEditText(data[rowIndex][column]) });
+  };
+
+  // Edits are read as the column's current type, so numbers stay numbers
+  const commitEdit = () => {
+    if (!editing) return;
+    const { rowIndex, column, text } = editing;
+    const type = getColumnType(column);
+    const readAs = type === COLUMN_TYPES.AUTO || type === COLUMN_TYPES.IGNORE
+      ? getDetectedType(detectedAnalysis[column])
+      : type;
+    setEditing(null);
+
+    const value = parseEditedValue(text, readAs);
+    if (toEditText(value) !== toEditText(data[rowIndex][column])) {
+      onCellEdit(rowIndex, column, value);
+    }
+  };
+
+  const handleEditorKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitEdit();
+    } else if (e.key === 'Escape') {
+      setEditing(null);
+    }
+  };
+
+  const handleCellKeyDown = (e, rowIndex, column) => {
+    if (e.key === 'Enter' || e.key === 'F2') {
+      e.preventDefault();
+      startEditing(rowIndex, column);
+    }
+  };
+
+  const selectClassName = 'mt-1 w-full px-1 py-0.5 bg-background text-foreground border border-border rounded text-xs font-normal focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className="space-y-3" role="group" aria-labelledby="data-grid-heading">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <div>
+          <h4 id="data-grid-heading" className="font-medium text-foreground">
+            Data
+          </h4>
+          <p className="text-xs text-muted-foreground mt-1">
+            Double-click a cell (or press Enter) to edit it, and change a column&apos;s type from its header.
+            Changes update the chart straight away.
+          </p>
+        </div>
+        <p className="text-xs text-muted-foreground">
+          {data.length.toLocaleString()} rows × {columns.length} columns
+          {flaggedCells.size > 0 && (
+            <span className="text-destructive"> • {flaggedCells.size.toLocaleString()} cells flagged</span>
+          )}
+        </p>
+      </div>
+
+      <div
+        className="overflow-auto border border-border rounded-md"
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="min-w-full text-xs" aria-rowcount={data.length + 1}>
+          <thead className="bg-muted sticky top-0 z-10">
+            <tr aria-rowindex={1}>
+              <th scope="col" className="px-3 py-2 text-right font-medium text-muted-foreground w-12">
+                #
+              </th>
+              {columns.map(column => {
+                const type = getColumnType(column);
+                return (
+                  <th key={column} scope="col" className="px-3 py-2 text-left font-medium text-foreground whitespace-nowrap align-top">
+                    <span className={type === COLUMN_TYPES.IGNORE ? 'line-through text-muted-foreground' : ''}>
+                      {column}
+                    </span>
+                    <select
+                      value={type}
+                      onChange={(e) => onColumnTypeChange(column, e.target.value)}
+                      aria-label={`Type of ${column}`}
+                      className={selectClassName}
+                    >
+                      {Object.values(COLUMN_TYPES).map(option => (
+                        <option key={option} value={option}>
+                          {option === COLUMN_TYPES.AUTO && detectedAnalysis[column]
+                            ? `${COLUMN_TYPE_LABELS[option]} (${COLUMN_TYPE_LABELS[getDetectedType(detectedAnalysis[column])].toLowerCase()})`
+                            : COLUMN_TYPE_LABELS[option]}
+                        </option>
+                      ))}
+                    </select>
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {firstRow > 0 && (
+              <tr aria-hidden="true" style={{ height: firstRow * ROW_HEIGHT }}><td colSpan={columns.length + 1}></td></tr>
+            )}
+            {visibleRows.map((row, offset) => {
+              const rowIndex = firstRow + offset;
+              const typedRow = typedData[rowIndex] || row;
+              return (
+                <tr key={rowIndex} aria-rowindex={rowIndex + 2} className="border-t border-border" style={{ height: ROW_HEIGHT }}>
+                  <td className="px-3 text-right text-muted-foreground tabular-nums">{rowIndex + 1}</td>
+                  {columns.map(column => {
+                    const isIgnored = getColumnType(column) === COLUMN_TYPES.IGNORE;
+                    const flag = isIgnored ? null : flaggedCells.get(`${rowIndex}:${column}`);
+                    const isEditing = editing?.rowIndex === rowIndex && editing.column === column;
+                    return (
+                      <td
+                        key={column}
+                        tabIndex={isEditing ? -1 : 0}
+                        title={flag?.message}
+                        onDoubleClick={() => startEditing(rowIndex, column)}
+                        onKeyDown={(e) => handleCellKeyDown(e, rowIndex, column)}
+                        className={`px-3 whitespace-nowrap max-w-xs truncate focus:outline-none focus:ring-2 focus:ring-inset focus:ring-primary ${
+                          flag
+                            ? 'bg-destructive/10 text-destructive'
+                            : isIgnored
+                            ? 'text-muted-foreground/50'
+                            : 'text-muted-foreground'
+                        }`}
+                      >
+                        {isEditing ? (
+                          <input
+                            autoFocus
+                            value={editing.text}
+                            onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                            onKeyDown={handleEditorKeyDown}
+                            onBlur={commitEdit}
+                            aria-label={`${column}, row ${rowIndex + 1}`}
+                            className="w-full px-1 py-0.5 bg-background text-foreground border border-primary rounded text-xs focus:outline-none"
+                          />
+                        ) : (
+                          formatCell(isIgnored ? row[column] : typedRow[column])
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+            {lastRow < data.length && (
+              <tr aria-hidden="true" style={{ height: (data.length - lastRow) * ROW_HEIGHT }}><td colSpan={columns.length + 1}></td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default DataGrid;
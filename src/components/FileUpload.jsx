@@ -1,14 +1,43 @@
-import React, { useState, useRef } from 'react';
-import { parseCSV } from '../utils/parsers/csv-parser';
-import { parseExcel } from '../utils/parsers/excel-parser';
-import { validateDataForCharting } from '../utils/validators/data-validator';
+import React, { useState, useRef, useEffect } from 'react';
+import { parseFileInWorker } from '../utils/parsers/parse-in-worker';
+import { PARSE_STAGES, FILE_FORMATS, ACCEPTED_EXTENSIONS, getFileFormat, getFilePreview } from '../utils/parsers/parse-file';
+import { getExcelInfo } from '../utils/parsers/excel-parser';
+import { getJSONInfo, formatRecordsPath } from '../utils/parsers/json-parser';
+import { describeTableRange } from '../utils/parsers/table-range';
+import { NUMBER_LOCALES } from '../utils/parsers/number-normalization';
+import { TEXT_ENCODINGS } from '../utils/parsers/encoding-detection';
+import { createPastedFile } from '../utils/parsers/clipboard';
 import { handleError } from '../utils/error-handler';
+import { validateDataForCharting } from '../utils/validators/data-validator';
+import { COMBINE_MODES, createDataset, createCombineDefaults } from '../utils/transforms/combine';
+import SheetPicker from './SheetPicker';
+import RecordPathPicker from './RecordPathPicker';
+import PasteData from './PasteData';
+import UrlImport from './UrlImport';
+import RangePicker from './RangePicker';
+import CombinePanel from './CombinePanel';
 
 const FileUpload = ({ onFileUpload, isLoading }) => {
   const [dragActive, setDragActive] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [progressDetail, setProgressDetail] = useState(null);
   const [isFileDialogOpen, setIsFileDialogOpen] = useState(false);
+  const [pendingWorkbook, setPendingWorkbook] = useState(null);
+  const [pendingRecords, setPendingRecords] = useState(null);
+  const [lastUpload, setLastUpload] = useState(null);
+  const [rangeEditor, setRangeEditor] = useState(null);
+  // Several files parsed and waiting to be combined, and the last combination used
+  const [pendingCombine, setPendingCombine] = useState(null);
+  const [lastCombine, setLastCombine] = useState(null);
+  // Other ways in besides a file: 'paste' or 'url'
+  const [sourcePanel, setSourcePanel] = useState(null);
   const fileInputRef = useRef(null);
+  const abortControllerRef = useRef(null);
+
+  // Stop any running parse if the component goes away
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
 
   const handleDrag = (e) => {
     e.preventDefault();
@@ -26,52 +55,125 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
     setDragActive(false);
     
     if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      await processFile(e.dataTransfer.files[0]);
+      await processFiles([...e.dataTransfer.files]);
     }
   };
 
   const handleFileSelect = async (e) => {
-    console.log('📄 File selected:', e.target.files?.[0]?.name);
+    console.log('📄 Files selected:', [...(e.target.files || [])].map(file => file.name));
     setIsFileDialogOpen(false);
     if (e.target.files && e.target.files[0]) {
-      await processFile(e.target.files[0]);
+      await processFiles([...e.target.files]);
     }
     // Clear the input value to allow selecting the same file again
     e.target.value = '';
   };
 
-  const processFile = async (file) => {
-    try {
-      // Validate file type
-      const fileName = file.name.toLowerCase();
-      if (!fileName.endsWith('.csv') && !fileName.endsWith('.xlsx') && !fileName.endsWith('.xls')) {
-        throw new Error('Please upload a CSV or Excel file (.csv, .xlsx, .xls)');
-      }
+  // Check the file type and size before reading anything
+  const checkFile = (file) => {
+    // Validate file type
+    const fileFormat = getFileFormat(file.name);
+    if (!fileFormat) {
+      throw new Error(`${file.name}: Please upload a CSV, Excel, OpenDocument or JSON file (.csv, .xlsx, .xls, .xlsb, .ods, .json, .ndjson)`);
+    }
 
-      // Validate file size (5MB limit)
-      if (file.size > 5 * 1024 * 1024) {
-        throw new Error('File size must be less than 5MB');
+    // Validate file size (5MB limit)
+    if (file.size > 5 * 1024 * 1024) {
+      throw new Error(`${file.name}: File size must be less than 5MB`);
+    }
+
+    return fileFormat;
+  };
+
+  // Parse and validate in a worker, reporting rows as they are processed
+  // (files parsed as part of a batch report progress as a share of the batch)
+  const parseFile = async (file, parseOptions, signal, batch = { index: 0, count: 1 }) => {
+    const { parsed, validation } = await parseFileInWorker(file, {
+      options: parseOptions,
+      signal,
+      onProgress: (progress) => {
+        const percent = ((batch.index + progress.percent / 100) / batch.count) * 100;
+        setUploadProgress(Math.min(99, Math.max(1, Math.round(percent))));
+        setProgressDetail({ ...progress, fileIndex: batch.index, fileCount: batch.count });
       }
+    });
 
-      setUploadProgress(10);
+    if (!parsed.success) {
+      throw new Error(parsed.errors?.[0]?.message || `Failed to parse ${file.name}`);
+    }
+    return { parsed, validation };
+  };
 
-      // Parse file based on type
-      let parsedData;
-      if (fileName.endsWith('.csv')) {
-        parsedData = await parseCSV(file);
-      } else {
-        parsedData = await parseExcel(file);
+  // One file goes straight to the chart; several are parsed and offered for combining
+  const processFiles = async (files) => {
+    if (files.length === 1) {
+      await processFile(files[0]);
+      return;
+    }
+
+    try {
+      files.forEach(checkFile);
+      setPendingWorkbook(null);
+      setPendingRecords(null);
+      setPendingCombine(null);
+
+      const abortController = new AbortController();
+      abortControllerRef.current = abortController;
+      setUploadProgress(1);
+
+      // Files are parsed with their default sheet or records, and only have to
+      // chart once combined - a lookup file may have no numbers of its own
+      const datasets = [];
+      for (const [index, file] of files.entries()) {
+        const { parsed } = await parseFile(file, {}, abortController.signal, { index, count: files.length });
+        datasets.push(createDataset(file.name, parsed.data, parsed.meta, datasets));
       }
 
-      setUploadProgress(50);
+      setRangeEditor(null);
+      setPendingCombine({ datasets, config: createCombineDefaults(datasets) });
+    } catch (error) {
+      // Cancelled by the user, so there is nothing to report
+      if (error.name === 'AbortError') return;
 
-      if (!parsedData.success) {
-        throw new Error(parsedData.errors?.[0]?.message || 'Failed to parse file');
+      const userFriendlyError = handleError(error);
+      console.error('File processing error:', userFriendlyError);
+      throw userFriendlyError;
+    } finally {
+      abortControllerRef.current = null;
+      setUploadProgress(0);
+      setProgressDetail(null);
+    }
+  };
+
+  const processFile = async (file, parseOptions = {}) => {
+    try {
+      const fileFormat = checkFile(file);
+
+      // Workbooks with several sheets wait for the user to pick which to import
+      setPendingWorkbook(null);
+      if (fileFormat === FILE_FORMATS.EXCEL && !parseOptions.sheetNames) {
+        const info = await getExcelInfo(file);
+        if (info.isValid && info.sheets.filter(sheet => sheet.rowCount > 0).length > 1) {
+          setPendingWorkbook({ file, info });
+          return;
+        }
+      }
+
+      // Likewise JSON documents with several lists wait for the records to be picked
+      setPendingRecords(null);
+      if (fileFormat === FILE_FORMATS.JSON && parseOptions.recordsPath === undefined) {
+        const info = await getJSONInfo(file, { encoding: parseOptions.encoding });
+        if (info.isValid && info.recordPaths.length > 1) {
+          setPendingRecords({ file, info });
+          return;
+        }
       }
 
-      // Validate data for charting
-      const validation = validateDataForCharting(parsedData.data, parsedData.meta);
-      setUploadProgress(80);
+      const abortController = new AbortController();
+      abortControllerRef.current = abortController;
+      setUploadProgress(1);
+
+      const { parsed: parsedData, validation } = await parseFile(file, parseOptions, abortController.signal);
 
       if (!validation.isValid) {
         throw new Error(validation.errors?.[0]?.message || 'Data is not suitable for charting');
@@ -79,16 +181,128 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
 
       setUploadProgress(100);
 
-      // Success - pass data to parent
-      onFileUpload(parsedData.data);
+      // Remember the file so its table range can be adjusted and re-parsed
+      setLastUpload({ file, parseOptions, meta: parsedData.meta });
+      setLastCombine(null);
+      setPendingCombine(null);
+      setRangeEditor(null);
+
+      // Success - pass data to parent, with the analysis so it isn't repeated
+      onFileUpload(parsedData.data, { meta: parsedData.meta, validation });
 
     } catch (error) {
+      // Cancelled by the user, so there is nothing to report
+      if (error.name === 'AbortError') return;
+
       const userFriendlyError = handleError(error);
       console.error('File processing error:', userFriendlyError);
       throw userFriendlyError;
     } finally {
+      abortControllerRef.current = null;
       setUploadProgress(0);
+      setProgressDetail(null);
+    }
+  };
+
+  // Pasted text is parsed as a CSV file, so delimiters and ranges are detected as for uploads
+  const handlePasteSubmit = async (text) => {
+    await processFile(createPastedFile(text));
+    setSourcePanel(null);
+  };
+
+  // Downloaded files are named with their detected extension, so they parse like uploads
+  const handleUrlFile = async (file) => {
+    await processFile(file);
+    setSourcePanel(null);
+  };
+
+  // The combined rows are validated here since each file was only parsed
+  const handleCombineApply = (result, config) => {
+    const { datasets } = pendingCombine;
+    const meta = { ...result.meta, filename: datasets.map(dataset => dataset.name).join(', ') };
+    const validation = validateDataForCharting(result.data, meta);
+    if (!validation.isValid) {
+      throw new Error(validation.errors?.[0]?.message || 'The combined data is not suitable for charting');
+    }
+
+    setLastUpload(null);
+    setPendingCombine(null);
+    setLastCombine({ datasets, config, rowCount: result.data.length });
+    onFileUpload(result.data, { meta, validation });
+  };
+
+  const handleSheetImport = async (sheetNames) => {
+    const { file } = pendingWorkbook;
+    setPendingWorkbook(null);
+    await processFile(file, { sheetNames });
+  };
+
+  const handleRecordsImport = async (recordsPath) => {
+    const { file } = pendingRecords;
+    setPendingRecords(null);
+    await processFile(file, { ...(lastUpload?.file === file ? lastUpload.parseOptions : {}), recordsPath });
+  };
+
+  // Offer the lists found in the current JSON file again
+  const handleChangeRecords = () => {
+    const { file, meta } = lastUpload;
+    setPendingRecords({
+      file,
+      info: { filename: file.name, recordPaths: meta.recordPaths, recordsPath: meta.recordsPath }
+    });
+  };
+
+  const handleAdjustRange = async () => {
+    const preview = await getFilePreview(lastUpload.file, {
+      sheetName: lastUpload.meta.sheetName,
+      encoding: lastUpload.parseOptions.encoding
+    });
+    if (!preview.isValid) {
+      console.error('File preview error:', preview.error);
+      return;
     }
+    setRangeEditor({ preview, error: null });
+  };
+
+  // Parse the last file again with changed options, keeping the chosen sheets
+  // or records so the pickers aren't shown again
+  const reparseLastUpload = (overrides) => {
+    const { file, parseOptions, meta } = lastUpload;
+    return processFile(file, {
+      ...parseOptions,
+      sheetNames: meta.sheetNames,
+      recordsPath: meta.recordsPath,
+      ...overrides
+    });
+  };
+
+  const handleRangeApply = async (tableRange) => {
+    try {
+      await reparseLastUpload({ tableRange });
+    } catch (error) {
+      setRangeEditor(current => current && { ...current, error: error.message || 'Failed to apply table range' });
+    }
+  };
+
+  const handleNumberLocaleChange = async (e) => {
+    try {
+      await reparseLastUpload({ numberLocale: e.target.value });
+    } catch (error) {
+      console.error('Failed to re-read numbers:', error);
+    }
+  };
+
+  const handleEncodingChange = async (e) => {
+    try {
+      await reparseLastUpload({ encoding: e.target.value });
+    } catch (error) {
+      console.error('Failed to re-read file with encoding:', error);
+    }
+  };
+
+  const handleCancel = (e) => {
+    e.stopPropagation();
+    abortControllerRef.current?.abort();
   };
 
   const openFileDialog = () => {
@@ -108,7 +322,8 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
       <input
         ref={fileInputRef}
         type="file"
-        accept=".csv,.xlsx,.xls"
+        accept={ACCEPTED_EXTENSIONS.join(',')}
+        multiple
         onChange={handleFileSelect}
         className="hidden"
         disabled={isLoading}
@@ -130,9 +345,30 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
         {/* Upload progress overlay */}
         {uploadProgress > 0 && uploadProgress < 100 && (
           <div className="absolute inset-0 bg-background/80 rounded-lg flex items-center justify-center">
-            <div className="text-center">
+            <div className="text-center w-64" role="status" aria-live="polite">
               <div className="w-8 h-8 border-2 border-primary border-t-transparent rounded-full animate-spin mx-auto mb-2"></div>
-              <p className="text-sm text-muted-foreground">Processing file... {uploadProgress}%</p>
+              <p className="text-sm text-muted-foreground">
+                {progressDetail?.stage === PARSE_STAGES.VALIDATING ? 'Validating data...' : 'Processing file...'}
+                {progressDetail?.fileCount > 1 ? ` (${progressDetail.fileIndex + 1} of ${progressDetail.fileCount})` : ''} {uploadProgress}%
+              </p>
+              {progressDetail?.rowsProcessed > 0 && (
+                <p className="text-xs text-muted-foreground mt-1">
+                  {progressDetail.rowsProcessed.toLocaleString()} rows read
+                </p>
+              )}
+              <div className="h-1.5 bg-muted rounded-full overflow-hidden mt-3">
+                <div
+                  className="h-full bg-primary transition-all duration-200"
+                  style={{ width: `${uploadProgress}%` }}
+                ></div>
+              </div>
+              <button
+                type="button"
+                onClick={handleCancel}
+                className="mt-3 px-3 py-1 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm"
+              >
+                Cancel
+              </button>
             </div>
           </div>
         )}
@@ -152,7 +388,7 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
           <p className="text-muted-foreground">
             {isLoading 
               ? 'Please wait while we process your file'
-              : 'Drag and drop your CSV or Excel file here, or click to browse'
+              : 'Drag and drop your CSV, Excel or JSON file here (or several to combine), or click to browse'
             }
           </p>
         </div>
@@ -164,7 +400,10 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
               CSV files
             </span>
             <span className="px-2 py-1 bg-secondary text-secondary-foreground text-xs rounded-md border border-border">
-              Excel files
+              Excel &amp; ODS files
+            </span>
+            <span className="px-2 py-1 bg-secondary text-secondary-foreground text-xs rounded-md border border-border">
+              JSON files
             </span>
             <span className="px-2 py-1 bg-secondary text-secondary-foreground text-xs rounded-md border border-border">
               Max 5MB
@@ -172,25 +411,207 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
           </div>
         )}
 
-        {/* Upload button */}
+        {/* Upload and paste buttons */}
         {!isLoading && (
+          <div className="mt-4 flex flex-wrap justify-center gap-3">
+            <button
+              type="button"
+              className="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors font-medium"
+              onClick={(e) => {
+                e.stopPropagation();
+                openFileDialog();
+              }}
+            >
+              Choose File
+            </button>
+            <button
+              type="button"
+              className="px-4 py-2 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors font-medium"
+              onClick={(e) => {
+                e.stopPropagation();
+                setSourcePanel('paste');
+              }}
+            >
+              Paste Data
+            </button>
+            <button
+              type="button"
+              className="px-4 py-2 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors font-medium"
+              onClick={(e) => {
+                e.stopPropagation();
+                setSourcePanel('url');
+              }}
+            >
+              Load from URL
+            </button>
+          </div>
+        )}
+      </div>
+
+      {sourcePanel === 'paste' && (
+        <div className="mt-4">
+          <PasteData
+            onSubmit={handlePasteSubmit}
+            onCancel={() => setSourcePanel(null)}
+            disabled={isLoading || uploadProgress > 0}
+          />
+        </div>
+      )}
+
+      {sourcePanel === 'url' && (
+        <div className="mt-4">
+          <UrlImport
+            onFileLoaded={handleUrlFile}
+            onCancel={() => setSourcePanel(null)}
+            disabled={isLoading || uploadProgress > 0}
+          />
+        </div>
+      )}
+
+      {/* Sheet selection for multi-sheet workbooks */}
+      {pendingWorkbook && (
+        <div className="mt-4">
+          <SheetPicker
+            key={pendingWorkbook.info.filename}
+            info={pendingWorkbook.info}
+            onImport={handleSheetImport}
+            onCancel={() => setPendingWorkbook(null)}
+          />
+        </div>
+      )}
+
+      {pendingCombine && (
+        <div className="mt-4">
+          <CombinePanel
+            key={pendingCombine.datasets.map(dataset => dataset.name).join('|')}
+            datasets={pendingCombine.datasets}
+            initialConfig={pendingCombine.config}
+            onApply={handleCombineApply}
+            onCancel={() => setPendingCombine(null)}
+            disabled={isLoading || uploadProgress > 0}
+          />
+        </div>
+      )}
+
+      {/* The current data came from combining several files */}
+      {lastCombine && !pendingCombine && (
+        <div className="mt-4 flex flex-wrap items-center justify-between gap-2 px-3 py-2 bg-muted/50 rounded-md border border-border text-sm">
+          <span className="text-muted-foreground">
+            {lastCombine.datasets.length} files {lastCombine.config.mode === COMBINE_MODES.JOIN
+              ? `joined on ${lastCombine.config.join.keys.join(', ')}`
+              : 'appended'}: {lastCombine.rowCount.toLocaleString()} rows
+          </span>
           <button
             type="button"
-            className="mt-4 px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors font-medium"
-            onClick={(e) => {
-              e.stopPropagation();
-              openFileDialog();
-            }}
+            onClick={() => setPendingCombine(lastCombine)}
+            disabled={isLoading || uploadProgress > 0}
+            className="px-3 py-1 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            Choose File
+            Change combination
           </button>
-        )}
-      </div>
+        </div>
+      )}
+
+      {pendingRecords && (
+        <div className="mt-4">
+          <RecordPathPicker
+            key={pendingRecords.info.filename}
+            info={pendingRecords.info}
+            onImport={handleRecordsImport}
+            onCancel={() => setPendingRecords(null)}
+          />
+        </div>
+      )}
+
+      {/* Detected or chosen table range (or JSON records) for the current file */}
+      {lastUpload && !rangeEditor && !pendingRecords && (
+        <div className="mt-4 flex flex-wrap items-center justify-between gap-2 px-3 py-2 bg-muted/50 rounded-md border border-border text-sm">
+          {lastUpload.meta.tableRange ? (
+            <span className="text-muted-foreground">
+              {lastUpload.file.name}: {describeTableRange(lastUpload.meta.tableRange)}
+              {lastUpload.meta.tableRange.autoDetected ? ' (detected)' : ''}
+            </span>
+          ) : (
+            <span className="text-muted-foreground">
+              {lastUpload.file.name}: {lastUpload.meta.rowCount.toLocaleString()} records from{' '}
+              {lastUpload.meta.recordsPath?.length > 0 ? `"${formatRecordsPath(lastUpload.meta.recordsPath)}"` : 'the top level'}
+            </span>
+          )}
+          <div className="flex flex-wrap items-center gap-2">
+            {lastUpload.meta.encoding && (
+              <label className="flex items-center gap-2 text-muted-foreground">
+                Encoding
+                <select
+                  value={lastUpload.parseOptions.encoding || 'auto'}
+                  onChange={handleEncodingChange}
+                  disabled={isLoading || uploadProgress > 0}
+                  className="px-2 py-1 bg-background border border-border rounded-md text-sm text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                >
+                  <option value="auto">
+                    Auto ({TEXT_ENCODINGS[lastUpload.meta.encoding] || lastUpload.meta.encoding})
+                  </option>
+                  {Object.entries(TEXT_ENCODINGS).map(([encodingId, label]) => (
+                    <option key={encodingId} value={encodingId}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <label className="flex items-center gap-2 text-muted-foreground">
+              Numbers
+              <select
+                value={lastUpload.parseOptions.numberLocale || 'auto'}
+                onChange={handleNumberLocaleChange}
+                disabled={isLoading || uploadProgress > 0}
+                className="px-2 py-1 bg-background border border-border rounded-md text-sm text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+              >
+                <option value="auto">
+                  Auto{lastUpload.meta.numberLocale ? ` (${lastUpload.meta.numberLocale})` : ''}
+                </option>
+                {Object.entries(NUMBER_LOCALES).map(([localeId, preset]) => (
+                  <option key={localeId} value={localeId}>{preset.label}</option>
+                ))}
+              </select>
+            </label>
+            {lastUpload.meta.recordPaths?.length > 1 && (
+              <button
+                type="button"
+                onClick={handleChangeRecords}
+                disabled={isLoading || uploadProgress > 0}
+                className="px-3 py-1 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Change records
+              </button>
+            )}
+            {lastUpload.meta.tableRange && (
+              <button
+                type="button"
+                onClick={handleAdjustRange}
+                disabled={isLoading || uploadProgress > 0}
+                className="px-3 py-1 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Adjust range
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {rangeEditor && (
+        <div className="mt-4">
+          <RangePicker
+            preview={rangeEditor.preview}
+            tableRange={lastUpload.meta.tableRange}
+            error={rangeEditor.error}
+            onApply={handleRangeApply}
+            onCancel={() => setRangeEditor(null)}
+          />
+        </div>
+      )}
 
       {/* Help text */}
       <div className="mt-4 text-center">
         <p className="text-xs text-muted-foreground">
-          Supported formats: CSV (.csv), Excel (.xlsx, .xls) • Maximum file size: 5MB
+          Supported formats: CSV (.csv), Excel (.xlsx, .xls, .xlsb), OpenDocument (.ods), JSON (.json, .ndjson, .jsonl) • Maximum file size: 5MB • Select several files to append or join them
         </p>
       </div>
     </div>
@@ -0,0 +1,49 @@
+import React from 'react';
+import { BINNING_METHODS, BINNING_METHOD_LABELS, MAX_BINS } from '../utils/transforms/distribution';
+
+const HistogramBinControls = ({ binning, onBinningChange }) => {
+  const updateBinning = (changes) => {
+    onBinningChange({ ...binning, ...changes });
+  };
+
+  const isManual = binning.method === BINNING_METHODS.MANUAL;
+  const inputClassName = 'px-3 py-1.5 bg-background text-foreground border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary disabled:opacity-50';
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-end gap-3" role="group" aria-label="Histogram bins">
+      <div>
+        <label htmlFor="histogram-bin-method" className="block text-xs text-muted-foreground mb-1">
+          Bins
+        </label>
+        <select
+          id="histogram-bin-method"
+          value={binning.method}
+          onChange={(e) => updateBinning({ method: e.target.value })}
+          className={inputClassName}
+        >
+          {Object.values(BINNING_METHODS).map(method => (
+            <option key={method} value={method}>{BINNING_METHOD_LABELS[method]}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label htmlFor="histogram-bin-count" className="block text-xs text-muted-foreground mb-1">
+          Number of bins
+        </label>
+        <input
+          id="histogram-bin-count"
+          type="number"
+          min="1"
+          max={MAX_BINS}
+          step="1"
+          value={binning.binCount}
+          onChange={(e) => updateBinning({ binCount: Number(e.target.value) })}
+          disabled={!isManual}
+          className={`${inputClassName} w-24`}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default HistogramBinControls;
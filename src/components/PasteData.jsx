@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { getPastedText, readClipboard, PASTE_SOURCES } from '../utils/parsers/clipboard';
+
+const PasteData = ({ onSubmit, onCancel, disabled }) => {
+  const [text, setText] = useState('');
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const canReadClipboard = typeof navigator !== 'undefined' && Boolean(navigator.clipboard?.readText);
+
+  const showPasted = (pasted) => {
+    setText(pasted.text);
+    setError(null);
+    setNotice(pasted.source === PASTE_SOURCES.HTML_TABLE
+      ? `Converted a table with ${pasted.rowCount} rows from the web page`
+      : null);
+  };
+
+  // Tables copied from web pages are converted; spreadsheet cells paste as tab-separated text anyway
+  const handlePaste = (e) => {
+    const pasted = getPastedText(e.clipboardData);
+    if (pasted.source === PASTE_SOURCES.HTML_TABLE) {
+      e.preventDefault();
+      showPasted(pasted);
+    }
+  };
+
+  const handleReadClipboard = async () => {
+    try {
+      showPasted(await readClipboard());
+    } catch (err) {
+      setError(err.name === 'NotAllowedError'
+        ? 'Clipboard access was blocked. Paste into the text box with Ctrl+V (⌘V on a Mac) instead.'
+        : err.message);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setError(null);
+    try {
+      await onSubmit(text);
+    } catch (err) {
+      setError(err.message || 'Failed to read the pasted data');
+    }
+  };
+
+  return (
+    <div className="bg-card rounded-lg p-4 border border-border space-y-4" role="group" aria-labelledby="paste-data-heading">
+      <div>
+        <h4 id="paste-data-heading" className="font-medium text-foreground">
+          Paste Data
+        </h4>
+        <p className="text-xs text-muted-foreground mt-1">
+          Paste cells copied from a spreadsheet or a table from a web page, or type comma-separated values with
+          column headers on the first line.
+        </p>
+      </div>
+
+      <textarea
+        value={text}
+        onChange={(e) => { setText(e.target.value); setNotice(null); }}
+        onPaste={handlePaste}
+        rows={10}
+        spellCheck={false}
+        aria-label="Data to chart"
+        placeholder={'Month,Revenue,Expenses\nJanuary,45000,32000\nFebruary,52000,34000'}
+        className="w-full px-3 py-2 bg-background border border-border rounded-md text-sm font-mono text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+      />
+
+      {notice && (
+        <p className="text-xs text-muted-foreground">{notice}</p>
+      )}
+
+      {error && (
+        <p className="text-sm text-destructive" role="alert">
+          {error}
+        </p>
+      )}
+
+      <div className="flex flex-wrap justify-end gap-3">
+        {canReadClipboard && (
+          <button
+            type="button"
+            onClick={handleReadClipboard}
+            disabled={disabled}
+            className="px-4 py-2 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Paste from Clipboard
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSubmit}
+          disabled={disabled || !text.trim()}
+          className="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Use Data
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PasteData;
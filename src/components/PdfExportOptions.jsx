@@ -0,0 +1,126 @@
+import React from 'react';
+import { PDF_PAGE_SIZES, PDF_ORIENTATIONS } from '../utils/pdf-export';
+
+const PdfExportOptions = ({ options, onChange, onExport }) => {
+  const updateOption = (key, value) => {
+    onChange({ ...options, [key]: value });
+  };
+
+  const inputClassName = 'w-full px-3 py-2 bg-background text-foreground border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className="bg-muted/20 rounded-lg p-4 border border-border space-y-4" role="group" aria-labelledby="pdf-options-heading">
+      <h4 id="pdf-options-heading" className="font-medium text-foreground">
+        PDF Options
+      </h4>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="pdf-page-size" className="block text-sm font-medium text-foreground mb-1">
+            Page Size
+          </label>
+          <select
+            id="pdf-page-size"
+            value={options.pageSize}
+            onChange={(e) => updateOption('pageSize', e.target.value)}
+            className={inputClassName}
+          >
+            <option value={PDF_PAGE_SIZES.A4}>A4</option>
+            <option value={PDF_PAGE_SIZES.LETTER}>Letter</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="pdf-orientation" className="block text-sm font-medium text-foreground mb-1">
+            Orientation
+          </label>
+          <select
+            id="pdf-orientation"
+            value={options.orientation}
+            onChange={(e) => updateOption('orientation', e.target.value)}
+            className={inputClassName}
+          >
+            <option value={PDF_ORIENTATIONS.LANDSCAPE}>Landscape</option>
+            <option value={PDF_ORIENTATIONS.PORTRAIT}>Portrait</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="pdf-margin" className="block text-sm font-medium text-foreground mb-1">
+            Margins (mm)
+          </label>
+          <input
+            id="pdf-margin"
+            type="number"
+            min="0"
+            max="50"
+            value={options.margin}
+            onChange={(e) => updateOption('margin', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="pdf-title" className="block text-sm font-medium text-foreground mb-1">
+            Title
+          </label>
+          <input
+            id="pdf-title"
+            type="text"
+            value={options.title}
+            onChange={(e) => updateOption('title', e.target.value)}
+            placeholder="Optional"
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor="pdf-subtitle" className="block text-sm font-medium text-foreground mb-1">
+            Subtitle
+          </label>
+          <input
+            id="pdf-subtitle"
+            type="text"
+            value={options.subtitle}
+            onChange={(e) => updateOption('subtitle', e.target.value)}
+            placeholder="Optional"
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor="pdf-source" className="block text-sm font-medium text-foreground mb-1">
+            Source Line
+          </label>
+          <input
+            id="pdf-source"
+            type="text"
+            value={options.source}
+            onChange={(e) => updateOption('source', e.target.value)}
+            placeholder="e.g. Source: Finance team, Q3 report"
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <label className="flex items-center gap-2 text-sm text-foreground">
+          <input
+            type="checkbox"
+            checked={options.vector}
+            onChange={(e) => updateOption('vector', e.target.checked)}
+            className="accent-primary"
+          />
+          Embed chart as vector graphics
+        </label>
+        <button
+          onClick={onExport}
+          className="px-4 py-2 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors flex items-center gap-2 text-sm"
+          title="Export chart as a PDF document"
+        >
+          📄 PDF Export
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PdfExportOptions;
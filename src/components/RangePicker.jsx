@@ -0,0 +1,201 @@
+import React, { useState, useMemo } from 'react';
+import { parseCellRange, columnIndexToLetter } from '../utils/parsers/table-range';
+
+// Columns shown in the preview grid
+const PREVIEW_COLUMNS = 12;
+
+const inputClassName = 'px-3 py-1.5 bg-background border border-border rounded-md text-sm text-foreground focus:outline-none focus:ring-2 focus:ring-ring';
+
+const splitPrefixes = (text) => text.split(',').map(prefix => prefix.trim()).filter(Boolean);
+
+const RangePicker = ({ preview, tableRange, onApply, onCancel, error }) => {
+  const [headerRow, setHeaderRow] = useState(String(tableRange?.headerRow || ''));
+  const [dataRange, setDataRange] = useState(tableRange?.dataRange || '');
+  const [ignorePrefixes, setIgnorePrefixes] = useState((tableRange?.ignoreRowsStartingWith || []).join(', '));
+  const [keepTotalRows, setKeepTotalRows] = useState(Boolean(tableRange?.keepTotalRows));
+
+  // Resolve the inputs for highlighting; problems are shown instead of applied
+  const { bounds, headerIndex, inputError } = useMemo(() => {
+    const parsedHeader = headerRow.trim() ? Number(headerRow) - 1 : null;
+    if (parsedHeader !== null && (!Number.isInteger(parsedHeader) || parsedHeader < 0)) {
+      return { bounds: null, headerIndex: null, inputError: 'Header row must be a row number starting at 1' };
+    }
+
+    try {
+      const parsedBounds = dataRange.trim() ? parseCellRange(dataRange) : null;
+      if (parsedBounds && parsedHeader !== null && parsedBounds.startRow <= parsedHeader) {
+        return { bounds: parsedBounds, headerIndex: parsedHeader, inputError: 'The data range must start below the header row' };
+      }
+      // Without a header row the parser reads headers from the row above the range
+      const impliedHeader = parsedHeader ?? (parsedBounds ? Math.max(0, parsedBounds.startRow - 1) : null);
+      return { bounds: parsedBounds, headerIndex: impliedHeader, inputError: null };
+    } catch (err) {
+      return { bounds: null, headerIndex: parsedHeader, inputError: err.message };
+    }
+  }, [headerRow, dataRange]);
+
+  const prefixes = splitPrefixes(ignorePrefixes).map(prefix => prefix.toLowerCase());
+  const columnCount = Math.min(PREVIEW_COLUMNS, Math.max(0, ...preview.rows.map(row => row.length)));
+
+  const isIgnored = (row) => {
+    const firstValue = row.find(cell => cell !== null && cell !== undefined && String(cell).trim() !== '');
+    return firstValue !== undefined && prefixes.some(prefix => String(firstValue).trim().toLowerCase().startsWith(prefix));
+  };
+
+  const getRowClassName = (row, rowIndex) => {
+    if (rowIndex === headerIndex) return 'bg-primary/10 font-medium text-foreground';
+    const afterHeader = headerIndex === null || rowIndex > headerIndex;
+    const inRange = bounds
+      ? rowIndex >= bounds.startRow && (bounds.endRow === null || rowIndex <= bounds.endRow)
+      : afterHeader;
+    if (!inRange || !afterHeader) return 'text-muted-foreground opacity-50';
+    if (isIgnored(row)) return 'text-muted-foreground line-through';
+    return 'text-foreground';
+  };
+
+  const isColumnInRange = (columnIndex) => !bounds ||
+    (columnIndex >= bounds.startColumn && columnIndex <= bounds.endColumn);
+
+  const handleApply = () => {
+    onApply({
+      headerRow: headerRow.trim() ? Number(headerRow) : undefined,
+      dataRange: dataRange.trim() || undefined,
+      ignoreRowsStartingWith: splitPrefixes(ignorePrefixes),
+      keepTotalRows
+    });
+  };
+
+  // Clearing the header row and range goes back to detection, keeping the row options
+  const handleAutoDetect = () => {
+    onApply({ ignoreRowsStartingWith: splitPrefixes(ignorePrefixes), keepTotalRows });
+  };
+
+  return (
+    <div className="bg-card rounded-lg p-4 border border-border space-y-4" role="group" aria-labelledby="range-picker-heading">
+      <div>
+        <h4 id="range-picker-heading" className="font-medium text-foreground">
+          Table Range
+        </h4>
+        <p className="text-xs text-muted-foreground mt-1">
+          Choose where the table sits{preview.sheetName ? ` in "${preview.sheetName}"` : ''}. Leave the data range empty to read
+          every row below the headers.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <label className="flex flex-col gap-1 text-sm text-muted-foreground">
+          Headers on row
+          <input
+            type="number"
+            min="1"
+            value={headerRow}
+            onChange={(e) => setHeaderRow(e.target.value)}
+            placeholder="Auto"
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-sm text-muted-foreground">
+          Data range
+          <input
+            type="text"
+            value={dataRange}
+            onChange={(e) => setDataRange(e.target.value)}
+            placeholder="e.g. A5:F40"
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-sm text-muted-foreground">
+          Ignore rows starting with
+          <input
+            type="text"
+            value={ignorePrefixes}
+            onChange={(e) => setIgnorePrefixes(e.target.value)}
+            placeholder="e.g. Note, Source"
+            className={inputClassName}
+          />
+        </label>
+      </div>
+      <label className="flex items-center gap-2 text-sm text-foreground">
+        <input
+          type="checkbox"
+          checked={keepTotalRows}
+          onChange={(e) => setKeepTotalRows(e.target.checked)}
+          className="accent-primary"
+        />
+        Keep total rows at the bottom of the table
+      </label>
+
+      {/* First rows of the file with row numbers and column letters */}
+      <div className="overflow-auto max-h-72 border border-border rounded-md">
+        <table className="min-w-full text-xs">
+          <thead className="bg-muted sticky top-0">
+            <tr>
+              <th className="px-2 py-1 text-right text-muted-foreground font-normal w-10"></th>
+              {Array.from({ length: columnCount }, (_, columnIndex) => (
+                <th
+                  key={columnIndex}
+                  className={`px-2 py-1 text-left font-normal ${isColumnInRange(columnIndex) ? 'text-foreground' : 'text-muted-foreground opacity-50'}`}
+                >
+                  {columnIndexToLetter(columnIndex)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.rows.map((row, rowIndex) => (
+              <tr key={rowIndex} className={`border-t border-border ${getRowClassName(row, rowIndex)}`}>
+                <td className="px-2 py-1 text-right text-muted-foreground">{rowIndex + 1}</td>
+                {Array.from({ length: columnCount }, (_, columnIndex) => (
+                  <td
+                    key={columnIndex}
+                    className={`px-2 py-1 whitespace-nowrap max-w-[12rem] truncate ${isColumnInRange(columnIndex) ? '' : 'opacity-50'}`}
+                  >
+                    {row[columnIndex] === null || row[columnIndex] === undefined ? '' : String(row[columnIndex])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {preview.totalRows > preview.rows.length && (
+        <p className="text-xs text-muted-foreground">
+          Showing the first {preview.rows.length} of {preview.totalRows.toLocaleString()} rows
+        </p>
+      )}
+
+      {(inputError || error) && (
+        <p className="text-sm text-destructive" role="alert">
+          {inputError || error}
+        </p>
+      )}
+
+      <div className="flex flex-wrap justify-end gap-3">
+        <button
+          type="button"
+          onClick={handleAutoDetect}
+          className="px-4 py-2 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm"
+        >
+          Auto-detect
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleApply}
+          disabled={Boolean(inputError)}
+          className="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Apply Range
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RangePicker;
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { formatRecordsPath } from '../utils/parsers/json-parser';
+
+// Column names listed per candidate before "and N more"
+const PREVIEW_COLUMN_COUNT = 5;
+
+const formatPath = (path) => formatRecordsPath(path) || '(top level)';
+
+// Paths are arrays of keys, compared by their JSON text
+const toPathKey = (path) => JSON.stringify(path);
+
+const RecordPathPicker = ({ info, onImport, onCancel }) => {
+  const [selected, setSelected] = useState(info.recordsPath ?? []);
+
+  return (
+    <div className="bg-card rounded-lg p-4 border border-border space-y-4" role="group" aria-labelledby="record-path-picker-heading">
+      <div>
+        <h4 id="record-path-picker-heading" className="font-medium text-foreground">
+          Choose Records
+        </h4>
+        <p className="text-xs text-muted-foreground mt-1">
+          {info.filename} has {info.recordPaths.length} lists. Choose the one that holds the rows to chart; nested fields
+          become columns like &quot;address.city&quot;.
+        </p>
+      </div>
+
+      <ul className="space-y-2">
+        {info.recordPaths.map(candidate => {
+          const isSelected = toPathKey(candidate.path) === toPathKey(selected);
+          const extraColumns = candidate.columns.length - PREVIEW_COLUMN_COUNT;
+          return (
+            <li key={toPathKey(candidate.path)}>
+              <label
+                className={`flex items-center justify-between gap-3 px-3 py-2 rounded-md border text-sm transition-colors cursor-pointer ${
+                  isSelected
+                    ? 'border-primary bg-primary/5 text-foreground'
+                    : 'border-border text-muted-foreground hover:bg-muted/50'
+                }`}
+              >
+                <span className="flex items-center gap-2 min-w-0">
+                  <input
+                    type="radio"
+                    name="records-path"
+                    checked={isSelected}
+                    onChange={() => setSelected(candidate.path)}
+                    className="accent-primary"
+                  />
+                  <span className="min-w-0">
+                    <span className="font-mono">{formatPath(candidate.path)}</span>
+                    <span className="block text-xs text-muted-foreground truncate">
+                      {candidate.columns.slice(0, PREVIEW_COLUMN_COUNT).join(', ')}
+                      {extraColumns > 0 ? ` and ${extraColumns} more` : ''}
+                    </span>
+                  </span>
+                </span>
+                <span className="text-xs text-muted-foreground whitespace-nowrap">
+                  {candidate.count.toLocaleString()} records
+                </span>
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onImport(selected)}
+          className="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors text-sm"
+        >
+          Import Records
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecordPathPicker;
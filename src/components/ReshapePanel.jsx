@@ -0,0 +1,287 @@
+import React, { useMemo } from 'react';
+import { validateDataForCharting } from '../utils/validators/data-validator';
+import { AGGREGATION_FUNCTIONS, AGGREGATION_LABELS } from '../utils/transforms/aggregate';
+import { RESHAPE_MODES, applyReshape } from '../utils/transforms/reshape';
+
+const PREVIEW_ROWS = 5;
+
+const MODE_OPTIONS = [
+  { value: RESHAPE_MODES.NONE, label: 'Keep as is', description: 'Use the data as uploaded' },
+  { value: RESHAPE_MODES.PIVOT, label: 'Long → Wide', description: 'Spread a series column into one column per value' },
+  { value: RESHAPE_MODES.UNPIVOT, label: 'Wide → Long', description: 'Fold value columns into series/value pairs' }
+];
+
+const formatCell = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (value instanceof Date) return value.toLocaleDateString();
+  if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(2);
+  return String(value);
+};
+
+const ReshapePanel = ({ data, reshape, onReshapeChange }) => {
+  const columns = useMemo(() => {
+    if (!data || data.length === 0) return { all: [], numeric: [] };
+
+    const { columnAnalysis = {} } = validateDataForCharting(data);
+    const analysed = Object.values(columnAnalysis);
+
+    return {
+      all: analysed.map(col => col.name),
+      numeric: analysed
+        .filter(col => col.isChartable && col.typeAnalysis.primaryType === 'number')
+        .map(col => col.name)
+    };
+  }, [data]);
+
+  const preview = useMemo(() => {
+    if (!reshape || reshape.mode === RESHAPE_MODES.NONE) return null;
+    try {
+      const rows = applyReshape(data, reshape);
+      return { rows, columns: rows.length > 0 ? Object.keys(rows[0]) : [], error: null };
+    } catch (error) {
+      return { rows: [], columns: [], error: error.message };
+    }
+  }, [data, reshape]);
+
+  if (!reshape || !data || data.length === 0) {
+    return null;
+  }
+
+  const updatePivot = (changes) => {
+    onReshapeChange({ ...reshape, pivot: { ...reshape.pivot, ...changes } });
+  };
+
+  const updateUnpivot = (changes) => {
+    onReshapeChange({ ...reshape, unpivot: { ...reshape.unpivot, ...changes } });
+  };
+
+  // A column can only play one role, so picking it for one removes it from the others
+  const handlePivotRole = (role, column) => {
+    const index = reshape.pivot.index.filter(col => col !== column);
+    updatePivot({ [role]: column || null, index });
+  };
+
+  const handlePivotIndexToggle = (column) => {
+    const index = reshape.pivot.index.includes(column)
+      ? reshape.pivot.index.filter(col => col !== column)
+      : [...reshape.pivot.index, column];
+    updatePivot({ index });
+  };
+
+  const handleUnpivotToggle = (column) => {
+    const { idColumns, valueColumns } = reshape.unpivot;
+    if (valueColumns.includes(column)) {
+      updateUnpivot({
+        valueColumns: valueColumns.filter(col => col !== column),
+        idColumns: [...idColumns, column]
+      });
+    } else {
+      updateUnpivot({
+        valueColumns: [...valueColumns, column],
+        idColumns: idColumns.filter(col => col !== column)
+      });
+    }
+  };
+
+  const selectClassName = 'w-full px-2 py-1 bg-background text-foreground border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary';
+  const chipClassName = (active) => `flex items-center gap-2 px-3 py-1 rounded-md border text-sm cursor-pointer transition-colors ${
+    active
+      ? 'border-primary bg-primary/5 text-foreground'
+      : 'border-border text-muted-foreground hover:bg-muted/50'
+  }`;
+
+  const { pivot, unpivot } = reshape;
+
+  return (
+    <div className="space-y-4" role="group" aria-labelledby="reshape-heading">
+      <div>
+        <h4 id="reshape-heading" className="font-medium text-foreground">
+          Reshape
+        </h4>
+        <p className="text-xs text-muted-foreground mt-1">
+          Switch between long (one row per measurement) and wide (one column per series) layouts
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Reshape mode">
+        {MODE_OPTIONS.map(option => (
+          <label key={option.value} className={chipClassName(reshape.mode === option.value)} title={option.description}>
+            <input
+              type="radio"
+              name="reshape-mode"
+              value={option.value}
+              checked={reshape.mode === option.value}
+              onChange={() => onReshapeChange({ ...reshape, mode: option.value })}
+              className="accent-primary"
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+
+      {/* Long -> wide */}
+      {reshape.mode === RESHAPE_MODES.PIVOT && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <div>
+              <label htmlFor="pivot-series" className="block text-xs text-muted-foreground mb-1">
+                Series column (becomes new columns)
+              </label>
+              <select
+                id="pivot-series"
+                value={pivot.seriesColumn || ''}
+                onChange={(e) => handlePivotRole('seriesColumn', e.target.value)}
+                className={selectClassName}
+              >
+                <option value="">Select a column</option>
+                {columns.all.filter(col => col !== pivot.valueColumn).map(col => (
+                  <option key={col} value={col}>{col}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="pivot-value" className="block text-xs text-muted-foreground mb-1">
+                Value column
+              </label>
+              <select
+                id="pivot-value"
+                value={pivot.valueColumn || ''}
+                onChange={(e) => handlePivotRole('valueColumn', e.target.value)}
+                className={selectClassName}
+              >
+                <option value="">Select a column</option>
+                {columns.numeric.filter(col => col !== pivot.seriesColumn).map(col => (
+                  <option key={col} value={col}>{col}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="pivot-fn" className="block text-xs text-muted-foreground mb-1">
+                Combine duplicates with
+              </label>
+              <select
+                id="pivot-fn"
+                value={pivot.fn}
+                onChange={(e) => updatePivot({ fn: e.target.value })}
+                className={selectClassName}
+              >
+                {Object.values(AGGREGATION_FUNCTIONS).map(fn => (
+                  <option key={fn} value={fn}>{AGGREGATION_LABELS[fn]}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <div className="block text-sm font-medium text-foreground mb-2">Row Index</div>
+            <div className="flex flex-wrap gap-2">
+              {columns.all
+                .filter(col => col !== pivot.seriesColumn && col !== pivot.valueColumn)
+                .map(col => (
+                  <label key={col} className={chipClassName(pivot.index.includes(col))}>
+                    <input
+                      type="checkbox"
+                      checked={pivot.index.includes(col)}
+                      onChange={() => handlePivotIndexToggle(col)}
+                      className="accent-primary"
+                    />
+                    {col}
+                  </label>
+                ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Wide -> long */}
+      {reshape.mode === RESHAPE_MODES.UNPIVOT && (
+        <div className="space-y-4">
+          <div>
+            <div className="block text-sm font-medium text-foreground mb-2">Columns to fold</div>
+            <div className="flex flex-wrap gap-2">
+              {columns.all.map(col => (
+                <label key={col} className={chipClassName(unpivot.valueColumns.includes(col))}>
+                  <input
+                    type="checkbox"
+                    checked={unpivot.valueColumns.includes(col)}
+                    onChange={() => handleUnpivotToggle(col)}
+                    className="accent-primary"
+                  />
+                  {col}
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-muted-foreground mt-2">
+              Unchecked columns are kept on every row
+            </p>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="unpivot-name" className="block text-xs text-muted-foreground mb-1">
+                Series column name
+              </label>
+              <input
+                id="unpivot-name"
+                type="text"
+                value={unpivot.nameColumn}
+                onChange={(e) => updateUnpivot({ nameColumn: e.target.value })}
+                className={selectClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor="unpivot-value" className="block text-xs text-muted-foreground mb-1">
+                Value column name
+              </label>
+              <input
+                id="unpivot-value"
+                type="text"
+                value={unpivot.valueColumnName}
+                onChange={(e) => updateUnpivot({ valueColumnName: e.target.value })}
+                className={selectClassName}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Preview */}
+      {preview && (
+        preview.error ? (
+          <p className="text-sm text-destructive" role="alert">{preview.error}</p>
+        ) : (
+          <div>
+            <p className="text-xs text-muted-foreground mb-2">
+              Preview: {data.length} rows × {columns.all.length} columns → {preview.rows.length} rows × {preview.columns.length} columns
+            </p>
+            <div className="overflow-x-auto border border-border rounded-md">
+              <table className="min-w-full text-xs">
+                <thead className="bg-muted/50">
+                  <tr>
+                    {preview.columns.map(col => (
+                      <th key={col} scope="col" className="px-3 py-2 text-left font-medium text-foreground whitespace-nowrap">
+                        {col}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.slice(0, PREVIEW_ROWS).map((row, rowIndex) => (
+                    <tr key={rowIndex} className="border-t border-border">
+                      {preview.columns.map(col => (
+                        <td key={col} className="px-3 py-1.5 text-muted-foreground whitespace-nowrap">
+                          {formatCell(row[col])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ReshapePanel;
@@ -0,0 +1,55 @@
+import React from 'react';
+import {
+  describeFilter,
+  describeSortKey,
+  getInactiveRules,
+  isFilterComplete
+} from '../utils/transforms/filter-sort';
+
+const RowRuleChips = ({ rules, columns, groupedColumns = columns, onRemove, className = '' }) => {
+  if (!rules) return null;
+
+  const inactive = getInactiveRules(rules, columns, groupedColumns);
+  const sortKeys = rules.sort.filter(key => key.column);
+  const chips = [
+    ...rules.filters
+      .filter(isFilterComplete)
+      .map(filter => ({ rule: filter, label: describeFilter(filter), kind: 'filter' })),
+    ...sortKeys.map((key, position) => ({ rule: key, label: describeSortKey(key, position), kind: 'sort' }))
+  ];
+
+  if (chips.length === 0) return null;
+
+  return (
+    <ul className={`flex flex-wrap gap-2 ${className}`} aria-label="Active filters and sorting">
+      {chips.map(({ rule, label, kind }) => {
+        const isInactive = inactive.has(rule);
+        return (
+          <li
+            key={`${kind}-${rule.id}`}
+            className={`flex items-center gap-1 pl-3 pr-1 py-0.5 rounded-full border text-xs ${
+              isInactive
+                ? 'border-dashed border-border text-muted-foreground/60 line-through'
+                : kind === 'filter'
+                ? 'border-primary bg-primary/5 text-foreground'
+                : 'border-border bg-muted/50 text-foreground'
+            }`}
+            title={isInactive ? `Skipped: "${rule.column}" is not in the charted data` : undefined}
+          >
+            {label}
+            <button
+              type="button"
+              onClick={() => onRemove(rule)}
+              aria-label={`Remove ${label}`}
+              className="w-5 h-5 flex items-center justify-center rounded-full text-muted-foreground hover:bg-muted hover:text-foreground transition-colors"
+            >
+              ×
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default RowRuleChips;
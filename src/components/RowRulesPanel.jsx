@@ -0,0 +1,291 @@
+import React, { useState, useMemo } from 'react';
+import { validateDataForCharting } from '../utils/validators/data-validator';
+import {
+  FILTER_OPERATORS,
+  FILTER_OPERATOR_LABELS,
+  FILTER_OPERATORS_BY_TYPE,
+  RANKING_OPERATORS,
+  SORT_DIRECTIONS,
+  isFilterComplete,
+  removeRowRule
+} from '../utils/transforms/filter-sort';
+import RowRuleChips from './RowRuleChips';
+
+// Suggestions offered while typing an "equals" value
+const MAX_VALUE_SUGGESTIONS = 100;
+
+const EMPTY_DRAFT = { column: '', operator: '', value: '', min: '', max: '', count: '10', from: '', to: '' };
+
+// Filters and sort keys get ids so chips can be removed and re-rendered stably
+const nextId = (items) => Math.max(0, ...items.map(item => item.id)) + 1;
+
+// Detected type of each column, limited to the types that have filter operators
+const getColumnTypes = (rows) => {
+  if (!rows || rows.length === 0) return {};
+  const { columnAnalysis = {} } = validateDataForCharting(rows);
+  return Object.fromEntries(Object.values(columnAnalysis).map(col => [
+    col.name,
+    FILTER_OPERATORS_BY_TYPE[col.typeAnalysis.primaryType] ? col.typeAnalysis.primaryType : 'string'
+  ]));
+};
+
+// data holds the rows before grouping, which value filters apply to; top/bottom N
+// and sorting apply to groupedData (the same rows when nothing is grouped)
+const RowRulesPanel = ({ data, groupedData = data, rules, onRulesChange }) => {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+
+  const columns = useMemo(() => Object.keys(data?.[0] || {}), [data]);
+  const groupedColumns = useMemo(() => Object.keys(groupedData?.[0] || {}), [groupedData]);
+  const filterColumns = useMemo(() => [...new Set([...columns, ...groupedColumns])], [columns, groupedColumns]);
+
+  const columnTypes = useMemo(() => getColumnTypes(data), [data]);
+  const groupedColumnTypes = useMemo(
+    () => (groupedData === data ? columnTypes : getColumnTypes(groupedData)),
+    [data, groupedData, columnTypes]
+  );
+
+  const valueSuggestions = useMemo(() => {
+    if (!draft.column || draft.operator !== FILTER_OPERATORS.EQUALS) return [];
+    const values = new Set();
+    for (const row of data || []) {
+      const value = row[draft.column];
+      if (value !== null && value !== undefined && value !== '') values.add(String(value));
+      if (values.size >= MAX_VALUE_SUGGESTIONS) break;
+    }
+    return [...values];
+  }, [data, draft.column, draft.operator]);
+
+  if (!data || data.length === 0) {
+    return null;
+  }
+
+  // Each column offers the operators that make sense for its detected type, and
+  // ranking ones only where the grouped rows have numbers to rank
+  const operatorsFor = (column) => {
+    const type = columnTypes[column] || groupedColumnTypes[column] || 'string';
+    return FILTER_OPERATORS_BY_TYPE[type].filter(operator => (
+      RANKING_OPERATORS.includes(operator)
+        ? groupedColumnTypes[column] === 'number'
+        : columns.includes(column)
+    ));
+  };
+
+  const updateDraft = (changes) => setDraft(current => ({ ...current, ...changes }));
+
+  const handleDraftColumnChange = (column) => {
+    const operators = column ? operatorsFor(column) : [];
+    updateDraft({
+      column,
+      operator: operators.includes(draft.operator) ? draft.operator : operators[0] || ''
+    });
+  };
+
+  const handleAddFilter = () => {
+    onRulesChange({ ...rules, filters: [...rules.filters, { ...draft, id: nextId(rules.filters) }] });
+    setDraft({ ...EMPTY_DRAFT, column: draft.column, operator: draft.operator });
+  };
+
+  const handleRemoveRule = (rule) => onRulesChange(removeRowRule(rules, rule));
+
+  const updateSortKey = (id, changes) => {
+    onRulesChange({ ...rules, sort: rules.sort.map(key => (key.id === id ? { ...key, ...changes } : key)) });
+  };
+
+  const handleAddSortKey = () => {
+    const used = new Set(rules.sort.map(key => key.column));
+    const column = groupedColumns.find(col => !used.has(col)) || groupedColumns[0];
+    onRulesChange({
+      ...rules,
+      sort: [...rules.sort, { id: nextId(rules.sort), column, direction: SORT_DIRECTIONS.ASC }]
+    });
+  };
+
+  const fieldClassName = 'w-full px-2 py-1 bg-background text-foreground border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary disabled:opacity-50';
+  const buttonClassName = 'px-3 py-1 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed';
+
+  const renderDraftValue = () => {
+    switch (draft.operator) {
+      case FILTER_OPERATORS.EQUALS:
+      case FILTER_OPERATORS.CONTAINS:
+        return (
+          <>
+            <input
+              type="text"
+              value={draft.value}
+              onChange={(e) => updateDraft({ value: e.target.value })}
+              list={draft.operator === FILTER_OPERATORS.EQUALS ? 'row-filter-values' : undefined}
+              placeholder="Value"
+              aria-label="Filter value"
+              className={fieldClassName}
+            />
+            {draft.operator === FILTER_OPERATORS.EQUALS && (
+              <datalist id="row-filter-values">
+                {valueSuggestions.map(value => <option key={value} value={value} />)}
+              </datalist>
+            )}
+          </>
+        );
+      case FILTER_OPERATORS.RANGE:
+        return (
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              value={draft.min}
+              onChange={(e) => updateDraft({ min: e.target.value })}
+              placeholder="Min"
+              aria-label="Minimum"
+              className={fieldClassName}
+            />
+            <span className="text-xs text-muted-foreground">and</span>
+            <input
+              type="number"
+              value={draft.max}
+              onChange={(e) => updateDraft({ max: e.target.value })}
+              placeholder="Max"
+              aria-label="Maximum"
+              className={fieldClassName}
+            />
+          </div>
+        );
+      case FILTER_OPERATORS.TOP_N:
+      case FILTER_OPERATORS.BOTTOM_N:
+        return (
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={draft.count}
+            onChange={(e) => updateDraft({ count: e.target.value })}
+            aria-label="Number of rows"
+            className={fieldClassName}
+          />
+        );
+      case FILTER_OPERATORS.DATE_RANGE:
+        return (
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={draft.from}
+              onChange={(e) => updateDraft({ from: e.target.value })}
+              aria-label="From date"
+              className={fieldClassName}
+            />
+            <span className="text-xs text-muted-foreground">to</span>
+            <input
+              type="date"
+              value={draft.to}
+              onChange={(e) => updateDraft({ to: e.target.value })}
+              aria-label="To date"
+              className={fieldClassName}
+            />
+          </div>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="space-y-4" role="group" aria-labelledby="row-rules-heading">
+      <div>
+        <h4 id="row-rules-heading" className="font-medium text-foreground">
+          Filter &amp; Sort
+        </h4>
+        <p className="text-xs text-muted-foreground mt-1">
+          Choose which rows reach the chart and in what order. Filters pick rows before grouping;
+          &quot;top 10&quot; and sorting then apply to what is left, after grouping.
+        </p>
+      </div>
+
+      <RowRuleChips
+        rules={rules}
+        columns={columns}
+        groupedColumns={groupedColumns}
+        onRemove={handleRemoveRule}
+      />
+
+      {/* Filter builder */}
+      <div>
+        <p className="text-xs text-muted-foreground mb-1">Add a filter</p>
+        <div className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_2fr_auto] gap-2 items-center">
+          <select
+            value={draft.column}
+            onChange={(e) => handleDraftColumnChange(e.target.value)}
+            aria-label="Filter column"
+            className={fieldClassName}
+          >
+            <option value="">Column…</option>
+            {filterColumns.map(col => <option key={col} value={col}>{col}</option>)}
+          </select>
+          <select
+            value={draft.operator}
+            onChange={(e) => updateDraft({ operator: e.target.value })}
+            disabled={!draft.column}
+            aria-label="Filter condition"
+            className={fieldClassName}
+          >
+            {draft.column
+              ? operatorsFor(draft.column).map(operator => (
+                <option key={operator} value={operator}>{FILTER_OPERATOR_LABELS[operator]}</option>
+              ))
+              : <option value="">Condition…</option>}
+          </select>
+          <div>{renderDraftValue()}</div>
+          <button
+            type="button"
+            onClick={handleAddFilter}
+            disabled={!isFilterComplete(draft)}
+            className={buttonClassName}
+          >
+            Add filter
+          </button>
+        </div>
+      </div>
+
+      {/* Multi-key sort */}
+      <div>
+        <p className="text-xs text-muted-foreground mb-1">Sort rows by (later keys break ties)</p>
+        {rules.sort.length > 0 && (
+          <ol className="space-y-2 mb-2">
+            {rules.sort.map((key, position) => (
+              <li key={key.id} className="grid grid-cols-[auto_1fr_1fr_auto] gap-2 items-center">
+                <span className="text-xs text-muted-foreground w-12">{position === 0 ? 'Sort by' : 'then'}</span>
+                <select
+                  value={groupedColumns.includes(key.column) ? key.column : ''}
+                  onChange={(e) => updateSortKey(key.id, { column: e.target.value })}
+                  aria-label={`Sort key ${position + 1} column`}
+                  className={fieldClassName}
+                >
+                  {!groupedColumns.includes(key.column) && <option value="">{key.column} (missing)</option>}
+                  {groupedColumns.map(col => <option key={col} value={col}>{col}</option>)}
+                </select>
+                <select
+                  value={key.direction}
+                  onChange={(e) => updateSortKey(key.id, { direction: e.target.value })}
+                  aria-label={`Sort key ${position + 1} direction`}
+                  className={fieldClassName}
+                >
+                  <option value={SORT_DIRECTIONS.ASC}>Ascending</option>
+                  <option value={SORT_DIRECTIONS.DESC}>Descending</option>
+                </select>
+                <button
+                  type="button"
+                  onClick={() => handleRemoveRule(key)}
+                  aria-label={`Remove sort key ${position + 1}`}
+                  className="w-7 h-7 flex items-center justify-center rounded-md text-muted-foreground hover:bg-muted hover:text-foreground transition-colors"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ol>
+        )}
+        <button type="button" onClick={handleAddSortKey} className={buttonClassName}>
+          Add sort key
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RowRulesPanel;
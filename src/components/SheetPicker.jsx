@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+
+const sameColumns = (a, b) => a.length === b.length && a.every(col => b.includes(col));
+
+const SheetPicker = ({ info, onImport, onCancel }) => {
+  const [selected, setSelected] = useState(() => {
+    const firstWithData = info.sheets.find(sheet => sheet.rowCount > 0);
+    return firstWithData ? [firstWithData.name] : [];
+  });
+
+  const selectedSheets = info.sheets.filter(sheet => selected.includes(sheet.name));
+  const [firstSelected] = selectedSheets;
+  const mismatched = selectedSheets.find(sheet => !sameColumns(sheet.columns, firstSelected.columns));
+  const isStacking = selectedSheets.length > 1;
+
+  const handleToggle = (sheetName) => {
+    setSelected(current => (current.includes(sheetName)
+      ? current.filter(name => name !== sheetName)
+      : [...current, sheetName]));
+  };
+
+  // Keep workbook order rather than click order
+  const handleImport = () => {
+    onImport(info.sheetNames.filter(name => selected.includes(name)));
+  };
+
+  return (
+    <div className="bg-card rounded-lg p-4 border border-border space-y-4" role="group" aria-labelledby="sheet-picker-heading">
+      <div>
+        <h4 id="sheet-picker-heading" className="font-medium text-foreground">
+          Choose Sheets
+        </h4>
+        <p className="text-xs text-muted-foreground mt-1">
+          {info.filename} has {info.totalSheets} sheets. Select one, or several with the same columns to stack them
+          into one dataset with a &quot;Sheet&quot; column.
+        </p>
+      </div>
+
+      <ul className="space-y-2">
+        {info.sheets.map(sheet => {
+          const isSelected = selected.includes(sheet.name);
+          const isEmpty = sheet.rowCount === 0;
+          return (
+            <li key={sheet.name}>
+              <label
+                className={`flex items-center justify-between gap-3 px-3 py-2 rounded-md border text-sm transition-colors ${
+                  isEmpty
+                    ? 'border-border text-muted-foreground opacity-60 cursor-not-allowed'
+                    : isSelected
+                    ? 'border-primary bg-primary/5 text-foreground cursor-pointer'
+                    : 'border-border text-muted-foreground hover:bg-muted/50 cursor-pointer'
+                }`}
+              >
+                <span className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    disabled={isEmpty}
+                    onChange={() => handleToggle(sheet.name)}
+                    className="accent-primary"
+                  />
+                  {sheet.name}
+                </span>
+                <span className="text-xs text-muted-foreground">
+                  {isEmpty
+                    ? 'Empty'
+                    : `${sheet.rowCount.toLocaleString()} rows × ${sheet.columnCount} columns${
+                      sheet.headerRow > 1 ? `, headers on row ${sheet.headerRow}` : ''
+                    }`}
+                </span>
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+
+      {isStacking && mismatched && (
+        <p className="text-sm text-destructive" role="alert">
+          &quot;{mismatched.name}&quot; has different columns from &quot;{firstSelected.name}&quot;, so they can&apos;t be stacked.
+        </p>
+      )}
+
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleImport}
+          disabled={selectedSheets.length === 0 || Boolean(mismatched)}
+          className="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isStacking ? `Stack ${selectedSheets.length} Sheets` : 'Import Sheet'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SheetPicker;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { TIME_UNITS, TIME_UNIT_LABELS } from '../utils/transforms/resample';
+import { AGGREGATION_FUNCTIONS, AGGREGATION_LABELS } from '../utils/transforms/aggregate';
+
+const TimeAxisControls = ({ resample, onResampleChange }) => {
+  const updateResample = (changes) => {
+    onResampleChange({ ...resample, ...changes });
+  };
+
+  const selectClassName = 'px-3 py-1.5 bg-background text-foreground border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary disabled:opacity-50';
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-end gap-3" role="group" aria-label="Time axis">
+      <div>
+        <label htmlFor="time-resample-unit" className="block text-xs text-muted-foreground mb-1">
+          Resample
+        </label>
+        <select
+          id="time-resample-unit"
+          value={resample.unit || ''}
+          onChange={(e) => updateResample({ unit: e.target.value || null })}
+          className={selectClassName}
+        >
+          <option value="">Raw data</option>
+          {Object.values(TIME_UNITS).map(unit => (
+            <option key={unit} value={unit}>{TIME_UNIT_LABELS[unit]}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label htmlFor="time-resample-fn" className="block text-xs text-muted-foreground mb-1">
+          Aggregate with
+        </label>
+        <select
+          id="time-resample-fn"
+          value={resample.fn}
+          onChange={(e) => updateResample({ fn: e.target.value })}
+          disabled={!resample.unit}
+          className={selectClassName}
+        >
+          {Object.values(AGGREGATION_FUNCTIONS).map(fn => (
+            <option key={fn} value={fn}>{AGGREGATION_LABELS[fn]}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default TimeAxisControls;
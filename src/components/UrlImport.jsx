@@ -0,0 +1,148 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { loadFileFromUrl } from '../utils/url-loader';
+import { handleError, getRecoverySuggestions } from '../utils/error-handler';
+import { formatBytes } from '../utils/file-size-validator';
+
+// Optional proxy for servers that don't send CORS headers, e.g. "/proxy?url={url}"
+const URL_PROXY = import.meta.env.VITE_URL_PROXY;
+
+const UrlImport = ({ onFileLoaded, onCancel, disabled }) => {
+  const [url, setUrl] = useState('');
+  const [download, setDownload] = useState(null);
+  const [error, setError] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  // Stop a running download if the panel closes
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  const showError = (rawError) => {
+    const friendly = handleError(rawError);
+    setError({ ...friendly, suggestions: getRecoverySuggestions(rawError) });
+  };
+
+  const handleLoad = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    setDownload({ receivedBytes: 0, totalBytes: null, percent: null });
+
+    try {
+      const result = await loadFileFromUrl(url, {
+        signal: abortController.signal,
+        proxy: URL_PROXY,
+        onProgress: setDownload
+      });
+      setDownload(null);
+
+      if (!result.success) {
+        showError(result.errors[0]);
+        return;
+      }
+
+      // Parsing errors come back already made user-friendly by FileUpload
+      try {
+        await onFileLoaded(result.file);
+      } catch (parseError) {
+        setError({
+          title: parseError.title || 'File Processing Error',
+          message: parseError.message,
+          suggestions: parseError.action ? [parseError.action] : []
+        });
+      }
+    } catch (err) {
+      setDownload(null);
+      if (err.name !== 'AbortError') showError(err);
+    } finally {
+      abortControllerRef.current = null;
+    }
+  };
+
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const isDownloading = Boolean(download);
+
+  return (
+    <form
+      onSubmit={handleLoad}
+      className="bg-card rounded-lg p-4 border border-border space-y-4"
+      role="group"
+      aria-labelledby="url-import-heading"
+    >
+      <div>
+        <h4 id="url-import-heading" className="font-medium text-foreground">
+          Load from URL
+        </h4>
+        <p className="text-xs text-muted-foreground mt-1">
+          Enter the address of a CSV, Excel or JSON file, such as a report endpoint or a file on a shared server,
+          or a path on this site like /sales_sample.csv. Other servers must allow this site to read them (CORS).
+        </p>
+      </div>
+
+      <input
+        type="text"
+        inputMode="url"
+        value={url}
+        onChange={(e) => setUrl(e.target.value)}
+        placeholder="https://example.com/data/report.csv"
+        aria-label="Data URL"
+        disabled={isDownloading}
+        className="w-full px-3 py-2 bg-background border border-border rounded-md text-sm text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+      />
+
+      {isDownloading && (
+        <div>
+          <p className="text-xs text-muted-foreground">
+            {download.totalBytes
+              ? `Downloaded ${formatBytes(download.receivedBytes, 1)} of ${formatBytes(download.totalBytes, 1)}`
+              : `Downloaded ${formatBytes(download.receivedBytes, 1)}`}
+          </p>
+          <div className="h-1.5 bg-muted rounded-full overflow-hidden mt-2">
+            <div
+              className={`h-full bg-primary transition-all duration-200 ${download.percent === null ? 'animate-pulse' : ''}`}
+              style={{ width: `${download.percent ?? 100}%` }}
+            ></div>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="text-sm" role="alert">
+          <p className="font-medium text-destructive">{error.title}</p>
+          <p className="text-muted-foreground mt-1">{error.message}</p>
+          {error.suggestions.length > 0 && (
+            <ul className="list-disc list-inside text-xs text-muted-foreground mt-2 space-y-1">
+              {error.suggestions.map(suggestion => (
+                <li key={suggestion}>{suggestion}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap justify-end gap-3">
+        <button
+          type="button"
+          onClick={isDownloading ? handleStop : onCancel}
+          className="px-4 py-2 bg-secondary text-secondary-foreground rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors text-sm"
+        >
+          {isDownloading ? 'Stop' : 'Cancel'}
+        </button>
+        <button
+          type="submit"
+          disabled={disabled || isDownloading || !url.trim()}
+          className="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Load
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default UrlImport;
@@ -1,6 +1,7 @@
 // Chart.js configuration and utilities
 import { Chart as ChartJS, registerables } from 'chart.js';
 import { DEFAULT_COLORS, CHART_TYPES } from './constants.js';
+import { hasMixedMagnitudes } from './combo-chart.js';
 
 // Register Chart.js components
 ChartJS.register(...registerables);
@@ -82,31 +83,83 @@ export const prepareChartData = (rawData, chartType) => {
   };
 };
 
+// Split columns into numeric and text ones
+const classifyColumns = (data) => {
+  const headers = Object.keys(data[0] || {});
+  return {
+    numericColumns: headers.filter(header => {
+      return data.some(row => typeof row[header] === 'number' || !isNaN(parseFloat(row[header])));
+    }),
+    textColumns: headers.filter(header => {
+      return data.every(row => typeof row[header] === 'string' || isNaN(parseFloat(row[header])));
+    })
+  };
+};
+
 // Helper to suggest appropriate chart types based on data
-export const getChartSuggestions = (data) => {
+// Histograms and box plots are judged on distributionData, the rows before grouping
+export const getChartSuggestions = (data, distributionData = data) => {
   if (!data || !Array.isArray(data) || data.length === 0) {
     return [];
   }
 
   const suggestions = [];
-  const headers = Object.keys(data[0] || {});
   
   // Count numeric vs text columns
-  const numericColumns = headers.filter(header => {
-    return data.some(row => typeof row[header] === 'number' || !isNaN(parseFloat(row[header])));
-  });
-  
-  const textColumns = headers.filter(header => {
-    return data.every(row => typeof row[header] === 'string' || isNaN(parseFloat(row[header])));
-  });
+  const { numericColumns, textColumns } = classifyColumns(data);
 
-  // Bar chart - good for categorical data
+  // Bar chart - good for categorical data, side by side when there are several series
   if (textColumns.length > 0 && numericColumns.length > 0) {
     suggestions.push({
       type: CHART_TYPES.BAR,
-      name: 'Bar Chart',
+      name: 'Grouped Bar Chart',
       score: 90,
-      reason: 'Great for comparing categories'
+      reason: numericColumns.length >= 2 ? 'Compares series side by side in each category' : 'Great for comparing categories'
+    });
+  }
+
+  // Horizontal bars - long or many labels read better down the side
+  if (textColumns.length > 0 && numericColumns.length > 0) {
+    const labels = data.map(row => String(row[textColumns[0]] ?? ''));
+    const averageLength = labels.reduce((total, label) => total + label.length, 0) / labels.length;
+    const hasLongLabels = averageLength > 12 || new Set(labels).size > 15;
+    suggestions.push({
+      type: CHART_TYPES.HORIZONTAL_BAR,
+      name: 'Horizontal Bar Chart',
+      score: hasLongLabels ? 92 : 60,
+      reason: hasLongLabels ? 'Long category labels stay readable' : 'Works for ranked categories'
+    });
+  }
+
+  // Stacked bars - several series that add up to a meaningful total
+  if (textColumns.length > 0 && numericColumns.length >= 2) {
+    const hasNoNegatives = data.every(row => numericColumns.every(header => !(parseFloat(row[header]) < 0)));
+    suggestions.push({
+      type: CHART_TYPES.STACKED_BAR,
+      name: 'Stacked Bar Chart',
+      score: hasNoNegatives ? 82 : 55,
+      reason: hasNoNegatives ? 'Shows totals and what makes them up' : 'Negative values make stacks hard to read'
+    });
+
+    // 100% stacked bars only make sense when no part is negative
+    if (hasNoNegatives) {
+      suggestions.push({
+        type: CHART_TYPES.PERCENT_BAR,
+        name: '100% Stacked Bar Chart',
+        score: numericColumns.length >= 3 ? 78 : 68,
+        reason: 'Compares the mix of each category regardless of size'
+      });
+    }
+  }
+
+  // Combo chart - series on very different scales (dollars next to counts) need a second axis
+  if (numericColumns.length >= 2) {
+    const isMixed = hasMixedMagnitudes(data, numericColumns);
+    suggestions.push({
+      type: CHART_TYPES.COMBO,
+      name: 'Combo Chart',
+      score: isMixed ? 88 : 50,
+      reason: isMixed ? 'Small series get their own axis instead of looking flat' : 'Mixes bars and lines for related measures'
     });
   }
 
@@ -140,6 +193,63 @@ export const getChartSuggestions = (data) => {
     });
   }
 
+  // Bubble chart - a third measure shown as bubble size
+  if (numericColumns.length >= 3) {
+    suggestions.push({
+      type: CHART_TYPES.BUBBLE,
+      name: 'Bubble Chart',
+      score: 66,
+      reason: 'Plots three measures at once by position and size'
+    });
+  }
+
+  // Radar chart - several metrics for a handful of named items
+  if (textColumns.length > 0 && numericColumns.length >= 3 && data.length >= 2 && data.length <= 12) {
+    suggestions.push({
+      type: CHART_TYPES.RADAR,
+      name: 'Radar Chart',
+      score: data.length <= 6 ? 74 : 58,
+      reason: data.length <= 6 ? 'Compares the profile of each item across metrics' : 'Many outlines overlap - fewer rows read better'
+    });
+  }
+
+  // Polar area chart - like a pie, but slices reach out by value instead of widening
+  if (textColumns.length === 1 && numericColumns.length === 1 && data.length <= 10) {
+    suggestions.push({
+      type: CHART_TYPES.POLAR_AREA,
+      name: 'Polar Area Chart',
+      score: 65,
+      reason: 'Compares categories around a circle'
+    });
+  }
+
+  // Histogram - spread of a numeric column, which needs enough rows to show a shape
+  const rows = distributionData?.length > 0 ? distributionData : data;
+  const rowColumns = rows === data ? { numericColumns, textColumns } : classifyColumns(rows);
+  if (rowColumns.numericColumns.length > 0) {
+    const hasManyRows = rows.length >= 30;
+    suggestions.push({
+      type: CHART_TYPES.HISTOGRAM,
+      name: 'Histogram',
+      score: hasManyRows ? 72 : 40,
+      reason: hasManyRows ? 'Shows how values are spread and where they cluster' : 'Too few rows to show a clear distribution'
+    });
+  }
+
+  // Box plot - spread per category, when categories repeat across rows
+  if (rowColumns.numericColumns.length > 0 && rowColumns.textColumns.length > 0) {
+    const hasGroups = rowColumns.textColumns.some(header => {
+      const categories = new Set(rows.map(row => row[header]));
+      return categories.size < rows.length && categories.size <= 20;
+    });
+    suggestions.push({
+      type: CHART_TYPES.BOX_PLOT,
+      name: 'Box Plot',
+      score: hasGroups ? 74 : 35,
+      reason: hasGroups ? 'Compares the spread and outliers of each category' : 'Each category has a single value'
+    });
+  }
+
   // Sort by score (highest first)
   return suggestions.sort((a, b) => b.score - a.score);
 };
@@ -0,0 +1,153 @@
+// Combo chart settings
+// Each series is drawn as bars or a line against the left or right Y axis, and
+// each axis has its own scale settings
+export const COMBO_MARKS = {
+  BAR: 'bar',
+  LINE: 'line'
+};
+
+export const COMBO_MARK_LABELS = {
+  [COMBO_MARKS.BAR]: 'Bars',
+  [COMBO_MARKS.LINE]: 'Line'
+};
+
+export const Y_AXES = {
+  LEFT: 'left',
+  RIGHT: 'right'
+};
+
+export const Y_AXIS_LABELS = {
+  [Y_AXES.LEFT]: 'Left axis',
+  [Y_AXES.RIGHT]: 'Right axis'
+};
+
+export const AXIS_SCALE_TYPES = {
+  LINEAR: 'linear',
+  LOGARITHMIC: 'logarithmic'
+};
+
+export const AXIS_SCALE_LABELS = {
+  [AXIS_SCALE_TYPES.LINEAR]: 'Linear',
+  [AXIS_SCALE_TYPES.LOGARITHMIC]: 'Logarithmic'
+};
+
+export const DEFAULT_AXIS_SETTINGS = {
+  scale: AXIS_SCALE_TYPES.LINEAR,
+  beginAtZero: true,
+  min: null,
+  max: null,
+  title: ''
+};
+
+// Series without a user choice are assigned by suggestComboSeries
+export const EMPTY_COMBO_SETTINGS = {
+  series: {},
+  axes: {
+    [Y_AXES.LEFT]: DEFAULT_AXIS_SETTINGS,
+    [Y_AXES.RIGHT]: DEFAULT_AXIS_SETTINGS
+  }
+};
+
+// Series whose largest value is this many times smaller than the biggest series
+// would look flat on a shared axis, so they move to the right one
+const SCALE_GAP = 10;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Largest absolute value of each column
+ * @param {Array} data - Row objects
+ * @param {Array<string>} columns - Numeric columns
+ * @returns {Object} Peak keyed by column (0 for columns without numbers)
+ */
+export const getColumnPeaks = (data, columns) => Object.fromEntries(columns.map(column => [
+  column,
+  (data || []).reduce((peak, row) => {
+    const value = Math.abs(parseFloat(row[column]));
+    return Number.isFinite(value) && value > peak ? value : peak;
+  }, 0)
+]));
+
+/**
+ * Check whether columns differ so much in size that they need two axes
+ * @param {Array} data - Row objects
+ * @param {Array<string>} columns - Numeric columns
+ * @returns {boolean} True when the smallest peak is SCALE_GAP times below the largest
+ */
+export const hasMixedMagnitudes = (data, columns) => {
+  const peaks = Object.values(getColumnPeaks(data, columns)).filter(peak => peak > 0);
+  return peaks.length >= 2 && Math.max(...peaks) >= Math.min(...peaks) * SCALE_GAP;
+};
+
+/**
+ * Suggest a mark and axis per series: the largest series and those near its size
+ * are bars on the left, much smaller ones are lines on the right
+ * @param {Array} data - Row objects
+ * @param {Array<string>} columns - Value columns, in legend order
+ * @returns {Object} { mark, axis } keyed by column
+ */
+export const suggestComboSeries = (data, columns) => {
+  const peaks = getColumnPeaks(data, columns);
+  const largest = Math.max(0, ...Object.values(peaks));
+
+  return Object.fromEntries(columns.map(column => {
+    const isSmall = largest > 0 && peaks[column] * SCALE_GAP <= largest;
+    return [column, isSmall
+      ? { mark: COMBO_MARKS.LINE, axis: Y_AXES.RIGHT }
+      : { mark: COMBO_MARKS.BAR, axis: Y_AXES.LEFT }];
+  }));
+};
+
+/**
+ * Merge the user's per-series choices over the suggested ones
+ * @param {Object} settings - Combo settings (see EMPTY_COMBO_SETTINGS)
+ * @param {Array} data - Row objects
+ * @param {Array<string>} columns - Value columns
+ * @returns {Object} { mark, axis } keyed by column
+ */
+export const resolveComboSeries = (settings, data, columns) => {
+  const suggested = suggestComboSeries(data, columns);
+  return Object.fromEntries(columns.map(column => [
+    column,
+    { ...suggested[column], ...settings?.series?.[column] }
+  ]));
+};
+
+/**
+ * Describe what is wrong with an axis's scale settings
+ * @param {Object} axis - Axis settings (see DEFAULT_AXIS_SETTINGS)
+ * @returns {string|null} Error message, or null when the settings can be used
+ */
+export const getAxisSettingsError = (axis) => {
+  if (!axis) return null;
+
+  const { scale, min, max } = axis;
+  if (isSet(min) && !Number.isFinite(Number(min))) return 'Minimum must be a number';
+  if (isSet(max) && !Number.isFinite(Number(max))) return 'Maximum must be a number';
+  if (isSet(min) && isSet(max) && Number(min) >= Number(max)) return 'Minimum must be less than maximum';
+  if (scale === AXIS_SCALE_TYPES.LOGARITHMIC && isSet(min) && Number(min) <= 0) {
+    return 'A logarithmic axis needs a minimum above zero';
+  }
+  return null;
+};
+
+/**
+ * Chart.js scale options for an axis's settings (invalid bounds are left out)
+ * @param {Object} axis - Axis settings (see DEFAULT_AXIS_SETTINGS)
+ * @returns {Object} Partial Chart.js scale config
+ */
+export const getAxisScaleOptions = (axis = DEFAULT_AXIS_SETTINGS) => {
+  const { scale, beginAtZero, min, max } = { ...DEFAULT_AXIS_SETTINGS, ...axis };
+  const isLogarithmic = scale === AXIS_SCALE_TYPES.LOGARITHMIC;
+  const options = {
+    type: isLogarithmic ? AXIS_SCALE_TYPES.LOGARITHMIC : AXIS_SCALE_TYPES.LINEAR,
+    // Log scales have no zero to start from
+    beginAtZero: !isLogarithmic && beginAtZero,
+  };
+
+  if (!getAxisSettingsError(axis)) {
+    if (isSet(min)) options.min = Number(min);
+    if (isSet(max)) options.max = Number(max);
+  }
+  return options;
+};
@@ -16,22 +16,63 @@ export const PERFORMANCE_THRESHOLDS = {
 // Supported file types
 export const SUPPORTED_FILE_TYPES = {
   CSV: '.csv',
-  EXCEL: '.xlsx'
+  EXCEL: '.xlsx',
+  JSON: '.json'
 };
 
 export const SUPPORTED_MIME_TYPES = [
   'text/csv',
-  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/json',
+  'application/x-ndjson'
 ];
 
 // Chart types
 export const CHART_TYPES = {
   BAR: 'bar',
+  STACKED_BAR: 'stacked-bar',
+  PERCENT_BAR: 'percent-bar',
+  HORIZONTAL_BAR: 'horizontal-bar',
+  COMBO: 'combo',
   LINE: 'line', 
   PIE: 'pie',
-  AREA: 'area'
+  AREA: 'area',
+  HISTOGRAM: 'histogram',
+  BOX_PLOT: 'box-plot',
+  SCATTER: 'scatter',
+  BUBBLE: 'bubble',
+  RADAR: 'radar',
+  POLAR_AREA: 'polar-area'
 };
 
+// Bar chart variants: grouped (plain 'bar'), stacked, 100% stacked and horizontal
+export const BAR_CHART_TYPES = [
+  CHART_TYPES.BAR,
+  CHART_TYPES.STACKED_BAR,
+  CHART_TYPES.PERCENT_BAR,
+  CHART_TYPES.HORIZONTAL_BAR
+];
+
+// Variants whose series stack on top of each other
+export const STACKED_CHART_TYPES = [CHART_TYPES.STACKED_BAR, CHART_TYPES.PERCENT_BAR];
+
+// Chart types that plot a numeric X column against numeric Y columns
+export const XY_CHART_TYPES = [CHART_TYPES.SCATTER, CHART_TYPES.BUBBLE];
+
+// Chart types that plot the spread of one value column rather than values per label
+export const DISTRIBUTION_CHART_TYPES = [CHART_TYPES.HISTOGRAM, CHART_TYPES.BOX_PLOT];
+
+// Chart types that plot a date X column on a time scale rather than as labels
+// (horizontal bars put labels on the Y axis, so their dates stay text)
+export const TIME_SCALE_CHART_TYPES = [
+  CHART_TYPES.BAR,
+  CHART_TYPES.STACKED_BAR,
+  CHART_TYPES.PERCENT_BAR,
+  CHART_TYPES.COMBO,
+  CHART_TYPES.LINE,
+  CHART_TYPES.AREA
+];
+
 // Chart.js default colors
 export const DEFAULT_COLORS = [
   '#3B82F6', // blue-500
@@ -50,5 +91,7 @@ export const ERROR_TYPES = {
   FILE_TYPE: 'type', 
   PARSE_ERROR: 'parse',
   EMPTY_FILE: 'empty',
-  NO_NUMERIC_DATA: 'no-numeric'
+  NO_NUMERIC_DATA: 'no-numeric',
+  NETWORK: 'network',
+  HTTP: 'http'
 }; 
\ No newline at end of file
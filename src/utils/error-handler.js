@@ -1,6 +1,39 @@
 // Centralized Error Handler for Graph Gleam
 import { ERROR_TYPES } from './constants.js';
 
+/**
+ * Recovery suggestions for a failed download, by HTTP status
+ * @param {number} status - HTTP status code
+ * @returns {Array} Array of recovery suggestions
+ */
+const getHttpSuggestions = (status) => {
+  if (status === 401 || status === 403) {
+    return [
+      'Check that the address doesn\'t need you to sign in',
+      'Ask the owner to share the file publicly or with a link',
+      'Download the file while signed in and upload it instead'
+    ];
+  }
+  if (status === 404 || status === 410) {
+    return [
+      'Check the address for typos',
+      'Make sure the file hasn\'t been moved or renamed',
+      'Copy the address again from where the file is published'
+    ];
+  }
+  if (status >= 500) {
+    return [
+      'The server had a problem - try again in a few minutes',
+      'Check whether the report endpoint is running',
+      'Download the file another way and upload it instead'
+    ];
+  }
+  return [
+    'Check the address and try again',
+    'Download the file and upload it instead'
+  ];
+};
+
 /**
  * Centralized error handling and formatting system
  * Provides consistent error messages, recovery suggestions, and logging
@@ -146,8 +179,8 @@ export class ErrorHandler {
       case ERROR_TYPES.FILE_TYPE:
         return {
           title: 'Unsupported File Type',
-          message: `"${filename}" is not a supported file type. Please use CSV or Excel (.xlsx) files.`,
-          action: 'Convert your file to CSV or Excel format and try again',
+          message: `"${filename}" is not a supported file type. Please use CSV, Excel (.xlsx, .xls, .xlsb), OpenDocument (.ods) or JSON files.`,
+          action: 'Convert your file to CSV, Excel or JSON format and try again',
           icon: '📄',
           severity: 'error'
         };
@@ -171,6 +204,26 @@ export class ErrorHandler {
           example: error.example
         };
 
+      case ERROR_TYPES.NETWORK:
+        return {
+          title: 'Could Not Download',
+          message: error.message || `Couldn't download "${filename}".`,
+          action: 'Check the address, or download the file and upload it instead',
+          icon: '🌐',
+          severity: 'error'
+        };
+
+      case ERROR_TYPES.HTTP:
+        return {
+          title: `Download Failed (${error.status || 'HTTP error'})`,
+          message: error.message || `The server refused the request for "${filename}".`,
+          action: error.status === 401 || error.status === 403
+            ? 'Sign in or ask for access, then try again'
+            : 'Check the address and try again',
+          icon: '🌐',
+          severity: 'error'
+        };
+
       case ERROR_TYPES.PARSE_ERROR:
         return {
           title: 'File Processing Error',
@@ -212,6 +265,7 @@ export class ErrorHandler {
         return [
           'Save your data as a CSV file (.csv)',
           'Export as Excel format (.xlsx)',
+          'Save API responses as JSON (.json) or NDJSON (.ndjson)',
           'Ensure file extension matches the format',
           'Try our sample data to see the expected format'
         ];
@@ -232,6 +286,17 @@ export class ErrorHandler {
           'See our example data for proper formatting'
         ];
 
+      case ERROR_TYPES.NETWORK:
+        return [
+          'Open the address in a new browser tab to check it is reachable',
+          'Ask the server owner to allow this site with an Access-Control-Allow-Origin header (CORS)',
+          'Load the address through a proxy on this site (set VITE_URL_PROXY)',
+          'Download the file and upload it, or paste its contents'
+        ];
+
+      case ERROR_TYPES.HTTP:
+        return getHttpSuggestions(error.status);
+
       case ERROR_TYPES.PARSE_ERROR:
         return [
           'Check that your file isn\'t corrupted',
@@ -446,6 +511,26 @@ export const createFileError = (filename, message, errorType = ERROR_TYPES.PARSE
   };
 };
 
+export const createNetworkError = (url, message, details = {}) => {
+  return {
+    type: ERROR_TYPES.NETWORK,
+    message,
+    filename: url,
+    action: 'check-url',
+    ...details
+  };
+};
+
+export const createHttpError = (url, status, statusText = '') => {
+  return {
+    type: ERROR_TYPES.HTTP,
+    message: `The server answered "${url}" with ${status}${statusText ? ` ${statusText}` : ''}.`,
+    filename: url,
+    status,
+    action: 'check-url'
+  };
+};
+
 export const createValidationError = (message, data = {}) => {
   return {
     type: ERROR_TYPES.NO_NUMERIC_DATA,
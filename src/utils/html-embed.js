@@ -0,0 +1,206 @@
+// Embed code generation for charts (interactive HTML or static image)
+import { getThemeById } from './theme-manager.js';
+
+export const EMBED_MODES = {
+  INTERACTIVE: 'interactive',
+  IMAGE: 'image'
+};
+
+// Where the interactive embed loads Chart.js from
+export const CHART_JS_SOURCES = {
+  INLINE: 'inline', // Chart.js is pasted into the snippet - fully self-contained
+  LOCAL: 'local' // Snippet references a copy of Chart.js hosted next to the page
+};
+
+export const LOCAL_CHART_JS_FILENAME = 'chart.umd.min.js';
+export const LOCAL_DATE_ADAPTER_FILENAME = 'chartjs-adapter-date-fns.bundle.min.js';
+
+// Marker used to carry option callbacks through JSON
+const FUNCTION_KEY = '__graphGleamFunction';
+
+/**
+ * Build the CSS custom property declarations for a theme
+ * @param {string} themeId - Theme ID
+ * @returns {string} Inline style declarations
+ */
+const getThemeStyle = (themeId) => {
+  const theme = themeId && themeId !== 'default' ? getThemeById(themeId) : null;
+  if (!theme?.variables) return '';
+
+  const variables = Object.entries(theme.variables)
+    .map(([property, value]) => `${property}: ${value};`)
+    .join(' ');
+
+  return `${variables} font-family: var(--font-sans); background: var(--card); color: var(--card-foreground); border-radius: var(--radius);`;
+};
+
+// Method shorthand ("numeric(value) {...}", as Chart.js writes its own tick
+// formatters) only parses as an expression once the function keyword is added
+const toFunctionSource = (fn) => {
+  const source = fn.toString();
+  return /^[A-Za-z_$][\w$]*\s*\([^)]*\)\s*\{/.test(source) && !source.startsWith('function')
+    ? `function ${source}`
+    : source;
+};
+
+/**
+ * Serialize a live chart's config to JSON that can be embedded in a page
+ * Callbacks are carried as source text, so they must not rely on closures.
+ * @param {Object} chart - Live Chart.js instance
+ * @returns {string} JSON string safe to place inside a <script> element
+ */
+export const serializeChartConfig = (chart) => {
+  const { type, data, options } = chart.config;
+
+  const config = {
+    type,
+    data: {
+      ...data,
+      datasets: data.datasets.map((dataset, index) => ({
+        ...dataset,
+        hidden: !chart.isDatasetVisible(index)
+      }))
+    },
+    options: {
+      ...options,
+      responsive: true,
+      maintainAspectRatio: false
+    }
+  };
+
+  const json = JSON.stringify(config, (key, value) => {
+    if (typeof value === 'function') {
+      return { [FUNCTION_KEY]: toFunctionSource(value) };
+    }
+    return value;
+  });
+
+  // Prevent "</script>" inside data values from closing the embedding tag
+  return json.replace(/</g, '\\u003c');
+};
+
+/**
+ * Load the Chart.js UMD bundle as text so it can be inlined
+ * @returns {Promise<string>} Chart.js source
+ */
+const loadChartJsSource = async () => {
+  const module = await import('chart.js/umd?raw');
+  return module.default;
+};
+
+/**
+ * Load the date-fns adapter bundle as text so time scales work in the embed
+ * @returns {Promise<string>} Adapter source (includes date-fns)
+ */
+const loadDateAdapterSource = async () => {
+  const module = await import('chartjs-adapter-date-fns/bundle?raw');
+  return module.default;
+};
+
+/**
+ * Check whether a chart uses a time scale (and so needs a date adapter)
+ * @param {Object} chart - Live Chart.js instance
+ * @returns {boolean} True if any scale is a time scale
+ */
+const usesTimeScale = (chart) => Object.values(chart.config.options?.scales || {})
+  .some(scale => scale?.type === 'time' || scale?.type === 'timeseries');
+
+/**
+ * Build an interactive HTML snippet that recreates the chart with Chart.js
+ * Tooltips, legend toggling and responsive resizing behave as they do in the app.
+ * @param {Object} chart - Live Chart.js instance
+ * @param {Object} options - Snippet options
+ * @param {string} options.themeId - Active theme ID
+ * @param {string} options.chartSource - One of CHART_JS_SOURCES
+ * @param {number} options.height - Chart height in pixels
+ * @param {string} options.description - How the charted rows were prepared, noted in the leading comment
+ * @returns {Promise<string>} HTML snippet
+ */
+export const buildInteractiveEmbed = async (chart, options = {}) => {
+  if (!chart?.config) {
+    throw new Error('No chart available to embed');
+  }
+
+  const {
+    themeId = 'default',
+    chartSource = CHART_JS_SOURCES.INLINE,
+    height = 400,
+    description = ''
+  } = options;
+
+  const id = `graph-gleam-chart-${Math.random().toString(36).slice(2, 10)}`;
+  const isInline = chartSource === CHART_JS_SOURCES.INLINE;
+  let chartJsTag = isInline
+    ? `<script>${await loadChartJsSource()}</script>`
+    : `<script src="${LOCAL_CHART_JS_FILENAME}"></script>`;
+
+  if (usesTimeScale(chart)) {
+    chartJsTag += isInline
+      ? `\n<script>${await loadDateAdapterSource()}</script>`
+      : `\n<script src="${LOCAL_DATE_ADAPTER_FILENAME}"></script>`;
+  }
+
+  // "--" would end the comment early
+  const note = description ? `. ${description.replace(/--/g, '- -')}` : '';
+
+  return `<!-- Chart generated by Graph Gleam${note} -->
+<div id="${id}" style="position: relative; width: 100%; height: ${height}px; padding: 16px; box-sizing: border-box; ${getThemeStyle(themeId)}">
+  <canvas role="img" aria-label="Chart generated by Graph Gleam"></canvas>
+</div>
+<script type="application/json" id="${id}-config">${serializeChartConfig(chart)}</script>
+${chartJsTag}
+<script>
+(function () {
+  var container = document.getElementById('${id}');
+  var config = JSON.parse(document.getElementById('${id}-config').textContent, function (key, value) {
+    return value && value.${FUNCTION_KEY} ? new Function('return (' + value.${FUNCTION_KEY} + ')')() : value;
+  });
+  new Chart(container.querySelector('canvas'), config);
+})();
+</script>`;
+};
+
+/**
+ * Build a standalone HTML document containing the interactive chart
+ * @param {Object} chart - Live Chart.js instance
+ * @param {Object} options - Same options as buildInteractiveEmbed, plus a document title
+ * @returns {Promise<string>} Complete HTML document
+ */
+export const buildEmbedDocument = async (chart, options = {}) => {
+  const title = options.title || 'Chart generated by Graph Gleam';
+  const snippet = await buildInteractiveEmbed(chart, options);
+  const escapeAttribute = (text) => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  const descriptionTag = options.description
+    ? `\n  <meta name="description" content="${escapeAttribute(options.description)}" />`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${title.replace(/</g, '&lt;')}</title>${descriptionTag}
+</head>
+<body style="margin: 0; padding: 16px;">
+${snippet}
+</body>
+</html>
+`;
+};
+
+/**
+ * Build the static image embed (base64 PNG in an <img> tag)
+ * @param {Object} chart - Live Chart.js instance
+ * @param {Object} options - Embed options
+ * @param {string} options.themeId - Active theme ID
+ * @returns {string} HTML <img> tag
+ */
+export const buildImageEmbed = (chart, options = {}) => {
+  if (!chart?.canvas) return '';
+
+  const { themeId = 'default' } = options;
+  const dataURL = chart.canvas.toDataURL();
+  const themeInfo = themeId !== 'default' ? ` (${themeId} theme)` : '';
+
+  return `<img src="${dataURL}" alt="Chart generated by Graph Gleam${themeInfo}" style="max-width: 100%; height: auto;" />`;
+};
@@ -0,0 +1,114 @@
+// Pasted data from the clipboard or a textarea
+// Spreadsheets copy cells as tab-separated text and web pages copy tables as
+// HTML. Both become delimited text, which is wrapped in a File so it goes
+// through parseCSV (delimiter detection, table range, numbers and dates) and
+// validation like an uploaded file.
+
+// Name given to pasted data; the .csv extension routes it to the CSV parser
+export const PASTED_FILENAME = 'pasted-data.csv';
+
+export const PASTE_SOURCES = {
+  TEXT: 'text',
+  HTML_TABLE: 'html-table'
+};
+
+/**
+ * Read the cells of the largest table in an HTML fragment
+ * Cells spanning several columns are followed by empty cells so later
+ * columns stay aligned; spanning header cells are repeated with a number
+ * instead ("Population", "Population 2") so every column has a name.
+ * @param {string} html - HTML from the clipboard
+ * @returns {Array<Array<string>>|null} Rows of cell text, or null without a table
+ */
+export const htmlTableToRows = (html) => {
+  if (!html || !/<table[\s>]/i.test(html)) return null;
+
+  const fragment = new DOMParser().parseFromString(html, 'text/html');
+  const tables = [...fragment.querySelectorAll('table')];
+  if (tables.length === 0) return null;
+
+  const table = tables.reduce((largest, candidate) => (
+    candidate.querySelectorAll('td, th').length > largest.querySelectorAll('td, th').length ? candidate : largest
+  ));
+
+  const rows = [...table.rows].map(row => [...row.cells].flatMap(cell => {
+    const text = cell.textContent.replace(/\s+/g, ' ').trim();
+    const span = Math.max(1, Number(cell.colSpan) || 1);
+    const spanned = Array.from({ length: span - 1 }, (_, index) => (
+      cell.tagName === 'TH' && text ? `${text} ${index + 2}` : ''
+    ));
+    return [text, ...spanned];
+  }));
+
+  return rows.length > 0 ? rows : null;
+};
+
+/**
+ * Join rows of cells as tab-separated text, quoting cells that need it
+ * @param {Array<Array<string>>} rows - Rows of cell text
+ * @returns {string} Tab-separated text
+ */
+export const rowsToDelimitedText = (rows) => {
+  const quote = (cell) => {
+    const text = cell === null || cell === undefined ? '' : String(cell);
+    return /[\t\n\r"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(quote).join('\t')).join('\n');
+};
+
+/**
+ * Convert clipboard HTML holding a table into a paste result
+ * @param {string} html - HTML from the clipboard
+ * @returns {Object|null} { text, source, rowCount }, or null without a table
+ */
+const fromHtmlTable = (html) => {
+  const rows = htmlTableToRows(html);
+  return rows
+    ? { text: rowsToDelimitedText(rows), source: PASTE_SOURCES.HTML_TABLE, rowCount: rows.length }
+    : null;
+};
+
+/**
+ * Get the text to parse from a paste event's clipboard data
+ * An HTML table is preferred, since web pages often copy tables as text
+ * with inconsistent spacing.
+ * @param {DataTransfer} clipboardData - event.clipboardData
+ * @returns {Object} { text, source, rowCount } - source is one of PASTE_SOURCES
+ */
+export const getPastedText = (clipboardData) => {
+  return fromHtmlTable(clipboardData.getData('text/html')) ||
+    { text: clipboardData.getData('text/plain'), source: PASTE_SOURCES.TEXT, rowCount: null };
+};
+
+/**
+ * Read the clipboard through the async Clipboard API, preferring an HTML table
+ * The browser may ask the user for permission, and some browsers only offer
+ * plain text.
+ * @returns {Promise<Object>} { text, source, rowCount } as for getPastedText
+ */
+export const readClipboard = async () => {
+  if (!navigator.clipboard) {
+    throw new Error('This browser does not allow reading the clipboard. Paste into the text box instead.');
+  }
+
+  if (navigator.clipboard.read) {
+    const items = await navigator.clipboard.read();
+    const htmlItem = items.find(item => item.types.includes('text/html'));
+    if (htmlItem) {
+      const pasted = fromHtmlTable(await (await htmlItem.getType('text/html')).text());
+      if (pasted) return pasted;
+    }
+  }
+
+  return { text: await navigator.clipboard.readText(), source: PASTE_SOURCES.TEXT, rowCount: null };
+};
+
+/**
+ * Wrap pasted text in a File for the upload pipeline
+ * @param {string} text - Delimited text
+ * @param {string} filename - Name shown for the data
+ * @returns {File} CSV file
+ */
+export const createPastedFile = (text, filename = PASTED_FILENAME) => {
+  return new File([text], filename, { type: 'text/csv' });
+};
@@ -1,14 +1,34 @@
 // CSV Parser Utility
 import Papa from 'papaparse';
 import { MAX_FILE_SIZE, MAX_ROWS, ERROR_TYPES } from '../constants.js';
+import { parseDateColumns } from './date-detection.js';
+import { extractTable } from './table-range.js';
+import { normalizeNumberColumns } from './number-normalization.js';
+import { decodeText } from './encoding-detection.js';
+
+// Bytes per streamed chunk when reporting progress (papaparse defaults to 10MB, i.e. one chunk)
+const CSV_PROGRESS_CHUNK_SIZE = 256 * 1024;
+
+// Bytes decoded for info and previews; larger than the encoding detection sample
+// so a character cut off at the end doesn't look like invalid UTF-8
+const CSV_SAMPLE_BYTES = 256 * 1024;
+
+// Plain numbers, as papaparse's dynamicTyping recognizes them
+const PLAIN_NUMBER = /^\s*-?(\d+\.?|\.\d+|\d+\.\d+)([eE][-+]?\d+)?\s*$/;
 
 /**
  * Parse CSV file with comprehensive error handling and validation
  * @param {File} file - The CSV file to parse
- * @param {Object} options - Parsing options
+ * @param {Object} options - Parsing options (papaparse config, plus dayFirst for ambiguous dates)
+ * @param {Function} options.onProgress - Called per chunk with { rowsProcessed, percent }
+ * @param {Object} options.tableRange - Header row, data range and ignored row prefixes (see extractTable); detected when omitted
+ * @param {string} options.numberLocale - Number format preset (see NUMBER_LOCALES), or 'auto' to detect it
+ * @param {string} options.encoding - Text encoding (see TEXT_ENCODINGS), or 'auto' to detect it
  * @returns {Promise<Object>} Parsed data and metadata
  */
 export const parseCSV = async (file, options = {}) => {
+  const { dayFirst = false, onProgress, tableRange, numberLocale = 'auto', encoding = 'auto', ...papaOptions } = options;
+
   try {
     // Validate file before parsing
     const validation = validateCSVFile(file);
@@ -16,44 +36,70 @@ export const parseCSV = async (file, options = {}) => {
       throw new Error(validation.error);
     }
 
+    // Decode the bytes ourselves; papaparse would read every file as UTF-8
+    const decoded = await readCSVText(file, encoding);
+
     // Detect delimiter
-    const delimiter = await detectDelimiter(file);
+    const delimiter = detectDelimiter(decoded.text);
     
     // Configure papaparse options
+    // Cells stay text so formatted numbers can be read with the right locale below
     const parseConfig = {
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true,
+      dynamicTyping: false,
       delimiter: delimiter,
-      transformHeader: (header) => header.trim(), // Clean whitespace
       transform: (value) => {
         // Handle empty strings and convert to null for consistency
         if (value === '' || value === undefined) return null;
         return value;
       },
-      ...options
+      ...papaOptions,
+      // Rows are read as arrays, blank lines included, so the header row and
+      // data range can be located by line number
+      header: false,
+      skipEmptyLines: false
     };
 
     // Parse the file
-    const parseResult = await parseFileWithPapa(file, parseConfig);
+    const parseResult = await parseTextWithPapa(decoded.text, parseConfig, onProgress);
+
+    // Find the header row and data block (titles, notes and totals are left out)
+    const table = parseResult.data.length > 0
+      ? extractTable(parseResult.data, tableRange)
+      : { columns: [], rows: [], range: null };
+    const tableRows = table.rows.map(cells => Object.fromEntries(
+      table.columns.map((column, index) => [column, cells[index]])
+    ));
+
+    // "$45,000", "1.234,56", "(1,200)" and "12%" become numbers; anything else plain is typed as papaparse would
+    const normalized = normalizeNumberColumns(tableRows, table.columns, { locale: numberLocale });
+    const rows = normalized.data.map(row => typePlainValues(row));
     
     // Validate parsed data
-    const dataValidation = validateParsedData(parseResult.data, file.name);
+    const dataValidation = validateParsedData(rows, file.name);
     if (!dataValidation.isValid) {
       throw new Error(dataValidation.error);
     }
 
+    // Dates are still text; convert date-like columns to Date objects
+    const { data, dateColumns } = parseDateColumns(rows, table.columns, { dayFirst });
+
     // Return standardized format
     return {
       success: true,
-      data: parseResult.data,
+      data,
       meta: {
         filename: file.name,
         fileSize: file.size,
-        rowCount: parseResult.data.length,
-        columnCount: parseResult.meta.fields?.length || 0,
-        columns: parseResult.meta.fields || [],
+        rowCount: rows.length,
+        columnCount: table.columns.length,
+        columns: table.columns,
         delimiter: delimiter,
+        encoding: decoded.encoding,
+        encodingSource: decoded.source,
+        tableRange: table.range,
+        numberLocale: normalized.locale,
+        numberFormats: normalized.numberFormats,
+        dateColumns,
         parseErrors: parseResult.errors,
         truncated: parseResult.meta.truncated || false
       },
@@ -74,6 +120,29 @@ export const parseCSV = async (file, options = {}) => {
   }
 };
 
+/**
+ * Convert plain number and boolean text, matching papaparse's dynamicTyping
+ * @param {Object} row - Row object
+ * @returns {Object} Row with typed values
+ */
+const typePlainValues = (row) => {
+  const typed = {};
+  Object.entries(row).forEach(([column, value]) => {
+    if (typeof value !== 'string') {
+      typed[column] = value;
+    } else if (value === 'true' || value === 'TRUE') {
+      typed[column] = true;
+    } else if (value === 'false' || value === 'FALSE') {
+      typed[column] = false;
+    } else if (PLAIN_NUMBER.test(value) && Number.isSafeInteger(Math.trunc(Number(value)))) {
+      typed[column] = Number(value);
+    } else {
+      typed[column] = value;
+    }
+  });
+  return typed;
+};
+
 /**
  * Validate CSV file before parsing
  * @param {File} file - File to validate
@@ -147,44 +216,56 @@ const validateCSVFile = (file) => {
 };
 
 /**
- * Detect CSV delimiter by sampling the file
- * @param {File} file - CSV file to analyze
- * @returns {Promise<string>} Detected delimiter
+ * Read a CSV file (or its first bytes) as text in its detected or chosen encoding
+ * @param {File} file - CSV file
+ * @param {string} encoding - Key of TEXT_ENCODINGS, or 'auto'
+ * @param {number} maxBytes - Optional limit for previews
+ * @returns {Promise<Object>} { text, encoding, source }
  */
-const detectDelimiter = async (file) => {
-  try {
-    // Read first 1KB to detect delimiter
-    const sampleSize = Math.min(1024, file.size);
-    const sampleBlob = file.slice(0, sampleSize);
-    const sampleText = await sampleBlob.text();
-
-    // Skip escaped quotes and content within quotes
-    const cleanText = sampleText.replace(/"[^"]*"/g, '');
+const readCSVText = async (file, encoding = 'auto', maxBytes) => {
+  const blob = maxBytes ? file.slice(0, Math.min(maxBytes, file.size)) : file;
+  return decodeText(await blob.arrayBuffer(), encoding);
+};
 
-    // Count potential delimiters in clean text
-    const delimiters = [',', ';', '\t', '|'];
-    const counts = {};
+/**
+ * Detect CSV delimiter from the start of the text
+ * Each candidate is scored by how many lines split into the same number of
+ * fields with it, rather than by how often it appears: "China\t1,234,567"
+ * has more commas than tabs, but only the tab splits every line alike.
+ * Ties go to the earlier candidate, so tabs win over commas.
+ * @param {string} text - Decoded CSV text
+ * @returns {string} Detected delimiter
+ */
+const detectDelimiter = (text) => {
+  try {
+    // Check the first 1KB, dropping a last line the sample cut short
+    const sampleText = text.slice(0, 1024);
+    const lines = sampleText
+      // Skip escaped quotes and content within quotes
+      .replace(/"[^"]*"/g, '')
+      .split(/\r\n|\n|\r/)
+      .slice(0, text.length > 1024 ? -1 : undefined)
+      .filter(line => line.trim() !== '');
+
+    const delimiters = ['\t', ',', ';', '|'];
+    let bestDelimiter = ','; // Default
+    let bestScore = 0;
 
     delimiters.forEach(delimiter => {
-      // Escape special regex characters
-      const escaped = delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      counts[delimiter] = (cleanText.match(new RegExp(escaped, 'g')) || []).length;
-    });
+      const counts = lines.map(line => line.split(delimiter).length - 1).filter(count => count > 0);
 
-    // Find delimiter with highest count
-    let bestDelimiter = ','; // Default
-    let highestCount = 0;
+      // Lines sharing the most common field count
+      const frequency = new Map();
+      counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+      const score = Math.max(0, ...frequency.values());
 
-    Object.entries(counts).forEach(([delimiter, count]) => {
-      if (count > highestCount) {
-        highestCount = count;
+      if (score > bestScore) {
+        bestScore = score;
         bestDelimiter = delimiter;
       }
     });
 
-    // Only use detected delimiter if it appears multiple times
-    // This helps avoid false positives from single occurrences
-    return highestCount >= 2 ? bestDelimiter : ',';
+    return bestDelimiter;
 
   } catch (error) {
     console.warn('Delimiter detection failed, defaulting to comma:', error);
@@ -193,16 +274,39 @@ const detectDelimiter = async (file) => {
 };
 
 /**
- * Parse file using papaparse with promise wrapper
- * @param {File} file - File to parse
+ * Parse CSV text using papaparse with promise wrapper
+ * With a progress callback the text is parsed in chunks so progress can be
+ * reported as rows arrive; the resolved result has the same shape either way.
+ * @param {string} text - Decoded CSV text
  * @param {Object} config - Papaparse configuration
+ * @param {Function} onProgress - Optional callback with { rowsProcessed, percent }
  * @returns {Promise<Object>} Parse results
  */
-const parseFileWithPapa = (file, config) => {
+const parseTextWithPapa = (text, config, onProgress) => {
   return new Promise((resolve, reject) => {
-    Papa.parse(file, {
+    const streamed = { data: [], errors: [], meta: {} };
+    const chunkConfig = typeof onProgress === 'function' ? {
+      chunkSize: CSV_PROGRESS_CHUNK_SIZE,
+      chunk: (results) => {
+        for (const row of results.data) {
+          streamed.data.push(row);
+        }
+        streamed.errors.push(...results.errors);
+        streamed.meta = results.meta;
+
+        onProgress({
+          rowsProcessed: streamed.data.length,
+          percent: text.length > 0 ? Math.min(100, (results.meta.cursor / text.length) * 100) : 100
+        });
+      }
+    } : {};
+
+    Papa.parse(text, {
       ...config,
-      complete: (results) => {
+      ...chunkConfig,
+      complete: (completeResults) => {
+        const results = chunkConfig.chunk ? streamed : completeResults;
+
         if (results.errors.length > 0) {
           // Filter out acceptable warnings
           const criticalErrors = results.errors.filter(error => 
@@ -352,9 +456,10 @@ const categorizeError = (error, filename) => {
 /**
  * Get basic info about a CSV file without fully parsing it
  * @param {File} file - CSV file to inspect
+ * @param {Object} options - { encoding } - key of TEXT_ENCODINGS, or 'auto'
  * @returns {Promise<Object>} Basic file information
  */
-export const getCSVInfo = async (file) => {
+export const getCSVInfo = async (file, options = {}) => {
   try {
     const validation = validateCSVFile(file);
     if (!validation.isValid) {
@@ -365,13 +470,10 @@ export const getCSVInfo = async (file) => {
       };
     }
 
-    const delimiter = await detectDelimiter(file);
-    
     // Read first few lines to get column headers
-    const sampleSize = Math.min(2048, file.size);
-    const sampleBlob = file.slice(0, sampleSize);
-    const sampleText = await sampleBlob.text();
-    const lines = sampleText.split('\n');
+    const sample = await readCSVText(file, options.encoding, CSV_SAMPLE_BYTES);
+    const delimiter = detectDelimiter(sample.text);
+    const lines = sample.text.slice(0, 2048).split('\n');
     const headerLine = lines[0];
     
     const headers = headerLine
@@ -383,6 +485,7 @@ export const getCSVInfo = async (file) => {
       filename: file.name,
       fileSize: file.size,
       delimiter,
+      encoding: sample.encoding,
       estimatedColumns: headers.length,
       columns: headers,
       estimatedRows: Math.max(0, lines.length - 1) // Rough estimate
@@ -395,4 +498,45 @@ export const getCSVInfo = async (file) => {
       type: ERROR_TYPES.PARSE_ERROR
     };
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Read the first rows of a CSV file as raw cells, for picking the header row and data range
+ * @param {File} file - CSV file to preview
+ * @param {Object} options - Preview options
+ * @param {number} options.maxRows - Number of lines to read
+ * @param {string} options.encoding - Key of TEXT_ENCODINGS, or 'auto'
+ * @returns {Promise<Object>} { isValid, rows } - rows[0] is line 1, blank lines included
+ */
+export const getCSVPreview = async (file, options = {}) => {
+  const { maxRows = 50, encoding = 'auto' } = options;
+
+  try {
+    const validation = validateCSVFile(file);
+    if (!validation.isValid) {
+      return { isValid: false, error: validation.error, type: validation.type };
+    }
+
+    const sample = await readCSVText(file, encoding, CSV_SAMPLE_BYTES);
+    const delimiter = detectDelimiter(sample.text);
+    const results = await new Promise((resolve, reject) => {
+      Papa.parse(sample.text, {
+        delimiter,
+        preview: maxRows,
+        header: false,
+        skipEmptyLines: false,
+        complete: resolve,
+        error: reject
+      });
+    });
+
+    return { isValid: true, filename: file.name, delimiter, encoding: sample.encoding, rows: results.data };
+
+  } catch (error) {
+    return {
+      isValid: false,
+      error: `Failed to preview CSV file: ${error.message}`,
+      type: ERROR_TYPES.PARSE_ERROR
+    };
+  }
+};
@@ -0,0 +1,253 @@
+// Date detection shared by the CSV and Excel parsers
+// Turns date-like text (and Excel serial numbers) into Date objects so columns
+// are analysed as dates and charted on a time axis instead of as category labels.
+
+export const DATE_FORMATS = {
+  ISO: 'iso', // 2024-03-01, 2024/03/01, 2024-03-01T14:30:00Z
+  ISO_MONTH: 'iso-month', // 2024-03
+  MDY: 'mdy', // 03/01/2024 (US)
+  DMY: 'dmy', // 01/03/2024, 01.03.2024 (most of Europe)
+  MONTH_NAME: 'month-name', // Mar 1, 2024 / 1 March 2024 / March 2024
+  EXCEL_SERIAL: 'excel-serial' // 45352 (days since 1899-12-30)
+};
+
+// Share of non-empty values that must parse before a column is converted
+const DETECTION_THRESHOLD = 0.9;
+const DEFAULT_SAMPLE_SIZE = 200;
+
+// Serial numbers are only read as dates between 1954 and 2119, and only in time-like columns
+const EXCEL_SERIAL_RANGE = { min: 20000, max: 80000 };
+const EXCEL_EPOCH_OFFSET = 25569; // Days between 1899-12-30 and 1970-01-01
+const TIME_LIKE_COLUMN = /date|time|day|week|month|period|timestamp|created|updated|(^|[\s_-])at$/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const ISO_PATTERN = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T\s](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const ISO_MONTH_PATTERN = /^(\d{4})-(\d{1,2})$/;
+const NUMERIC_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?$/i;
+const DAY_MONTH_NAME_PATTERN = /^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3,9})\.?[\s,-]+(\d{4})$/i;
+const MONTH_NAME_DAY_PATTERN = /^([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i;
+const MONTH_NAME_YEAR_PATTERN = /^([a-z]{3,9})\.?[\s-]+(\d{4})$/i;
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Build a local date, rejecting overflowing values such as 31/02
+ * @returns {Date|null} Date or null when the parts do not form a real date
+ */
+const buildDate = (year, month, day, hours = 0, minutes = 0, seconds = 0) => {
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+const toFullYear = (year) => {
+  if (year.length === 4) return Number(year);
+  const short = Number(year);
+  return short < 50 ? 2000 + short : 1900 + short;
+};
+
+const to24Hour = (hours, meridiem) => {
+  if (!meridiem) return hours;
+  const isPm = meridiem.toLowerCase() === 'pm';
+  return (hours % 12) + (isPm ? 12 : 0);
+};
+
+const monthFromName = (name) => {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  if (index === -1) return null;
+
+  // Accept "Mar", "March" and "Sept", but not arbitrary words that start like a month
+  const lower = name.toLowerCase();
+  const fullNames = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+  return lower.length === 3 || fullNames[index].startsWith(lower) ? index + 1 : null;
+};
+
+/**
+ * Convert an Excel serial day number to a local Date
+ * @param {number} serial - Days since 1899-12-30, fractional part is the time of day
+ * @returns {Date} Date
+ */
+export const excelSerialToDate = (serial) => {
+  const utc = new Date(Math.round((serial - EXCEL_EPOCH_OFFSET) * 86400000));
+  return new Date(
+    utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(),
+    utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds()
+  );
+};
+
+/**
+ * Parse a single value with a known date format
+ * @param {*} value - Cell value
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {Date|null} Parsed date or null if the value does not match
+ */
+export const parseDateValue = (value, format) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  if (format === DATE_FORMATS.EXCEL_SERIAL) {
+    return typeof value === 'number' && value >= EXCEL_SERIAL_RANGE.min && value <= EXCEL_SERIAL_RANGE.max
+      ? excelSerialToDate(value)
+      : null;
+  }
+
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+
+  switch (format) {
+    case DATE_FORMATS.ISO: {
+      const match = text.match(ISO_PATTERN);
+      if (!match) return null;
+      const [, year, month, day, hours = 0, minutes = 0, seconds = 0, zone] = match;
+
+      // Explicit offsets are honoured; plain dates and times are read as local time
+      if (zone) {
+        const date = new Date(text.replace(' ', 'T').replace(/\//g, '-'));
+        return isNaN(date.getTime()) ? null : date;
+      }
+      return buildDate(Number(year), Number(month), Number(day), Number(hours), Number(minutes), Number(seconds));
+    }
+    case DATE_FORMATS.ISO_MONTH: {
+      const match = text.match(ISO_MONTH_PATTERN);
+      return match ? buildDate(Number(match[1]), Number(match[2]), 1) : null;
+    }
+    case DATE_FORMATS.MDY:
+    case DATE_FORMATS.DMY: {
+      const match = text.match(NUMERIC_PATTERN);
+      if (!match) return null;
+      const [, first, second, year, hours = 0, minutes = 0, seconds = 0, meridiem] = match;
+      const [month, day] = format === DATE_FORMATS.MDY ? [first, second] : [second, first];
+      return buildDate(
+        toFullYear(year), Number(month), Number(day),
+        to24Hour(Number(hours), meridiem), Number(minutes), Number(seconds)
+      );
+    }
+    case DATE_FORMATS.MONTH_NAME: {
+      let match = text.match(DAY_MONTH_NAME_PATTERN);
+      if (match) {
+        const month = monthFromName(match[2]);
+        return month ? buildDate(Number(match[3]), month, Number(match[1])) : null;
+      }
+      match = text.match(MONTH_NAME_DAY_PATTERN);
+      if (match) {
+        const month = monthFromName(match[1]);
+        return month ? buildDate(Number(match[3]), month, Number(match[2])) : null;
+      }
+      match = text.match(MONTH_NAME_YEAR_PATTERN);
+      if (match) {
+        const month = monthFromName(match[1]);
+        return month ? buildDate(Number(match[2]), month, 1) : null;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Decide between day-first and month-first for numeric dates like 03/04/2024
+ * A part above 12 settles it; otherwise fall back to the preferred order.
+ * @param {Array<string>} values - Date strings matching NUMERIC_PATTERN
+ * @param {boolean} dayFirst - Preferred order when every value is ambiguous
+ * @returns {Object} { format, ambiguous }
+ */
+const resolveNumericOrder = (values, dayFirst) => {
+  let firstOver12 = false;
+  let secondOver12 = false;
+
+  values.forEach(value => {
+    const match = value.trim().match(NUMERIC_PATTERN);
+    if (!match) return;
+    if (Number(match[1]) > 12) firstOver12 = true;
+    if (Number(match[2]) > 12) secondOver12 = true;
+  });
+
+  if (firstOver12 && !secondOver12) return { format: DATE_FORMATS.DMY, ambiguous: false };
+  if (secondOver12 && !firstOver12) return { format: DATE_FORMATS.MDY, ambiguous: false };
+  return { format: dayFirst ? DATE_FORMATS.DMY : DATE_FORMATS.MDY, ambiguous: !firstOver12 };
+};
+
+/**
+ * Detect the date format of a column from a sample of its values
+ * @param {Array} values - Non-empty sample values
+ * @param {string} columnName - Column name (serial numbers need a time-like name)
+ * @param {Object} options - { dayFirst }
+ * @returns {Object|null} { format, ambiguous } or null when the column is not a date column
+ */
+const detectColumnFormat = (values, columnName, options) => {
+  if (values.length === 0 || values.every(value => value instanceof Date)) return null;
+
+  const matches = (format) => values.filter(value => parseDateValue(value, format) !== null).length;
+  const isDateFormat = (format) => matches(format) / values.length >= DETECTION_THRESHOLD;
+
+  if (values.every(value => typeof value === 'number')) {
+    return TIME_LIKE_COLUMN.test(columnName) && isDateFormat(DATE_FORMATS.EXCEL_SERIAL)
+      ? { format: DATE_FORMATS.EXCEL_SERIAL, ambiguous: false }
+      : null;
+  }
+
+  const strings = values.filter(value => typeof value === 'string');
+  if (strings.length / values.length < DETECTION_THRESHOLD) return null;
+
+  for (const format of [DATE_FORMATS.ISO, DATE_FORMATS.ISO_MONTH, DATE_FORMATS.MONTH_NAME]) {
+    if (isDateFormat(format)) return { format, ambiguous: false };
+  }
+
+  const numericDates = strings.filter(value => NUMERIC_PATTERN.test(value.trim()));
+  if (numericDates.length / values.length >= DETECTION_THRESHOLD) {
+    const order = resolveNumericOrder(numericDates, options.dayFirst);
+    if (isDateFormat(order.format)) return order;
+  }
+
+  return null;
+};
+
+/**
+ * Detect date columns and convert their values to Date objects
+ * Values that do not parse are left untouched so the validator can flag them.
+ * @param {Array} data - Row objects
+ * @param {Array<string>} columns - Column names to inspect
+ * @param {Object} options - Detection options
+ * @param {boolean} options.dayFirst - Read ambiguous numeric dates as DD/MM (default MM/DD)
+ * @param {number} options.sampleSize - Values sampled per column for detection
+ * @returns {Object} { data, dateColumns } where dateColumns maps column -> { format, ambiguous }
+ */
+export const parseDateColumns = (data, columns, options = {}) => {
+  const { dayFirst = false, sampleSize = DEFAULT_SAMPLE_SIZE } = options;
+
+  if (!data || data.length === 0) {
+    return { data, dateColumns: {} };
+  }
+
+  const dateColumns = {};
+  columns.forEach(column => {
+    const sample = [];
+    for (let i = 0; i < data.length && sample.length < sampleSize; i++) {
+      const value = data[i][column];
+      if (!isEmpty(value)) sample.push(value);
+    }
+
+    const detected = detectColumnFormat(sample, column, { dayFirst });
+    if (detected) dateColumns[column] = detected;
+  });
+
+  const dateColumnNames = Object.keys(dateColumns);
+  if (dateColumnNames.length === 0) {
+    return { data, dateColumns };
+  }
+
+  const converted = data.map(row => {
+    const next = { ...row };
+    dateColumnNames.forEach(column => {
+      if (isEmpty(row[column])) return;
+      const parsed = parseDateValue(row[column], dateColumns[column].format);
+      if (parsed) next[column] = parsed;
+    });
+    return next;
+  });
+
+  return { data: converted, dateColumns };
+};
@@ -0,0 +1,134 @@
+// Text encoding detection for CSV files
+// Excel saves "CSV" as Windows-1252, "Unicode Text" as UTF-16LE, and
+// "CSV UTF-8" with a byte order mark, so UTF-8 can't be assumed.
+
+export const TEXT_ENCODINGS = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16 LE',
+  'utf-16be': 'UTF-16 BE',
+  'windows-1252': 'Windows-1252',
+  'iso-8859-1': 'ISO-8859-1'
+};
+
+export const ENCODING_SOURCES = {
+  BOM: 'bom',
+  HEURISTIC: 'heuristic',
+  OVERRIDE: 'override'
+};
+
+// Bytes examined by the heuristics
+const DETECTION_SAMPLE_BYTES = 64 * 1024;
+
+// Share of zero bytes in alternate positions that marks BOM-less UTF-16
+const UTF16_ZERO_SHARE = 0.3;
+
+const BYTE_ORDER_MARKS = [
+  { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+  { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+  { encoding: 'utf-16be', bytes: [0xFE, 0xFF] }
+];
+
+/**
+ * Check the start of the bytes for a byte order mark
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Object|null} { encoding, length } or null without a BOM
+ */
+const findByteOrderMark = (bytes) => {
+  const mark = BYTE_ORDER_MARKS.find(({ bytes: markBytes }) =>
+    markBytes.every((byte, index) => bytes[index] === byte)
+  );
+  return mark ? { encoding: mark.encoding, length: mark.bytes.length } : null;
+};
+
+/**
+ * Guess UTF-16 byte order from where zero bytes fall (ASCII text has a zero high byte)
+ * @param {Uint8Array} sample - Bytes to check
+ * @returns {string|null} 'utf-16le', 'utf-16be' or null
+ */
+const detectUtf16 = (sample) => {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs === 0) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+
+  if (oddZeros / pairs > UTF16_ZERO_SHARE && evenZeros / pairs < 0.05) return 'utf-16le';
+  if (evenZeros / pairs > UTF16_ZERO_SHARE && oddZeros / pairs < 0.05) return 'utf-16be';
+  return null;
+};
+
+/**
+ * Check whether bytes are valid UTF-8, ignoring a sequence cut off by the sample end
+ * @param {Uint8Array} sample - Bytes to check
+ * @param {boolean} isTruncated - True when the sample ends before the file does
+ * @returns {boolean} True when the bytes decode as UTF-8
+ */
+const isValidUtf8 = (sample, isTruncated) => {
+  let end = sample.length;
+  if (isTruncated) {
+    // Step back over continuation bytes to the start of the last character
+    let start = end - 1;
+    while (start > 0 && end - start < 4 && (sample[start] & 0xC0) === 0x80) start--;
+    if (sample[start] >= 0xC0) end = start;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, end));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Detect the text encoding of a file's bytes
+ * A byte order mark wins; otherwise zero-byte patterns point to UTF-16, valid
+ * multi-byte sequences to UTF-8, and anything else is a single-byte Western
+ * encoding - Windows-1252 when bytes 0x80-0x9F (curly quotes, €) appear,
+ * ISO-8859-1 otherwise.
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Object} { encoding, source, bomLength }
+ */
+export const detectEncoding = (bytes) => {
+  const bom = findByteOrderMark(bytes);
+  if (bom) {
+    return { encoding: bom.encoding, source: ENCODING_SOURCES.BOM, bomLength: bom.length };
+  }
+
+  const sample = bytes.subarray(0, DETECTION_SAMPLE_BYTES);
+  const heuristic = (encoding) => ({ encoding, source: ENCODING_SOURCES.HEURISTIC, bomLength: 0 });
+
+  const utf16 = detectUtf16(sample);
+  if (utf16) return heuristic(utf16);
+
+  if (isValidUtf8(sample, bytes.length > sample.length)) return heuristic('utf-8');
+
+  const hasWindowsOnlyBytes = sample.some(byte => byte >= 0x80 && byte <= 0x9F);
+  return heuristic(hasWindowsOnlyBytes ? 'windows-1252' : 'iso-8859-1');
+};
+
+/**
+ * Decode file bytes to text, detecting the encoding unless one is given
+ * @param {ArrayBuffer|Uint8Array} buffer - File bytes
+ * @param {string} encoding - Key of TEXT_ENCODINGS, or 'auto' to detect
+ * @returns {Object} { text, encoding, source } - text has any byte order mark removed
+ */
+export const decodeText = (buffer, encoding = 'auto') => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const detected = TEXT_ENCODINGS[encoding]
+    ? { encoding, source: ENCODING_SOURCES.OVERRIDE }
+    : detectEncoding(bytes);
+
+  // The BOM is skipped even when an override doesn't match it, so it never
+  // ends up in the first column name
+  const bom = findByteOrderMark(bytes);
+  const text = new TextDecoder(detected.encoding)
+    .decode(bom ? bytes.subarray(bom.length) : bytes)
+    .replace(/^\uFEFF/, '');
+
+  return { text, encoding: detected.encoding, source: detected.source };
+};
@@ -1,14 +1,51 @@
 // Excel Parser Utility
 import * as XLSX from 'xlsx';
 import { MAX_FILE_SIZE, MAX_ROWS, ERROR_TYPES } from '../constants.js';
+import { parseDateColumns } from './date-detection.js';
+import { extractTable, isBlankTable } from './table-range.js';
+import { normalizeNumberColumns } from './number-normalization.js';
+
+// Rows processed between progress reports
+const EXCEL_PROGRESS_INTERVAL = 1000;
+
+// Column added when several sheets are stacked into one dataset
+export const SHEET_COLUMN = 'Sheet';
+
+// Workbook formats read through SheetJS, by extension
+export const WORKBOOK_FORMATS = {
+  '.xlsx': 'Excel workbook',
+  '.xls': 'Excel 97-2003 workbook',
+  '.xlsb': 'Excel binary workbook',
+  '.ods': 'OpenDocument spreadsheet'
+};
+
+export const EXCEL_EXTENSIONS = Object.keys(WORKBOOK_FORMATS);
+
+/**
+ * Name the workbook format of a file from its extension
+ * @param {string} fileName - File name
+ * @returns {string} Format label, or 'Excel workbook' when the extension is unknown
+ */
+const getWorkbookFormat = (fileName) => {
+  const lowerName = fileName.toLowerCase();
+  const ext = EXCEL_EXTENSIONS.find(extension => lowerName.endsWith(extension));
+  return WORKBOOK_FORMATS[ext] || WORKBOOK_FORMATS['.xlsx'];
+};
 
 /**
  * Parse Excel file with comprehensive error handling and validation
  * @param {File} file - The Excel file to parse
  * @param {Object} options - Parsing options
+ * @param {string} options.sheetName - Sheet to parse (defaults to the first sheet)
+ * @param {Array<string>} options.sheetNames - Several sheets with the same columns to stack into one dataset
+ * @param {Object} options.tableRange - Header row, data range and ignored row prefixes (see extractTable); detected when omitted
+ * @param {string} options.numberLocale - Number format preset for numbers stored as text (see NUMBER_LOCALES), or 'auto'
+ * @param {Function} options.onProgress - Called with { rowsProcessed, percent } while rows are processed
  * @returns {Promise<Object>} Parsed data and metadata
  */
 export const parseExcel = async (file, options = {}) => {
+  const reportProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+
   try {
     // Validate file before parsing
     const validation = validateExcelFile(file);
@@ -18,31 +55,46 @@ export const parseExcel = async (file, options = {}) => {
 
     // Read file as array buffer
     const arrayBuffer = await file.arrayBuffer();
+    reportProgress({ rowsProcessed: 0, percent: 10 });
     
     // Parse Excel workbook
-    const workbook = await parseWorkbookWithXLSX(arrayBuffer, options);
+    const workbook = await parseWorkbookWithXLSX(arrayBuffer, options, file.name);
     
-    // Get worksheet (default to first sheet)
-    const sheetName = options.sheetName || workbook.SheetNames[0];
-    if (!sheetName) {
+    // Get worksheets (default to first sheet)
+    const sheetNames = options.sheetNames?.length > 0
+      ? options.sheetNames
+      : [options.sheetName || workbook.SheetNames[0]];
+    if (!sheetNames[0]) {
       throw new Error('No worksheets found in Excel file');
     }
-    
-    const worksheet = workbook.Sheets[sheetName];
-    if (!worksheet) {
-      throw new Error(`Worksheet "${sheetName}" not found`);
-    }
 
-    // Convert worksheet to JSON with headers
-    const rawData = XLSX.utils.sheet_to_json(worksheet, {
-      header: 1, // Get raw arrays first
-      defval: null, // Use null for empty cells
-      blankrows: false, // Skip blank rows
-      ...options.xlsxOptions
+    // Reading the workbook is a single blocking step; row processing reports the rest
+    reportProgress({ rowsProcessed: 0, percent: 50 });
+
+    const sheets = sheetNames.map((sheetName, sheetIndex) => {
+      const worksheet = workbook.Sheets[sheetName];
+      if (!worksheet) {
+        throw new Error(`Worksheet "${sheetName}" not found`);
+      }
+
+      // Convert worksheet to raw arrays, anchored at A1 with blank rows kept so
+      // row numbers and column letters match what the user sees in Excel
+      const rawData = readSheetRows(worksheet, options.xlsxOptions);
+
+      // Process the raw data to create proper objects with headers
+      const sheetShare = 50 / sheetNames.length;
+      return {
+        sheetName,
+        ...processRawExcelData(rawData, file.name, ({ rowsProcessed, totalRows }) => {
+          reportProgress({
+            rowsProcessed,
+            percent: 50 + sheetShare * (sheetIndex + rowsProcessed / totalRows)
+          });
+        }, options.tableRange)
+      };
     });
 
-    // Process the raw data to create proper objects with headers
-    const processedData = processRawExcelData(rawData, file.name);
+    const processedData = sheets.length > 1 ? stackSheets(sheets) : sheets[0];
     
     // Validate processed data
     const dataValidation = validateParsedData(processedData.data, file.name);
@@ -50,19 +102,36 @@ export const parseExcel = async (file, options = {}) => {
       throw new Error(dataValidation.error);
     }
 
+    // Numbers stored as text ("$45,000", "(1,200)", "12%") are converted like CSV values
+    const normalized = normalizeNumberColumns(processedData.data, processedData.columns, {
+      locale: options.numberLocale
+    });
+
+    // Date-formatted cells already arrive as Dates; this catches text dates and
+    // serial numbers in cells formatted as General
+    const { data, dateColumns } = parseDateColumns(normalized.data, processedData.columns, {
+      dayFirst: options.dayFirst
+    });
+
     // Return standardized format (matching CSV parser)
     return {
       success: true,
-      data: processedData.data,
+      data,
       meta: {
         filename: file.name,
         fileSize: file.size,
         rowCount: processedData.data.length,
         columnCount: processedData.columns.length,
         columns: processedData.columns,
-        sheetName: sheetName,
+        sheetName: sheetNames[0],
+        sheetNames,
+        sheetColumn: sheets.length > 1 ? processedData.sheetColumn : null,
+        tableRange: sheets[0].range,
+        numberLocale: normalized.locale,
+        numberFormats: normalized.numberFormats,
         availableSheets: workbook.SheetNames,
         totalSheets: workbook.SheetNames.length,
+        dateColumns,
         parseErrors: [],
         truncated: false
       },
@@ -127,13 +196,12 @@ const validateExcelFile = (file) => {
 
   // Enhanced file type validation
   const fileName = file.name.toLowerCase();
-  const validExtensions = ['.xlsx', '.xls'];
-  const hasValidExtension = validExtensions.some(ext => fileName.endsWith(ext));
+  const hasValidExtension = EXCEL_EXTENSIONS.some(ext => fileName.endsWith(ext));
   
   if (!hasValidExtension) {
     return {
       isValid: false,
-      error: `File "${file.name}" does not appear to be an Excel file. Expected .xlsx or .xls extension. Please save your data as an Excel file.`,
+      error: `File "${file.name}" does not appear to be an Excel file. Expected .xlsx, .xls, .xlsb or .ods extension. Please save your data as an Excel workbook.`,
       type: ERROR_TYPES.FILE_TYPE
     };
   }
@@ -161,11 +229,16 @@ const validateExcelFile = (file) => {
 
 /**
  * Parse Excel workbook using xlsx library with error handling
+ * SheetJS reads .xlsx, .xls, .xlsb and .ods from their bytes, so every
+ * format goes through the same path; errors name the format of the file.
  * @param {ArrayBuffer} arrayBuffer - File data as array buffer
  * @param {Object} options - Parsing options
+ * @param {string} fileName - Original filename, used in error messages
  * @returns {Promise<Object>} Workbook object
  */
-const parseWorkbookWithXLSX = async (arrayBuffer, options = {}) => {
+const parseWorkbookWithXLSX = async (arrayBuffer, options = {}, fileName = '') => {
+  const format = getWorkbookFormat(fileName);
+
   try {
     const workbook = XLSX.read(arrayBuffer, {
       type: 'array',
@@ -176,53 +249,79 @@ const parseWorkbookWithXLSX = async (arrayBuffer, options = {}) => {
     });
 
     if (!workbook || !workbook.SheetNames || workbook.SheetNames.length === 0) {
-      throw new Error('Invalid Excel file: No worksheets found');
+      throw new Error(`No worksheets found in ${format}`);
+    }
+
+    // A cut-off .xls can still list its sheets without holding them
+    if (workbook.SheetNames.some(name => !workbook.Sheets[name])) {
+      throw new Error('file corrupted: worksheets are missing');
     }
 
     return workbook;
 
   } catch (error) {
-    // Handle specific xlsx parsing errors
-    if (error.message.includes('Unsupported file type') || 
-        error.message.includes('ZIP read error') ||
-        error.message.includes('file corrupted')) {
-      throw new Error('Excel file appears to be corrupted or in an unsupported format');
+    const message = error.message || '';
+    if (message.startsWith('No worksheets')) throw error;
+
+    // Encrypted workbooks can't be read without the password
+    if (/password|encrypt/i.test(message)) {
+      throw new Error(`${format} "${fileName}" is password-protected. Remove the password and save it again.`);
+    }
+
+    // Handle specific xlsx parsing errors: broken ZIP containers (.xlsx, .xlsb, .ods),
+    // broken compound files (.xls) and cut-off downloads
+    if (/unsupported|zip|compress|corrupt|major version|end of data|header signature|first argument must be|cannot (read|set) properties/i.test(message)) {
+      throw new Error(`${format} "${fileName}" appears to be corrupted or in an unsupported format`);
     }
     
-    throw new Error(`Excel parsing error: ${error.message}`);
+    throw new Error(`Workbook parsing error: ${message}`);
   }
 };
 
+/**
+ * Read a worksheet as arrays of cells, starting at A1 and keeping blank rows
+ * @param {Object} worksheet - xlsx worksheet
+ * @param {Object} xlsxOptions - Extra sheet_to_json options
+ * @returns {Array<Array>} Raw rows
+ */
+const readSheetRows = (worksheet, xlsxOptions = {}) => {
+  if (!worksheet['!ref']) return [];
+  const { e: end } = XLSX.utils.decode_range(worksheet['!ref']);
+
+  return XLSX.utils.sheet_to_json(worksheet, {
+    header: 1, // Get raw arrays first
+    defval: null, // Use null for empty cells
+    blankrows: true, // Keep blank rows so row numbers line up
+    range: { s: { r: 0, c: 0 }, e: end },
+    ...xlsxOptions
+  });
+};
+
 /**
  * Process raw Excel data into standardized format
- * @param {Array} rawData - Raw array data from xlsx
+ * @param {Array} rawData - Raw array data from xlsx, row 0 being sheet row 1
  * @param {string} filename - Original filename for error context
- * @returns {Object} Processed data with headers and rows
+ * @param {Function} onProgress - Optional callback with { rowsProcessed, totalRows }
+ * @param {Object} tableRange - Optional header row / data range (see extractTable)
+ * @returns {Object} Processed data with headers, rows and the resolved range
  */
-const processRawExcelData = (rawData, filename) => {
-  if (!rawData || rawData.length === 0) {
+const processRawExcelData = (rawData, filename, onProgress, tableRange) => {
+  // .xlsx leaves an empty sheet without a range, .xls and .ods give it one blank cell
+  if (isBlankTable(rawData)) {
     throw new Error(`No data found in Excel file "${filename}"`);
   }
 
-  // Extract headers from first row
-  const headerRow = rawData[0];
-  if (!headerRow || headerRow.length === 0) {
-    throw new Error(`No header row found in Excel file "${filename}"`);
-  }
-
-  // Clean and validate headers
-  const columns = headerRow.map((header, index) => {
-    if (header === null || header === undefined || header === '') {
-      return `Column_${index + 1}`; // Generate column name for empty headers
-    }
-    return String(header).trim();
-  });
+  // Find the header row and data block (titles, notes and totals are left out)
+  const { columns, rows: dataRows, range } = extractTable(rawData, tableRange);
 
   // Process data rows
-  const dataRows = rawData.slice(1); // Skip header row
   const processedData = [];
 
   dataRows.forEach((row, rowIndex) => {
+    if (onProgress && rowIndex > 0 && rowIndex % EXCEL_PROGRESS_INTERVAL === 0) {
+      onProgress({ rowsProcessed: rowIndex, totalRows: dataRows.length });
+    }
+
     if (!row || row.length === 0) return; // Skip empty rows
     
     // Check if row has any non-empty values
@@ -257,9 +356,41 @@ const processRawExcelData = (rawData, filename) => {
     processedData.push(rowObject);
   });
 
+  if (onProgress) {
+    onProgress({ rowsProcessed: dataRows.length, totalRows: dataRows.length || 1 });
+  }
+
   return {
     data: processedData,
-    columns: columns
+    columns: columns,
+    range
+  };
+};
+
+/**
+ * Stack processed sheets into one dataset with a column naming each row's sheet
+ * @param {Array<Object>} sheets - Processed sheets: { sheetName, data, columns }
+ * @returns {Object} { data, columns, sheetColumn }
+ */
+const stackSheets = (sheets) => {
+  const [first] = sheets;
+  const columnKey = (columns) => [...columns].sort().join('\u0000');
+
+  const mismatched = sheets.find(sheet => columnKey(sheet.columns) !== columnKey(first.columns));
+  if (mismatched) {
+    throw new Error(`Sheets "${first.sheetName}" and "${mismatched.sheetName}" have different columns and cannot be stacked`);
+  }
+
+  // Avoid clobbering a real "Sheet" column
+  let sheetColumn = SHEET_COLUMN;
+  while (first.columns.includes(sheetColumn)) {
+    sheetColumn = `${sheetColumn}_`;
+  }
+
+  return {
+    data: sheets.flatMap(sheet => sheet.data.map(row => ({ [sheetColumn]: sheet.sheetName, ...row }))),
+    columns: [sheetColumn, ...first.columns],
+    sheetColumn
   };
 };
 
@@ -322,7 +453,7 @@ const categorizeError = (error, filename) => {
     };
   }
   
-  if (message.includes('empty') || message.includes('no data') || message.includes('no header')) {
+  if (message.includes('empty') || message.includes('no data') || message.includes('no header') || message.includes('no worksheets')) {
     return {
       type: ERROR_TYPES.EMPTY_FILE,
       message: error.message,
@@ -331,21 +462,31 @@ const categorizeError = (error, filename) => {
     };
   }
   
-  if (message.includes('excel') || message.includes('xlsx') || message.includes('extension')) {
+  // Damaged and locked files are checked first: their messages name the workbook format too
+  if (message.includes('corrupted') || message.includes('unsupported') || message.includes('zip')) {
     return {
-      type: ERROR_TYPES.FILE_TYPE,
+      type: ERROR_TYPES.PARSE_ERROR,
       message: error.message,
       filename,
-      action: 'use-excel-file'
+      action: 'check-file-format'
     };
   }
-  
-  if (message.includes('corrupted') || message.includes('unsupported') || message.includes('zip')) {
+
+  if (message.includes('password-protected')) {
     return {
       type: ERROR_TYPES.PARSE_ERROR,
       message: error.message,
       filename,
-      action: 'check-file-format'
+      action: 'remove-password'
+    };
+  }
+
+  if (message.includes('excel file') || message.includes('extension')) {
+    return {
+      type: ERROR_TYPES.FILE_TYPE,
+      message: error.message,
+      filename,
+      action: 'use-excel-file'
     };
   }
   
@@ -359,7 +500,37 @@ const categorizeError = (error, filename) => {
 };
 
 /**
- * Get basic info about an Excel file without fully parsing it
+ * Summarise a worksheet the way parseExcel will read it: the header row is
+ * detected and titles, notes and totals are left out, so the picker shows the
+ * same columns and row count that importing the sheet gives.
+ * @param {string} name - Sheet name
+ * @param {Object} worksheet - SheetJS worksheet
+ * @returns {Object} { name, headerRow, rowCount, columnCount, columns } - rowCount excludes the header row
+ */
+const getSheetInfo = (name, worksheet) => {
+  const empty = { name, headerRow: null, rowCount: 0, columnCount: 0, columns: [] };
+  const rawData = readSheetRows(worksheet);
+
+  // .xlsx leaves an empty sheet without a range, .xls and .ods give it one blank cell
+  if (isBlankTable(rawData)) return empty;
+
+  try {
+    const { columns, rows, range } = extractTable(rawData);
+    return {
+      name,
+      headerRow: range.headerRow,
+      rowCount: rows.length,
+      columnCount: columns.length,
+      columns
+    };
+  } catch {
+    // No usable header row, so parseExcel would reject the sheet too
+    return empty;
+  }
+};
+
+/**
+ * Get basic info about an Excel file without converting its rows
  * @param {File} file - Excel file to inspect
  * @returns {Promise<Object>} Basic file information
  */
@@ -374,36 +545,16 @@ export const getExcelInfo = async (file) => {
       };
     }
 
-    // Read just enough to get workbook structure
+    // Sheets are read in full so their header rows can be detected like parseExcel does
     const arrayBuffer = await file.arrayBuffer();
-    const workbook = XLSX.read(arrayBuffer, {
-      type: 'array',
-      bookSheets: true, // Only read sheet names
-      bookProps: false, // Don't read properties
-      cellStyles: false // Don't read styles
-    });
-
-    // Get first sheet info
-    const firstSheetName = workbook.SheetNames[0];
-    const firstSheet = workbook.Sheets[firstSheetName];
-    
-    // Get range to estimate size
-    const range = XLSX.utils.decode_range(firstSheet['!ref'] || 'A1:A1');
-    const estimatedRows = Math.max(0, range.e.r); // End row
-    const estimatedColumns = Math.max(1, range.e.c + 1); // End column + 1
-
-    // Try to get first row as headers
-    const headerRow = XLSX.utils.sheet_to_json(firstSheet, {
-      header: 1,
-      range: 0 // Just first row
-    })[0] || [];
-
-    const columns = headerRow.map((header, index) => {
-      if (header === null || header === undefined || header === '') {
-        return `Column_${index + 1}`;
+    const workbook = await parseWorkbookWithXLSX(arrayBuffer, {
+      xlsxOptions: {
+        bookProps: false // Don't read properties
       }
-      return String(header).trim();
-    });
+    }, file.name);
+
+    const sheets = workbook.SheetNames.map(name => getSheetInfo(name, workbook.Sheets[name]));
+    const [firstSheet] = sheets;
 
     return {
       isValid: true,
@@ -411,10 +562,11 @@ export const getExcelInfo = async (file) => {
       fileSize: file.size,
       totalSheets: workbook.SheetNames.length,
       sheetNames: workbook.SheetNames,
-      defaultSheet: firstSheetName,
-      estimatedRows: estimatedRows,
-      estimatedColumns: estimatedColumns,
-      columns: columns
+      sheets: sheets,
+      defaultSheet: firstSheet?.name,
+      estimatedRows: firstSheet?.rowCount || 0,
+      estimatedColumns: firstSheet?.columnCount || 1,
+      columns: firstSheet?.columns || []
     };
 
   } catch (error) {
@@ -426,6 +578,53 @@ export const getExcelInfo = async (file) => {
   }
 };
 
+/**
+ * Read the first rows of a sheet as displayed text, for picking the header row and data range
+ * @param {File} file - Excel file
+ * @param {Object} options - Preview options
+ * @param {string} options.sheetName - Sheet to preview (defaults to the first sheet)
+ * @param {number} options.maxRows - Number of rows to read
+ * @returns {Promise<Object>} { isValid, sheetName, rows, totalRows } - rows[0] is sheet row 1, blank rows included
+ */
+export const getExcelPreview = async (file, options = {}) => {
+  const { sheetName, maxRows = 50 } = options;
+
+  try {
+    const validation = validateExcelFile(file);
+    if (!validation.isValid) {
+      return { isValid: false, error: validation.error, type: validation.type };
+    }
+
+    const arrayBuffer = await file.arrayBuffer();
+    const workbook = await parseWorkbookWithXLSX(arrayBuffer, {
+      xlsxOptions: { sheetRows: maxRows, bookProps: false }
+    }, file.name);
+
+    const previewSheet = sheetName || workbook.SheetNames[0];
+    const worksheet = workbook.Sheets[previewSheet];
+    if (!worksheet) {
+      throw new Error(`Worksheet "${previewSheet}" not found`);
+    }
+
+    const fullRange = worksheet['!fullref'] || worksheet['!ref'];
+    return {
+      isValid: true,
+      filename: file.name,
+      sheetName: previewSheet,
+      // Formatted text, as shown in Excel
+      rows: readSheetRows(worksheet, { raw: false }),
+      totalRows: fullRange ? XLSX.utils.decode_range(fullRange).e.r + 1 : 0
+    };
+
+  } catch (error) {
+    return {
+      isValid: false,
+      error: `Failed to preview Excel file: ${error.message}`,
+      type: ERROR_TYPES.PARSE_ERROR
+    };
+  }
+};
+
 /**
  * Parse specific sheet from Excel workbook
  * @param {File} file - Excel file
@@ -0,0 +1,464 @@
+// JSON and NDJSON Parser Utility
+// API responses arrive as arrays of objects, objects wrapping such an array
+// ({ "data": { "items": [...] } }) or newline-delimited JSON. Records are
+// flattened so nested fields become dotted column names ("address.city").
+import { MAX_FILE_SIZE, MAX_ROWS, ERROR_TYPES } from '../constants.js';
+import { parseDateColumns } from './date-detection.js';
+import { normalizeNumberColumns } from './number-normalization.js';
+import { decodeText } from './encoding-detection.js';
+
+export const JSON_EXTENSIONS = ['.json', '.ndjson', '.jsonl'];
+
+export const JSON_FORMATS = {
+  JSON: 'json',
+  NDJSON: 'ndjson'
+};
+
+// Column used when records are plain values rather than objects
+export const VALUE_COLUMN = 'Value';
+
+// Records processed between progress reports
+const JSON_PROGRESS_INTERVAL = 1000;
+
+// How deep to look for record arrays and to flatten nested objects
+const MAX_PATH_DEPTH = 6;
+const MAX_FLATTEN_DEPTH = 8;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parse a JSON or NDJSON file into flat row objects
+ * @param {File} file - The .json, .ndjson or .jsonl file to parse
+ * @param {Object} options - Parsing options
+ * @param {Array<string>} options.recordsPath - Keys leading to the array holding the records ([] for the top level); the largest array when omitted
+ * @param {string} options.numberLocale - Number format preset for numbers stored as text (see NUMBER_LOCALES), or 'auto'
+ * @param {string} options.encoding - Text encoding (see TEXT_ENCODINGS), or 'auto' to detect it
+ * @param {boolean} options.dayFirst - Read ambiguous dates as day/month
+ * @param {Function} options.onProgress - Called with { rowsProcessed, percent } while records are flattened
+ * @returns {Promise<Object>} Parsed data and metadata
+ */
+export const parseJSON = async (file, options = {}) => {
+  const reportProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+
+  try {
+    // Validate file before parsing
+    const validation = validateJSONFile(file);
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+
+    const decoded = decodeText(await file.arrayBuffer(), options.encoding);
+    reportProgress({ rowsProcessed: 0, percent: 10 });
+
+    const document = readJSONDocument(decoded.text, file.name);
+    reportProgress({ rowsProcessed: 0, percent: 50 });
+
+    const recordPaths = listRecordPaths(document);
+    const recordsPath = options.recordsPath ?? getDefaultRecordsPath(document.value, recordPaths);
+    const records = getRecords(document.value, recordsPath);
+
+    // Flatten records, collecting columns in the order they first appear
+    const flatRecords = [];
+    const columnSet = new Set();
+    records.forEach((record, index) => {
+      const flat = flattenRecord(record);
+      Object.keys(flat).forEach(column => columnSet.add(column));
+      flatRecords.push(flat);
+
+      if ((index + 1) % JSON_PROGRESS_INTERVAL === 0) {
+        reportProgress({ rowsProcessed: index + 1, percent: 50 + (50 * (index + 1)) / records.length });
+      }
+    });
+    reportProgress({ rowsProcessed: records.length, percent: 100 });
+
+    // Records may leave fields out; every row gets every column
+    const columns = [...columnSet];
+    const rows = flatRecords.map(flat => Object.fromEntries(
+      columns.map(column => [column, flat[column] === undefined || flat[column] === '' ? null : flat[column]])
+    ));
+
+    // Validate parsed data
+    const dataValidation = validateParsedData(rows, file.name);
+    if (!dataValidation.isValid) {
+      throw new Error(dataValidation.error);
+    }
+
+    // APIs often send numbers as strings ("45000", "$1,200.50")
+    const normalized = normalizeNumberColumns(rows, columns, { locale: options.numberLocale });
+
+    // ISO timestamps are the usual date format in JSON
+    const { data, dateColumns } = parseDateColumns(normalized.data, columns, {
+      dayFirst: options.dayFirst
+    });
+
+    // Return standardized format (matching CSV parser)
+    return {
+      success: true,
+      data,
+      meta: {
+        filename: file.name,
+        fileSize: file.size,
+        rowCount: rows.length,
+        columnCount: columns.length,
+        columns,
+        format: document.format,
+        recordsPath,
+        recordPaths,
+        encoding: decoded.encoding,
+        encodingSource: decoded.source,
+        numberLocale: normalized.locale,
+        numberFormats: normalized.numberFormats,
+        dateColumns,
+        parseErrors: document.errors,
+        truncated: false
+      },
+      errors: []
+    };
+
+  } catch (error) {
+    return {
+      success: false,
+      data: null,
+      meta: {
+        filename: file.name,
+        fileSize: file.size,
+        error: error.message
+      },
+      errors: [categorizeError(error, file.name)]
+    };
+  }
+};
+
+/**
+ * Parse JSON text, falling back to one value per line for NDJSON
+ * @param {string} text - Decoded file text
+ * @param {string} filename - Original filename, whose extension marks NDJSON
+ * @returns {Object} { format, value, errors } - errors lists NDJSON lines that didn't parse
+ */
+const readJSONDocument = (text, filename) => {
+  const isLineDelimited = /\.(ndjson|jsonl)$/i.test(filename);
+
+  if (!isLineDelimited) {
+    try {
+      return { format: JSON_FORMATS.JSON, value: JSON.parse(text), errors: [] };
+    } catch (error) {
+      // A .json file holding one object per line is read as NDJSON
+      const firstLine = text.split(/\r?\n/).find(line => line.trim());
+      if (!firstLine || !isParsableLine(firstLine) || firstLine.trim() === text.trim()) {
+        throw new Error(`Invalid JSON in "${filename}": ${error.message}`);
+      }
+    }
+  }
+
+  const value = [];
+  const errors = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      value.push(JSON.parse(line));
+    } catch (error) {
+      errors.push({ type: 'InvalidLine', row: index + 1, message: `Line ${index + 1}: ${error.message}` });
+    }
+  });
+
+  if (value.length === 0 && errors.length > 0) {
+    throw new Error(`Invalid JSON in "${filename}": ${errors[0].message}`);
+  }
+
+  return { format: JSON_FORMATS.NDJSON, value, errors };
+};
+
+const isParsableLine = (line) => {
+  try {
+    JSON.parse(line);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Find the arrays of objects in a JSON document that could hold the records
+ * Arrays aren't searched inside, so rows' own nested lists aren't offered.
+ * @param {*} value - Parsed JSON
+ * @returns {Array<Object>} { path, count, columns } per array - path is an array of keys, [] for the top level
+ */
+export const findRecordPaths = (value) => {
+  const paths = [];
+
+  const visit = (node, path, depth) => {
+    if (Array.isArray(node)) {
+      const objects = node.filter(isPlainObject);
+      if (objects.length > 0 || path.length === 0) {
+        paths.push({ path, count: node.length, columns: Object.keys(flattenRecord(objects[0] ?? node[0])) });
+      }
+      return;
+    }
+    if (isPlainObject(node) && depth < MAX_PATH_DEPTH) {
+      Object.entries(node).forEach(([key, child]) => visit(child, [...path, key], depth + 1));
+    }
+  };
+
+  visit(value, [], 0);
+  return paths;
+};
+
+/**
+ * List the record arrays of a parsed document; NDJSON lines are the only candidate
+ * @param {Object} document - Result of readJSONDocument
+ * @returns {Array<Object>} { path, count, columns } per array
+ */
+const listRecordPaths = (document) => {
+  return document.format === JSON_FORMATS.NDJSON
+    ? [{ path: [], count: document.value.length, columns: Object.keys(flattenRecord(document.value[0])) }]
+    : findRecordPaths(document.value);
+};
+
+/**
+ * Pick the records array when none was chosen: the top level if it's an
+ * array, otherwise the array with the most items
+ * @param {*} value - Parsed JSON
+ * @param {Array<Object>} recordPaths - Candidates from findRecordPaths
+ * @returns {Array<string>} Keys of the records array
+ */
+const getDefaultRecordsPath = (value, recordPaths) => {
+  if (Array.isArray(value) || recordPaths.length === 0) return [];
+  return recordPaths.reduce((best, candidate) => (candidate.count > best.count ? candidate : best)).path;
+};
+
+/**
+ * Format a records path for display, e.g. 'data.items' or 'data["v2.1"].items'
+ * Keys are joined with dots; keys that contain dots, brackets or quotes are bracketed.
+ * @param {Array<string>} path - Keys of the records array
+ * @returns {string} Path text, '' for the top level
+ */
+export const formatRecordsPath = (path = []) => path.reduce((text, key) => {
+  if (/[.[\]"]/.test(key) || key === '') return `${text}[${JSON.stringify(key)}]`;
+  return text ? `${text}.${key}` : key;
+}, '');
+
+/**
+ * Read the records at a path
+ * A single object (at the top level or the path) is read as one record.
+ * @param {*} value - Parsed JSON
+ * @param {Array<string>} path - Keys of the records array, [] for the top level
+ * @returns {Array} Records
+ */
+const getRecords = (value, path) => {
+  const target = path.reduce((node, key) => (
+    isPlainObject(node) && Object.hasOwn(node, key) ? node[key] : undefined
+  ), value);
+
+  if (target === undefined) {
+    throw new Error(`No data found at "${formatRecordsPath(path)}". Choose another records path.`);
+  }
+  return Array.isArray(target) ? target : [target];
+};
+
+/**
+ * Flatten a record so nested objects become dotted column names
+ * Lists of plain values are joined with commas; lists of objects are kept as JSON text.
+ * @param {*} record - Record from the records array
+ * @returns {Object} Flat row object
+ */
+export const flattenRecord = (record) => {
+  if (!isPlainObject(record)) {
+    return { [VALUE_COLUMN]: flattenValue(record) };
+  }
+
+  const flat = {};
+  const visit = (node, prefix, depth) => {
+    Object.entries(node).forEach(([key, child]) => {
+      const column = prefix ? `${prefix}.${key}` : key;
+      if (isPlainObject(child) && Object.keys(child).length > 0 && depth < MAX_FLATTEN_DEPTH) {
+        visit(child, column, depth + 1);
+      } else {
+        flat[column] = flattenValue(child);
+      }
+    });
+  };
+
+  visit(record, '', 0);
+  return flat;
+};
+
+/**
+ * Turn a leaf value into a cell value
+ * @param {*} value - JSON value
+ * @returns {*} Cell value
+ */
+const flattenValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) {
+    return value.every(item => item === null || typeof item !== 'object')
+      ? value.filter(item => item !== null).join(', ')
+      : JSON.stringify(value);
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).length > 0 ? JSON.stringify(value) : null;
+  }
+  return value;
+};
+
+/**
+ * Validate JSON file before parsing
+ * @param {File} file - File to validate
+ * @returns {Object} Validation result
+ */
+const validateJSONFile = (file) => {
+  // Check if file exists
+  if (!file) {
+    return {
+      isValid: false,
+      error: 'No file provided',
+      type: ERROR_TYPES.EMPTY_FILE
+    };
+  }
+
+  // Check file size
+  if (file.size > MAX_FILE_SIZE) {
+    return {
+      isValid: false,
+      error: `File "${file.name}" is too large (${(file.size / 1024 / 1024).toFixed(1)}MB). Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB. Try requesting fewer records or splitting the file.`,
+      type: ERROR_TYPES.FILE_SIZE
+    };
+  }
+
+  if (file.size === 0) {
+    return {
+      isValid: false,
+      error: `File "${file.name}" appears to be empty (0 bytes).`,
+      type: ERROR_TYPES.EMPTY_FILE
+    };
+  }
+
+  const fileName = file.name.toLowerCase();
+  if (!JSON_EXTENSIONS.some(ext => fileName.endsWith(ext))) {
+    return {
+      isValid: false,
+      error: `File "${file.name}" does not appear to be a JSON file. Expected .json, .ndjson or .jsonl extension.`,
+      type: ERROR_TYPES.FILE_TYPE
+    };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validate parsed JSON data
+ * @param {Array} data - Flattened rows
+ * @param {string} filename - Original filename
+ * @returns {Object} Validation result
+ */
+const validateParsedData = (data, filename) => {
+  if (!data || data.length === 0) {
+    return {
+      isValid: false,
+      error: `No data found in "${filename}". The records array is empty.`,
+      type: ERROR_TYPES.EMPTY_FILE
+    };
+  }
+
+  // Check row limit
+  if (data.length > MAX_ROWS) {
+    return {
+      isValid: false,
+      error: `File "${filename}" has too many rows (${data.length}). Maximum is ${MAX_ROWS} rows.`,
+      type: ERROR_TYPES.FILE_SIZE
+    };
+  }
+
+  const nonEmptyRows = data.filter(row =>
+    Object.values(row).some(value => value !== null && value !== undefined && value !== '')
+  );
+
+  if (nonEmptyRows.length === 0) {
+    return {
+      isValid: false,
+      error: `No valid data rows found in "${filename}". All records are empty.`,
+      type: ERROR_TYPES.EMPTY_FILE
+    };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Categorize error for consistent error handling
+ * @param {Error} error - The error object
+ * @param {string} filename - Original filename
+ * @returns {Object} Categorized error
+ */
+const categorizeError = (error, filename) => {
+  const message = error.message.toLowerCase();
+
+  if (message.includes('too large') || message.includes('too many rows')) {
+    return {
+      type: ERROR_TYPES.FILE_SIZE,
+      message: error.message,
+      filename,
+      action: 'reduce-file-size'
+    };
+  }
+
+  if (message.includes('empty') || message.includes('no data')) {
+    return {
+      type: ERROR_TYPES.EMPTY_FILE,
+      message: error.message,
+      filename,
+      action: 'check-file-content'
+    };
+  }
+
+  if (message.includes('extension')) {
+    return {
+      type: ERROR_TYPES.FILE_TYPE,
+      message: error.message,
+      filename,
+      action: 'use-json-file'
+    };
+  }
+
+  // Default to parse error
+  return {
+    type: ERROR_TYPES.PARSE_ERROR,
+    message: error.message,
+    filename,
+    action: 'check-file-format'
+  };
+};
+
+/**
+ * List the arrays in a JSON file that could hold the records, without flattening them all
+ * @param {File} file - JSON or NDJSON file to inspect
+ * @param {Object} options - { encoding } - key of TEXT_ENCODINGS, or 'auto'
+ * @returns {Promise<Object>} { isValid, filename, format, recordPaths, recordsPath }
+ */
+export const getJSONInfo = async (file, options = {}) => {
+  try {
+    const validation = validateJSONFile(file);
+    if (!validation.isValid) {
+      return { isValid: false, error: validation.error, type: validation.type };
+    }
+
+    const { text } = decodeText(await file.arrayBuffer(), options.encoding);
+    const document = readJSONDocument(text, file.name);
+    const recordPaths = listRecordPaths(document);
+
+    return {
+      isValid: true,
+      filename: file.name,
+      fileSize: file.size,
+      format: document.format,
+      recordPaths,
+      recordsPath: getDefaultRecordsPath(document.value, recordPaths)
+    };
+
+  } catch (error) {
+    return {
+      isValid: false,
+      error: `Failed to analyze JSON file: ${error.message}`,
+      type: ERROR_TYPES.PARSE_ERROR
+    };
+  }
+};
@@ -0,0 +1,280 @@
+// Locale-aware number normalization for text cells
+// Exports often write numbers for people rather than machines: "$45,000",
+// "1.234,56", "(1,200)" or "12%". These are converted to numbers, and the
+// unit and format are recorded so charts can display values the same way.
+
+// Share of a column's values that must parse for it to be converted
+const NUMBER_THRESHOLD = 0.9;
+
+export const NUMBER_LOCALES = {
+  'en-US': {
+    label: 'English (US) - 1,234.56',
+    decimal: '.',
+    group: ',',
+    pattern: /^(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$|^\.\d+$/,
+    currencies: ['$', 'USD']
+  },
+  'de-DE': {
+    label: 'German - 1.234,56',
+    decimal: ',',
+    group: '.',
+    pattern: /^(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$|^,\d+$/,
+    currencies: ['€', 'EUR']
+  },
+  'fr-FR': {
+    label: 'French - 1 234,56',
+    decimal: ',',
+    group: ' ',
+    pattern: /^(\d{1,3}( \d{3})+|\d+)(,\d+)?$|^,\d+$/,
+    currencies: ['€', 'EUR']
+  },
+  'en-IN': {
+    label: 'English (India) - 1,23,456.78',
+    decimal: '.',
+    group: ',',
+    // Lakh grouping: the last three digits, then pairs
+    pattern: /^(\d{1,2}(,\d{2})*,\d{3}|\d+)(\.\d+)?$|^\.\d+$/,
+    currencies: ['₹', 'Rs', 'Rs.', 'INR']
+  }
+};
+
+export const DEFAULT_NUMBER_LOCALE = 'en-US';
+
+// Symbols and codes recognized before or after the number, with their ISO currency
+const CURRENCY_CODES = {
+  '$': 'USD',
+  'US$': 'USD',
+  'USD': 'USD',
+  '€': 'EUR',
+  'EUR': 'EUR',
+  '£': 'GBP',
+  'GBP': 'GBP',
+  '¥': 'JPY',
+  'JPY': 'JPY',
+  '₹': 'INR',
+  'Rs': 'INR',
+  'Rs.': 'INR',
+  'INR': 'INR',
+  'CHF': 'CHF'
+};
+
+const CURRENCY_PREFIX = /^(US\$|\$|€|£|¥|₹|Rs\.?|USD|EUR|GBP|JPY|INR|CHF)\s*/i;
+const CURRENCY_SUFFIX = /\s*(\$|€|£|¥|₹|USD|EUR|GBP|JPY|INR|CHF)$/i;
+
+/**
+ * Find the canonical spelling of a matched currency token
+ * @param {string} token - Matched symbol or code
+ * @returns {string} Key of CURRENCY_CODES
+ */
+const canonicalCurrency = (token) => {
+  return Object.keys(CURRENCY_CODES).find(key => key.toLowerCase() === token.toLowerCase()) || token;
+};
+
+/**
+ * Parse a formatted number using a locale preset
+ * Handles currency symbols or codes on either side, thousands separators,
+ * accounting negatives ("(1,200)" or "1,200-"), minus signs and percent signs.
+ * Percentages become fractions (12% => 0.12), as in spreadsheets.
+ * @param {string|number} raw - Cell value
+ * @param {string} localeId - Key of NUMBER_LOCALES
+ * @returns {Object|null} { value, unit, accounting, decimals } or null when the value isn't a number
+ */
+export const parseLocaleNumber = (raw, localeId = DEFAULT_NUMBER_LOCALE) => {
+  if (typeof raw === 'number') {
+    return Number.isFinite(raw) ? { value: raw, unit: null, accounting: false, decimals: 0 } : null;
+  }
+  if (typeof raw !== 'string') return null;
+
+  const preset = NUMBER_LOCALES[localeId] || NUMBER_LOCALES[DEFAULT_NUMBER_LOCALE];
+  let text = raw.trim().replace(/[\u00a0\u202f]/g, ' ').replace(/\u2212/g, '-');
+  if (!/\d/.test(text)) return null;
+
+  let negative = false;
+  let accounting = false;
+  let currency = null;
+  let percent = false;
+
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    accounting = true;
+    text = text.slice(1, -1).trim();
+  }
+
+  const takeSign = () => {
+    const match = text.match(/^([+-])\s*/);
+    if (match) {
+      if (match[1] === '-') negative = !negative;
+      text = text.slice(match[0].length);
+    }
+  };
+
+  takeSign();
+  const prefix = text.match(CURRENCY_PREFIX);
+  if (prefix) {
+    currency = canonicalCurrency(prefix[1]);
+    text = text.slice(prefix[0].length);
+    takeSign(); // "$-1,200"
+  }
+
+  if (text.endsWith('%')) {
+    percent = true;
+    text = text.slice(0, -1).trim();
+  }
+
+  const suffix = text.match(CURRENCY_SUFFIX);
+  if (suffix) {
+    if (currency) return null;
+    currency = canonicalCurrency(suffix[1]);
+    text = text.slice(0, -suffix[0].length);
+  }
+
+  // Trailing minus, as written by some accounting systems
+  if (/\d\s*-$/.test(text)) {
+    negative = !negative;
+    accounting = true;
+    text = text.slice(0, -1).trim();
+  }
+
+  if ((currency && percent) || !preset.pattern.test(text)) return null;
+
+  const [integerPart, fractionPart = ''] = text.split(preset.decimal);
+  const value = Number(`${integerPart.split(preset.group).join('')}.${fractionPart || '0'}`);
+  if (!Number.isFinite(value)) return null;
+
+  const signed = negative ? -value : value;
+  return {
+    value: percent ? signed / 100 : signed,
+    unit: percent ? '%' : currency,
+    accounting,
+    decimals: fractionPart.length
+  };
+};
+
+/**
+ * Pick the locale preset that reads the most values as numbers
+ * Ties go to the preset whose currency appears in the values, then to the
+ * order of NUMBER_LOCALES.
+ * @param {Array<string>} values - Sample of text cells
+ * @returns {string} Key of NUMBER_LOCALES
+ */
+export const detectNumberLocale = (values) => {
+  let bestLocale = DEFAULT_NUMBER_LOCALE;
+  let bestScore = 0;
+
+  Object.entries(NUMBER_LOCALES).forEach(([localeId, preset]) => {
+    let parsed = 0;
+    let currencyHint = false;
+    values.forEach(value => {
+      const result = parseLocaleNumber(value, localeId);
+      if (!result) return;
+      parsed++;
+      if (result.unit && preset.currencies.includes(result.unit)) currencyHint = true;
+    });
+
+    const score = parsed + (currencyHint ? 0.5 : 0);
+    if (score > bestScore) {
+      bestScore = score;
+      bestLocale = localeId;
+    }
+  });
+
+  return bestLocale;
+};
+
+/**
+ * Build the display format for a converted column
+ * @param {Array<Object>} results - Parse results for the column's text cells
+ * @param {string} localeId - Locale preset used
+ * @returns {Object|null} { locale, unit, accounting, format } or null when plain numbers need no format
+ */
+const buildNumberFormat = (results, localeId) => {
+  // A single unit is kept even if some cells were written without it
+  const units = new Set(results.map(result => result.unit).filter(Boolean));
+  const unit = units.size === 1 ? [...units][0] : null;
+  const accounting = results.some(result => result.accounting);
+  const decimals = Math.min(4, Math.max(0, ...results.map(result => result.decimals)));
+
+  // Plain US-style numbers chart fine with the default formatting
+  if (!unit && !accounting && localeId === DEFAULT_NUMBER_LOCALE) return null;
+
+  // Intl.NumberFormat options; both digit limits are set because Chart.js merges in its own
+  let format;
+  if (unit === '%') {
+    format = { style: 'percent', minimumFractionDigits: 0, maximumFractionDigits: Math.max(decimals, 1) };
+  } else if (unit) {
+    format = {
+      style: 'currency',
+      currency: CURRENCY_CODES[unit],
+      currencySign: accounting ? 'accounting' : 'standard',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: Math.max(decimals, 2)
+    };
+  } else {
+    format = { style: 'decimal', minimumFractionDigits: 0, maximumFractionDigits: Math.max(decimals, 2) };
+  }
+
+  return { locale: localeId, unit, accounting, format };
+};
+
+/**
+ * Convert formatted number text in each column to numbers
+ * A column is converted when at least 90% of its non-empty values parse;
+ * values that don't parse are left as they are.
+ * @param {Array} data - Row objects
+ * @param {Array<string>} columns - Column names to check
+ * @param {Object} options - Normalization options
+ * @param {string} options.locale - Key of NUMBER_LOCALES, or 'auto' to detect from the values
+ * @param {number} options.sampleSize - Values per column used for detection
+ * @returns {Object} { data, locale, numberFormats } - numberFormats maps column name to { locale, unit, accounting, format }
+ */
+export const normalizeNumberColumns = (data, columns, options = {}) => {
+  const { locale = 'auto', sampleSize = 200 } = options;
+
+  const textColumns = columns.filter(column => data.some(row => typeof row[column] === 'string' && /\d/.test(row[column])));
+  if (textColumns.length === 0) {
+    return { data, locale: NUMBER_LOCALES[locale] ? locale : DEFAULT_NUMBER_LOCALE, numberFormats: {} };
+  }
+
+  const localeId = NUMBER_LOCALES[locale]
+    ? locale
+    : detectNumberLocale(textColumns.flatMap(column => data
+      .slice(0, sampleSize)
+      .map(row => row[column])
+      .filter(value => typeof value === 'string')));
+
+  const converted = {};
+  const numberFormats = {};
+
+  textColumns.forEach(column => {
+    const values = data
+      .map(row => row[column])
+      .filter(value => value !== null && value !== undefined && value !== '');
+    const parsedCount = values.filter(value => parseLocaleNumber(value, localeId)).length;
+    if (values.length === 0 || parsedCount / values.length < NUMBER_THRESHOLD) return;
+
+    converted[column] = true;
+    const textResults = values
+      .filter(value => typeof value === 'string')
+      .map(value => parseLocaleNumber(value, localeId))
+      .filter(Boolean);
+    const numberFormat = buildNumberFormat(textResults, localeId);
+    if (numberFormat) numberFormats[column] = numberFormat;
+  });
+
+  const convertedColumns = Object.keys(converted);
+  if (convertedColumns.length === 0) {
+    return { data, locale: localeId, numberFormats };
+  }
+
+  const normalizedData = data.map(row => {
+    const normalizedRow = { ...row };
+    convertedColumns.forEach(column => {
+      if (typeof row[column] !== 'string') return;
+      const result = parseLocaleNumber(row[column], localeId);
+      if (result) normalizedRow[column] = result.value;
+    });
+    return normalizedRow;
+  });
+
+  return { data: normalizedData, locale: localeId, numberFormats };
+};
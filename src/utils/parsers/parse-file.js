@@ -0,0 +1,95 @@
+// Parse + validate pipeline shared by the parse worker and the main-thread fallback
+import { parseCSV, getCSVPreview } from './csv-parser.js';
+import { parseExcel, getExcelPreview, EXCEL_EXTENSIONS } from './excel-parser.js';
+import { parseJSON, JSON_EXTENSIONS } from './json-parser.js';
+import { validateDataForCharting } from '../validators/data-validator.js';
+
+// Share of the overall progress bar given to parsing; validation fills the rest
+const PARSE_PROGRESS_SHARE = 90;
+
+export const PARSE_STAGES = {
+  PARSING: 'parsing',
+  VALIDATING: 'validating'
+};
+
+export const FILE_FORMATS = {
+  CSV: 'csv',
+  EXCEL: 'excel',
+  JSON: 'json'
+};
+
+const FORMAT_EXTENSIONS = {
+  [FILE_FORMATS.CSV]: ['.csv'],
+  [FILE_FORMATS.EXCEL]: EXCEL_EXTENSIONS,
+  [FILE_FORMATS.JSON]: JSON_EXTENSIONS
+};
+
+const PARSERS = {
+  [FILE_FORMATS.CSV]: parseCSV,
+  [FILE_FORMATS.EXCEL]: parseExcel,
+  [FILE_FORMATS.JSON]: parseJSON
+};
+
+// Extensions for the file input's accept attribute
+export const ACCEPTED_EXTENSIONS = Object.values(FORMAT_EXTENSIONS).flat();
+
+/**
+ * Work out which parser reads a file from its extension
+ * @param {string} fileName - File name
+ * @returns {string|null} One of FILE_FORMATS, or null for unsupported files
+ */
+export const getFileFormat = (fileName) => {
+  const lowerName = fileName.toLowerCase();
+  const match = Object.entries(FORMAT_EXTENSIONS)
+    .find(([, extensions]) => extensions.some(ext => lowerName.endsWith(ext)));
+  return match ? match[0] : null;
+};
+
+/**
+ * Parse a CSV, Excel or JSON file and validate it for charting
+ * @param {File} file - File to parse
+ * @param {Object} options - Options passed to the parser
+ * @param {Function} onProgress - Called with { stage, rowsProcessed, percent } (percent is overall, 0-100)
+ * @returns {Promise<Object>} { parsed, validation } - validation is null when parsing failed
+ */
+export const parseAndValidateFile = async (file, options = {}, onProgress = () => {}) => {
+  const parser = PARSERS[getFileFormat(file.name)] || parseExcel;
+
+  let rowsProcessed = 0;
+  const parsed = await parser(file, {
+    ...options,
+    onProgress: (progress) => {
+      rowsProcessed = progress.rowsProcessed;
+      onProgress({
+        stage: PARSE_STAGES.PARSING,
+        rowsProcessed,
+        percent: (progress.percent / 100) * PARSE_PROGRESS_SHARE
+      });
+    }
+  });
+
+  if (!parsed.success) {
+    return { parsed, validation: null };
+  }
+
+  onProgress({
+    stage: PARSE_STAGES.VALIDATING,
+    rowsProcessed: parsed.data.length,
+    percent: PARSE_PROGRESS_SHARE
+  });
+
+  const validation = validateDataForCharting(parsed.data, parsed.meta);
+  return { parsed, validation };
+};
+
+/**
+ * Read the first rows of a CSV or Excel file as raw cells
+ * @param {File} file - File to preview
+ * @param {Object} options - { sheetName, maxRows }
+ * @returns {Promise<Object>} { isValid, rows } - rows[0] is row 1 of the file or sheet
+ */
+export const getFilePreview = (file, options = {}) => {
+  return getFileFormat(file.name) === FILE_FORMATS.CSV
+    ? getCSVPreview(file, options)
+    : getExcelPreview(file, options);
+};
@@ -0,0 +1,72 @@
+// Main-thread client for the parse worker
+import { parseAndValidateFile } from './parse-file.js';
+
+/**
+ * Create the error used when a parse is cancelled
+ * @returns {Error} Error with name 'AbortError'
+ */
+const createAbortError = () => {
+  const error = new Error('File processing was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Parse and validate a file in a Web Worker so large files don't freeze the page
+ * Falls back to the main thread where workers are unavailable.
+ * @param {File} file - CSV or Excel file
+ * @param {Object} config - Worker options
+ * @param {Object} config.options - Options passed to the parser
+ * @param {Function} config.onProgress - Called with { stage, rowsProcessed, percent }
+ * @param {AbortSignal} config.signal - Aborting terminates the worker and rejects with an AbortError
+ * @returns {Promise<Object>} { parsed, validation }
+ */
+export const parseFileInWorker = (file, config = {}) => {
+  const { options = {}, onProgress = () => {}, signal } = config;
+
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  if (typeof Worker === 'undefined') {
+    return parseAndValidateFile(file, options, onProgress);
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./parse-worker.js', import.meta.url), { type: 'module' });
+
+    const cleanup = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', handleAbort);
+    };
+
+    // Terminating stops the parse immediately, even mid-way through a blocking workbook read
+    const handleAbort = () => {
+      cleanup();
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', handleAbort);
+
+    worker.onmessage = (event) => {
+      const { type, ...payload } = event.data;
+
+      if (type === 'progress') {
+        onProgress(payload);
+      } else if (type === 'complete') {
+        cleanup();
+        resolve(payload);
+      } else if (type === 'error') {
+        cleanup();
+        reject(new Error(payload.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      cleanup();
+      reject(new Error(event.message || 'File processing failed in the background worker'));
+    };
+
+    // Options must be cloneable - progress is reported through messages, not callbacks
+    worker.postMessage({ file, options });
+  });
+};
@@ -0,0 +1,19 @@
+// Web Worker entry: parses and validates files off the main thread
+// Messages in:  { file, options }
+// Messages out: { type: 'progress', stage, rowsProcessed, percent }
+//               { type: 'complete', parsed, validation }
+//               { type: 'error', message }
+import { parseAndValidateFile } from './parse-file.js';
+
+self.onmessage = async (event) => {
+  const { file, options = {} } = event.data;
+
+  try {
+    const result = await parseAndValidateFile(file, options, (progress) => {
+      self.postMessage({ type: 'progress', ...progress });
+    });
+    self.postMessage({ type: 'complete', ...result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
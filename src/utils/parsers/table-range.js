@@ -0,0 +1,300 @@
+// Table range detection shared by the CSV and Excel parsers
+// Finance exports often put titles, notes and spacer rows above the table and
+// totals below it, so the header row can't be assumed to be row 1.
+
+// Rows examined when looking for the header row
+const HEADER_SCAN_ROWS = 25;
+
+// Following rows compared with a candidate header row
+const HEADER_LOOKAHEAD_ROWS = 5;
+
+// First value of a totals row under the table: "Total", "Subtotal", "Grand total"
+const TOTAL_ROW_PATTERN = /^(sub|grand )?total\b/i;
+
+const isEmptyCell = (cell) => cell === null || cell === undefined || String(cell).trim() === '';
+
+const isTextCell = (cell) => typeof cell === 'string' && cell.trim() !== '' && isNaN(Number(cell.trim()));
+
+const filledCount = (row) => (row || []).filter(cell => !isEmptyCell(cell)).length;
+
+/**
+ * Check whether raw rows hold no values at all (an empty sheet or file, whatever its range)
+ * @param {Array<Array>} rows - Raw rows
+ * @returns {boolean} True when every cell is blank
+ */
+export const isBlankTable = (rows) => !rows || rows.every(row => filledCount(row) === 0);
+
+/**
+ * Convert a column letter (A, Z, AA) to a 0-based index
+ * @param {string} letters - Column letters
+ * @returns {number} Column index
+ */
+export const columnLetterToIndex = (letters) => {
+  return letters.toUpperCase().split('').reduce((index, letter) => index * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+};
+
+/**
+ * Convert a 0-based column index to letters
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+export const columnIndexToLetter = (index) => {
+  let letters = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const mod = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + mod) + letters;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letters;
+};
+
+/**
+ * Parse a cell range such as "A5:F40"; the end row may be left off ("A5:F") to read to the end
+ * @param {string} range - Range in A1 notation
+ * @returns {Object} { startRow, endRow, startColumn, endColumn } as 0-based indices (endRow is null when open)
+ */
+export const parseCellRange = (range) => {
+  const match = String(range || '').trim().match(/^([A-Za-z]+)(\d+)\s*:\s*([A-Za-z]+)(\d*)$/);
+  if (!match) {
+    throw new Error(`Invalid data range "${range}". Use a range like A5:F40`);
+  }
+
+  const [, startLetters, startRow, endLetters, endRow] = match;
+  const parsed = {
+    startRow: Number(startRow) - 1,
+    endRow: endRow ? Number(endRow) - 1 : null,
+    startColumn: columnLetterToIndex(startLetters),
+    endColumn: columnLetterToIndex(endLetters)
+  };
+
+  if (parsed.startRow < 0 || parsed.endColumn < parsed.startColumn ||
+      (parsed.endRow !== null && parsed.endRow < parsed.startRow)) {
+    throw new Error(`Invalid data range "${range}". The range must run from the top-left to the bottom-right cell`);
+  }
+
+  return parsed;
+};
+
+/**
+ * Format 0-based bounds as an A1 range
+ * @param {Object} bounds - { startRow, endRow, startColumn, endColumn }
+ * @returns {string} Range such as "A5:F40"
+ */
+export const formatCellRange = ({ startRow, endRow, startColumn, endColumn }) => {
+  return `${columnIndexToLetter(startColumn)}${startRow + 1}:${columnIndexToLetter(endColumn)}${endRow + 1}`;
+};
+
+/**
+ * Guess which row holds the column headers
+ * The header is the earliest row that is about as wide as the table, mostly
+ * text, and followed by rows of a similar width.
+ * @param {Array<Array>} rows - Raw rows of cells, row 0 being the first line of the sheet or file
+ * @returns {number} 0-based row index (0 when nothing stands out)
+ */
+export const detectHeaderRow = (rows) => {
+  const candidates = [];
+  for (let i = 0; i < rows.length && candidates.length < HEADER_SCAN_ROWS; i++) {
+    if (filledCount(rows[i]) > 0) candidates.push(i);
+  }
+  if (candidates.length === 0) return 0;
+
+  const maxFilled = Math.max(...candidates.map(i => filledCount(rows[i])));
+  let bestRow = candidates[0];
+  let bestScore = -1;
+
+  candidates.forEach((rowIndex, position) => {
+    const cells = rows[rowIndex].filter(cell => !isEmptyCell(cell));
+    const filled = cells.length;
+    const textShare = cells.filter(isTextCell).length / filled;
+    const distinct = new Set(cells.map(cell => String(cell).trim())).size === filled;
+
+    // Rows below a header should be roughly as wide as it is
+    const following = candidates.slice(position + 1, position + 1 + HEADER_LOOKAHEAD_ROWS);
+    const consistency = following.length > 0
+      ? following.reduce((sum, i) => {
+        const width = filledCount(rows[i]);
+        return sum + Math.min(width, filled) / Math.max(width, filled);
+      }, 0) / following.length
+      : 0.5;
+
+    const score = (filled / maxFilled) * (0.5 + 0.5 * textShare) * (distinct ? 1 : 0.5) * consistency;
+
+    // Strictly greater, so ties go to the earlier row
+    if (score > bestScore + 1e-9) {
+      bestScore = score;
+      bestRow = rowIndex;
+    }
+  });
+
+  return bestRow;
+};
+
+/**
+ * Turn header cells into unique column names
+ * @param {Array} cells - Header cells
+ * @param {number} startColumn - Sheet column of the first cell, for generated names
+ * @returns {Array<string>} Column names
+ */
+const buildColumnNames = (cells, startColumn) => {
+  const seen = new Map();
+
+  return cells.map((cell, index) => {
+    const base = isEmptyCell(cell) ? `Column_${startColumn + index + 1}` : String(cell).trim();
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base}_${count}`;
+  });
+};
+
+/**
+ * Check whether a row should be dropped because its first value starts with an ignored prefix
+ * @param {Array} cells - Row cells within the data columns
+ * @param {Array<string>} prefixes - Lower-cased prefixes
+ * @returns {boolean} True when the row is ignored
+ */
+const startsWithIgnoredPrefix = (cells, prefixes) => {
+  if (prefixes.length === 0) return false;
+  const firstValue = cells.find(cell => !isEmptyCell(cell));
+  if (firstValue === undefined || typeof firstValue !== 'string') return false;
+  const text = firstValue.trim().toLowerCase();
+  return prefixes.some(prefix => text.startsWith(prefix));
+};
+
+/**
+ * Check whether a row is a totals row, by its first value
+ * @param {Array} cells - Row cells within the data columns
+ * @returns {boolean} True when the first value reads like "Total"
+ */
+const isTotalRow = (cells) => {
+  const firstValue = cells.find(cell => !isEmptyCell(cell));
+  return typeof firstValue === 'string' && TOTAL_ROW_PATTERN.test(firstValue.trim());
+};
+
+/**
+ * Locate the table in a grid of raw rows and return its headers and data rows
+ * Without a header row or data range, both are detected: the header by
+ * detectHeaderRow, the columns from the header's filled span, and a trailing
+ * block of sparse rows (notes below the table) is dropped. Totals rows at the
+ * end of the table are dropped either way unless keepTotalRows is set.
+ * @param {Array<Array>} rows - Raw rows, row 0 being row 1 of the sheet or file (blank rows included)
+ * @param {Object} tableRange - Range options
+ * @param {number} tableRange.headerRow - 1-based header row (detected when omitted)
+ * @param {string} tableRange.dataRange - Data cells in A1 notation, e.g. "A5:F40" (follows the header when omitted)
+ * @param {Array<string>} tableRange.ignoreRowsStartingWith - Drop rows whose first value starts with any of these (case-insensitive)
+ * @param {boolean} tableRange.keepTotalRows - Keep "Total", "Subtotal" and "Grand total" rows at the end of the table
+ * @returns {Object} { columns, rows, range } - rows are arrays aligned with columns; range is the resolved range for meta
+ */
+export const extractTable = (rows, tableRange = {}) => {
+  const {
+    headerRow: requestedHeaderRow,
+    dataRange: requestedDataRange,
+    ignoreRowsStartingWith = [],
+    keepTotalRows = false
+  } = tableRange;
+
+  const bounds = requestedDataRange ? parseCellRange(requestedDataRange) : null;
+  const headerIndex = requestedHeaderRow
+    ? Number(requestedHeaderRow) - 1
+    : bounds
+      ? Math.max(0, bounds.startRow - 1)
+      : detectHeaderRow(rows);
+
+  if (!Number.isInteger(headerIndex) || headerIndex < 0) {
+    throw new Error(`Invalid header row "${requestedHeaderRow}". Use a row number starting at 1`);
+  }
+
+  const headerCells = rows[headerIndex] || [];
+  if (filledCount(headerCells) === 0) {
+    throw new Error(`No header row found at row ${headerIndex + 1}`);
+  }
+
+  // Columns come from the data range, or else from the header's filled span
+  let startColumn;
+  let endColumn;
+  if (bounds) {
+    ({ startColumn, endColumn } = bounds);
+  } else {
+    startColumn = headerCells.findIndex(cell => !isEmptyCell(cell));
+    endColumn = headerCells.length - 1;
+    while (endColumn > startColumn && isEmptyCell(headerCells[endColumn])) endColumn--;
+  }
+
+  const firstDataRow = bounds ? bounds.startRow : headerIndex + 1;
+  const lastDataRow = bounds && bounds.endRow !== null
+    ? Math.min(bounds.endRow, rows.length - 1)
+    : rows.length - 1;
+
+  if (bounds && firstDataRow <= headerIndex) {
+    throw new Error(`Data range ${requestedDataRange} must start below the header row (${headerIndex + 1})`);
+  }
+
+  const width = endColumn - startColumn + 1;
+  const sliceRow = (row) => Array.from({ length: width }, (_, offset) => (row || [])[startColumn + offset] ?? null);
+  const ignoredPrefixes = ignoreRowsStartingWith.map(prefix => String(prefix).trim()).filter(Boolean);
+  const prefixes = ignoredPrefixes.map(prefix => prefix.toLowerCase());
+
+  let kept = [];
+  let skippedRows = 0;
+  for (let rowIndex = firstDataRow; rowIndex <= lastDataRow; rowIndex++) {
+    const cells = sliceRow(rows[rowIndex]);
+    if (filledCount(cells) === 0) continue;
+    if (startsWithIgnoredPrefix(cells, prefixes)) {
+      skippedRows++;
+      continue;
+    }
+    kept.push({ rowIndex, cells });
+  }
+
+  // Notes under a detected table: a final block after a blank row where every row is sparse
+  if (!bounds && kept.length > 1) {
+    let blockStart = kept.length - 1;
+    while (blockStart > 0 && kept[blockStart - 1].rowIndex === kept[blockStart].rowIndex - 1) blockStart--;
+    const isSeparated = blockStart > 0;
+    const isSparse = kept.slice(blockStart).every(({ cells }) => filledCount(cells) < Math.ceil(width / 2));
+    if (isSeparated && isSparse && width > 1) {
+      skippedRows += kept.length - blockStart;
+      kept = kept.slice(0, blockStart);
+    }
+  }
+
+  // Totals under the table (checked after the notes, which usually follow them)
+  if (!keepTotalRows) {
+    while (kept.length > 1 && isTotalRow(kept[kept.length - 1].cells)) {
+      kept.pop();
+      skippedRows++;
+    }
+  }
+
+  const columns = buildColumnNames(sliceRow(headerCells), startColumn);
+  const dataStart = kept.length > 0 ? kept[0].rowIndex : firstDataRow;
+  const dataEnd = kept.length > 0 ? kept[kept.length - 1].rowIndex : firstDataRow;
+
+  return {
+    columns,
+    rows: kept.map(({ cells }) => cells),
+    range: {
+      headerRow: headerIndex + 1,
+      dataRange: formatCellRange({ startRow: dataStart, endRow: dataEnd, startColumn, endColumn }),
+      ignoreRowsStartingWith: ignoredPrefixes,
+      keepTotalRows,
+      skippedRows,
+      autoDetected: !requestedHeaderRow && !requestedDataRange
+    }
+  };
+};
+
+/**
+ * Describe a resolved range for display, e.g. "Headers on row 4, data A5:F40"
+ * @param {Object} range - Range from extractTable (as recorded in parse meta)
+ * @returns {string} Summary text
+ */
+export const describeTableRange = (range) => {
+  if (!range) return '';
+  const parts = [`Headers on row ${range.headerRow}`, `data ${range.dataRange}`];
+  if (range.ignoreRowsStartingWith?.length > 0) {
+    parts.push(`ignoring rows starting with ${range.ignoreRowsStartingWith.map(prefix => `'${prefix}'`).join(', ')}`);
+  }
+  if (range.keepTotalRows) parts.push('keeping total rows');
+  return parts.join(', ');
+};
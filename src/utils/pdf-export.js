@@ -0,0 +1,179 @@
+// PDF export for Chart.js charts (fully client-side)
+import { renderChartToSVG } from './svg-export.js';
+
+// Supported page sizes (jsPDF format names)
+export const PDF_PAGE_SIZES = {
+  A4: 'a4',
+  LETTER: 'letter'
+};
+
+export const PDF_ORIENTATIONS = {
+  PORTRAIT: 'portrait',
+  LANDSCAPE: 'landscape'
+};
+
+export const DEFAULT_PDF_OPTIONS = {
+  pageSize: PDF_PAGE_SIZES.A4,
+  orientation: PDF_ORIENTATIONS.LANDSCAPE,
+  margin: 15, // mm on every side
+  title: '',
+  subtitle: '',
+  source: '',
+  vector: true
+};
+
+// jsPDF font sizes are in points; layout is in millimetres
+const PT_TO_MM = 25.4 / 72;
+const TITLE_SIZE = 18;
+const SUBTITLE_SIZE = 12;
+const SOURCE_SIZE = 9;
+const BLOCK_GAP = 4;
+
+/**
+ * Fit a chart of the given aspect ratio inside a box, centred horizontally
+ * @param {Object} box - Available area { x, y, width, height }
+ * @param {number} aspectRatio - Chart width / height
+ * @returns {Object} Placement { x, y, width, height }
+ */
+const fitChart = (box, aspectRatio) => {
+  let width = box.width;
+  let height = width / aspectRatio;
+
+  if (height > box.height) {
+    height = box.height;
+    width = height * aspectRatio;
+  }
+
+  return {
+    x: box.x + (box.width - width) / 2,
+    y: box.y,
+    width,
+    height
+  };
+};
+
+/**
+ * Draw the chart into the PDF as vector graphics
+ * @returns {Promise<boolean>} True if the vector path succeeded
+ */
+const drawVectorChart = async (doc, chart, placement) => {
+  try {
+    const { svg2pdf } = await import('svg2pdf.js');
+    const svgString = renderChartToSVG(chart);
+    const svgElement = new DOMParser()
+      .parseFromString(svgString, 'image/svg+xml')
+      .documentElement;
+
+    await svg2pdf(svgElement, doc, placement);
+    return true;
+  } catch (error) {
+    console.warn('Vector PDF rendering failed, falling back to raster image:', error);
+    return false;
+  }
+};
+
+/**
+ * Draw the chart into the PDF as a high-resolution PNG
+ */
+const drawRasterChart = (doc, chart, placement) => {
+  const imageData = chart.canvas.toDataURL('image/png', 1.0);
+  doc.addImage(imageData, 'PNG', placement.x, placement.y, placement.width, placement.height);
+};
+
+/**
+ * Create a PDF document containing the chart and an optional title block
+ * @param {Object} chart - Live Chart.js instance
+ * @param {Object} options - PDF options (see DEFAULT_PDF_OPTIONS)
+ * @param {string} options.description - How the charted rows were prepared, added to the document subject
+ * @returns {Promise<Object>} { blob, vector } - PDF blob and whether the chart was embedded as vector
+ */
+export const createChartPDF = async (chart, options = {}) => {
+  if (!chart?.canvas) {
+    throw new Error('No chart available for PDF export');
+  }
+
+  const settings = { ...DEFAULT_PDF_OPTIONS, ...options };
+  const margin = Math.max(0, Number(settings.margin) || 0);
+
+  // jsPDF is only needed when exporting, so keep it out of the main bundle
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({
+    orientation: settings.orientation,
+    unit: 'mm',
+    format: settings.pageSize
+  });
+
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - margin * 2;
+
+  if (contentWidth <= 0) {
+    throw new Error('PDF margins are larger than the page');
+  }
+
+  let cursorY = margin;
+
+  // Title block
+  if (settings.title) {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(TITLE_SIZE);
+    doc.setTextColor(17, 24, 39);
+    const lines = doc.splitTextToSize(settings.title, contentWidth);
+    cursorY += TITLE_SIZE * PT_TO_MM;
+    doc.text(lines, margin, cursorY);
+    cursorY += (lines.length - 1) * TITLE_SIZE * PT_TO_MM * 1.15;
+  }
+
+  if (settings.subtitle) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(SUBTITLE_SIZE);
+    doc.setTextColor(75, 85, 99);
+    const lines = doc.splitTextToSize(settings.subtitle, contentWidth);
+    cursorY += SUBTITLE_SIZE * PT_TO_MM + (settings.title ? 1 : 0);
+    doc.text(lines, margin, cursorY);
+    cursorY += (lines.length - 1) * SUBTITLE_SIZE * PT_TO_MM * 1.15;
+  }
+
+  if (settings.title || settings.subtitle) {
+    cursorY += BLOCK_GAP;
+  }
+
+  // Reserve room for the source line at the bottom of the page
+  const sourceHeight = settings.source ? SOURCE_SIZE * PT_TO_MM + BLOCK_GAP : 0;
+  const chartBox = {
+    x: margin,
+    y: cursorY,
+    width: contentWidth,
+    height: pageHeight - margin - sourceHeight - cursorY
+  };
+
+  if (chartBox.height <= 0) {
+    throw new Error('Not enough room on the page for the chart - reduce margins or title text');
+  }
+
+  const placement = fitChart(chartBox, chart.width / chart.height);
+  const vector = settings.vector && await drawVectorChart(doc, chart, placement);
+  if (!vector) {
+    drawRasterChart(doc, chart, placement);
+  }
+
+  if (settings.source) {
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(SOURCE_SIZE);
+    doc.setTextColor(107, 114, 128);
+    doc.text(settings.source, margin, pageHeight - margin, { maxWidth: contentWidth });
+  }
+
+  doc.setProperties({
+    title: settings.title || 'Graph Gleam chart',
+    subject: [settings.subtitle || 'Data visualization chart exported from Graph Gleam', settings.description]
+      .filter(Boolean)
+      .join('. '),
+    creator: 'Graph Gleam'
+  });
+
+  return {
+    blob: doc.output('blob'),
+    vector
+  };
+};
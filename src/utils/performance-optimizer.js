@@ -1,4 +1,17 @@
 // Performance optimization utilities for theme switching and chart rendering
+import { PERFORMANCE_THRESHOLDS } from './constants.js';
+import { DOWNSAMPLE_METHODS, downsampleRows } from './transforms/downsample.js';
+
+// Chart types whose rows can be thinned out, and how
+const DOWNSAMPLE_METHOD_BY_CHART = {
+  line: DOWNSAMPLE_METHODS.LTTB,
+  area: DOWNSAMPLE_METHODS.LTTB,
+  bar: DOWNSAMPLE_METHODS.MIN_MAX,
+  'stacked-bar': DOWNSAMPLE_METHODS.MIN_MAX,
+  'percent-bar': DOWNSAMPLE_METHODS.MIN_MAX,
+  'horizontal-bar': DOWNSAMPLE_METHODS.MIN_MAX,
+  combo: DOWNSAMPLE_METHODS.MIN_MAX
+};
 
 /**
  * Debounce function to limit the rate of function calls
@@ -39,6 +52,7 @@ export const throttle = (func, limit) => {
 
 /**
  * Optimize chart data for performance by limiting data points
+ * Uses LTTB over the numeric columns so peaks survive, unlike a fixed stride.
  * @param {Array} data - Raw data array
  * @param {number} maxPoints - Maximum number of data points
  * @returns {Array} - Optimized data array
@@ -48,16 +62,20 @@ export const optimizeChartData = (data, maxPoints = 1000) => {
     return data;
   }
 
-  // Sample data points evenly
-  const step = Math.floor(data.length / maxPoints);
-  const optimized = [];
-  
-  for (let i = 0; i < data.length; i += step) {
-    optimized.push(data[i]);
-    if (optimized.length >= maxPoints) break;
+  const firstRow = data[0] || {};
+  const numericColumns = Object.keys(firstRow).filter(col => typeof firstRow[col] === 'number');
+
+  // Without numeric values there is no shape to preserve, so sample evenly
+  if (numericColumns.length === 0) {
+    const step = data.length / maxPoints;
+    return Array.from({ length: maxPoints }, (_, index) => data[Math.floor(index * step)]);
   }
 
-  return optimized;
+  return downsampleRows(data, {
+    method: DOWNSAMPLE_METHODS.LTTB,
+    yColumns: numericColumns,
+    maxPoints
+  });
 };
 
 /**
@@ -550,10 +568,25 @@ export const logPerformanceTestResults = (results) => {
 
 /**
  * Optimize for performance based on data size
- * @param {Array} rawData - Raw data array
- * @returns {Object} - Optimization result with data and recommendations
+ * Line/area rows are downsampled with LTTB and bar rows with min/max bucketing
+ * once they exceed maxPoints; other chart types are returned untouched.
+ * @param {Array} rawData - Raw data array, ordered along the X axis
+ * @param {Object} options - Chart context
+ * @param {string} options.chartType - Chart type being rendered
+ * @param {Array<string>} options.yColumns - Value columns plotted
+ * @param {string} options.xColumn - Numeric X column (time axis), if any
+ * @param {string} options.groupColumn - Series-by column, if any
+ * @param {number} options.maxPoints - Point budget (defaults to PERFORMANCE_THRESHOLDS.MAX_CHART_POINTS)
+ * @returns {Object} - { data, originalLength, downsampled, method, recommendations }
  */
-export const optimizeForPerformance = (rawData) => {
+export const optimizeForPerformance = (rawData, options = {}) => {
+  const {
+    chartType,
+    yColumns = [],
+    xColumn,
+    groupColumn,
+    maxPoints = PERFORMANCE_THRESHOLDS.MAX_CHART_POINTS
+  } = options;
   const dataLength = rawData?.length || 0;
   const recommendations = [];
 
@@ -571,10 +604,17 @@ export const optimizeForPerformance = (rawData) => {
     recommendations.push('Extremely large dataset - virtual scrolling recommended');
   }
 
+  const method = DOWNSAMPLE_METHOD_BY_CHART[chartType];
+  const data = method && dataLength > maxPoints
+    ? downsampleRows(rawData, { method, yColumns, xColumn, groupColumn, maxPoints })
+    : rawData;
+
   return {
-    data: rawData,
-    recommendations,
-    optimized: dataLength > 1000 ? optimizeChartData(rawData) : rawData
+    data,
+    originalLength: dataLength,
+    downsampled: data !== rawData,
+    method: data !== rawData ? method : null,
+    recommendations
   };
 };
 
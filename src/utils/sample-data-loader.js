@@ -8,8 +8,8 @@ export const SAMPLE_FILES = {
     name: 'Sales Sample (CSV)',
     filename: 'sales_sample.csv',
     type: 'csv',
-    description: 'Monthly sales data - perfect for bar, line, or area charts',
-    chartTypes: ['bar', 'line', 'area'],
+    description: 'Monthly sales data - perfect for bar, line, area or combo charts',
+    chartTypes: ['bar', 'line', 'area', 'combo'],
     columns: ['Month', 'Revenue', 'Expenses', 'Profit', 'Customers', 'Orders']
   },
   EXPENSES_EXCEL: {
@@ -75,54 +75,55 @@ export const loadCSVSample = async () => {
   }
 };
 
-// Load Excel sample data  
-export const loadExcelSample = async () => {
+// Load a workbook sample (.xlsx, .xls, .xlsb or .ods - SheetJS reads the format from the bytes)
+export const loadExcelSample = async (sampleInfo = SAMPLE_FILES.EXPENSES_EXCEL) => {
+  const { filename } = sampleInfo;
   try {
-    console.log('Fetching Excel sample from /expense_breakdown.xlsx');
-    const response = await fetch('/expense_breakdown.xlsx');
+    console.log(`Fetching workbook sample from /${filename}`);
+    const response = await fetch(`/${filename}`);
     
     if (!response.ok) {
-      throw new Error(`Failed to fetch Excel sample: ${response.status} ${response.statusText}`);
+      throw new Error(`Failed to fetch workbook sample: ${response.status} ${response.statusText}`);
     }
     
     const arrayBuffer = await response.arrayBuffer();
-    console.log('Excel arrayBuffer loaded, size:', arrayBuffer.byteLength);
+    console.log('Workbook arrayBuffer loaded, size:', arrayBuffer.byteLength);
     
     if (arrayBuffer.byteLength === 0) {
-      throw new Error('Excel sample file is empty');
+      throw new Error('Workbook sample file is empty');
     }
     
     const workbook = XLSX.read(arrayBuffer, { type: 'array' });
-    console.log('Excel workbook loaded, sheets:', workbook.SheetNames);
+    console.log('Workbook loaded, sheets:', workbook.SheetNames);
     
     if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
-      throw new Error('No sheets found in Excel sample file');
+      throw new Error('No sheets found in workbook sample file');
     }
     
     const firstSheetName = workbook.SheetNames[0];
     const worksheet = workbook.Sheets[firstSheetName];
     
     if (!worksheet) {
-      throw new Error(`Sheet "${firstSheetName}" not found in Excel sample`);
+      throw new Error(`Sheet "${firstSheetName}" not found in workbook sample`);
     }
     
     // Convert to JSON with headers
     const data = XLSX.utils.sheet_to_json(worksheet);
-    console.log('Excel sample loaded successfully:', data.length, 'rows');
+    console.log('Workbook sample loaded successfully:', data.length, 'rows');
     
     if (!data || data.length === 0) {
-      throw new Error('No data found in Excel sample');
+      throw new Error('No data found in workbook sample');
     }
     
     return {
       data,
-      filename: 'expense_breakdown.xlsx',
+      filename,
       type: 'excel',
-      meta: SAMPLE_FILES.EXPENSES_EXCEL
+      meta: sampleInfo
     };
   } catch (error) {
-    console.error('Excel sample loading error:', error);
-    throw new Error('Failed to load Excel sample: ' + error.message);
+    console.error('Workbook sample loading error:', error);
+    throw new Error('Failed to load workbook sample: ' + error.message);
   }
 };
 
@@ -139,7 +140,7 @@ export const loadSampleData = async (sampleKey) => {
   if (sampleInfo.type === 'csv') {
     return loadCSVSample();
   } else if (sampleInfo.type === 'excel') {
-    return loadExcelSample();
+    return loadExcelSample(sampleInfo);
   } else {
     throw new Error('Unsupported sample data type: ' + sampleInfo.type);
   }
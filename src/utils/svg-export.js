@@ -0,0 +1,97 @@
+// Vector SVG export for Chart.js charts
+import { Chart as ChartJS, BasicPlatform } from 'chart.js';
+import { Context as SVGContext } from 'svgcanvas';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Build a standalone copy of a chart's config that can be drawn off-screen
+ * @param {Object} chart - Live Chart.js instance
+ * @returns {Object} Chart.js config with animation and responsiveness disabled
+ */
+const cloneChartConfig = (chart) => {
+  const { type, data, options } = chart.config;
+
+  return {
+    type,
+    // BasicPlatform draws synchronously without touching the DOM
+    platform: BasicPlatform,
+    data: {
+      ...data,
+      labels: data.labels ? [...data.labels] : undefined,
+      // Copy data arrays so Chart.js does not attach listeners to the live chart's arrays,
+      // and carry over datasets the user toggled off in the legend
+      datasets: data.datasets.map((dataset, index) => ({
+        ...dataset,
+        data: [...dataset.data],
+        hidden: !chart.isDatasetVisible(index)
+      }))
+    },
+    options: {
+      ...options,
+      responsive: false,
+      maintainAspectRatio: false,
+      animation: false,
+      devicePixelRatio: 1
+    }
+  };
+};
+
+/**
+ * Redraw a chart through an SVG-producing 2D context
+ * Text is kept as <text> elements and colors are taken from the live config,
+ * so theme styling is preserved and the result stays editable.
+ * @param {Object} chart - Live Chart.js instance
+ * @param {Object} options - Export options
+ * @param {string} options.title - Text for the SVG <title> element
+ * @param {string} options.description - Text for the SVG <desc> element
+ * @param {number} options.width - Output width in CSS pixels (defaults to the chart width)
+ * @param {number} options.height - Output height in CSS pixels (defaults to the chart height)
+ * @returns {string} Serialized SVG markup
+ */
+export const renderChartToSVG = (chart, options = {}) => {
+  if (!chart?.config) {
+    throw new Error('No chart available for SVG export');
+  }
+
+  const width = Math.round(options.width || chart.width);
+  const height = Math.round(options.height || chart.height);
+
+  const svgContext = new SVGContext({ width, height });
+  // Chart.js acquires its drawing context through canvas.getContext('2d')
+  svgContext.getContext = () => svgContext;
+
+  const svgChart = new ChartJS(svgContext, cloneChartConfig(chart));
+
+  try {
+    const root = svgContext.getSvg();
+    root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    // Accessible metadata goes first, as in the previous raster export
+    const metadata = [
+      ['desc', options.description],
+      ['title', options.title]
+    ];
+    metadata.forEach(([tagName, text]) => {
+      if (!text) return;
+      const element = document.createElementNS(SVG_NS, tagName);
+      element.textContent = text;
+      root.insertBefore(element, root.firstChild);
+    });
+
+    const serialized = svgContext.getSerializedSvg(true);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${serialized}`;
+  } finally {
+    svgChart.destroy();
+  }
+};
+
+/**
+ * Render a chart to SVG and wrap it in a Blob
+ * @param {Object} chart - Live Chart.js instance
+ * @param {Object} options - Options passed to renderChartToSVG
+ * @returns {Blob} SVG blob with image/svg+xml type
+ */
+export const createSVGBlob = (chart, options = {}) => {
+  return new Blob([renderChartToSVG(chart, options)], { type: 'image/svg+xml' });
+};
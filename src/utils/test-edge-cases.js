@@ -2,7 +2,14 @@
 // This utility helps test and validate all error edge cases
 
 import { parseCSV } from './parsers/csv-parser.js';
-import { parseExcel } from './parsers/excel-parser.js';
+import { getExcelInfo, parseExcel } from './parsers/excel-parser.js';
+import { createPastedFile } from './parsers/clipboard.js';
+import { DOWNSAMPLE_METHODS, downsampleRows } from './transforms/downsample.js';
+import regionalRevenueReport from '../data/regional_revenue_report.csv?raw';
+import regionalSalesXlsx from '../data/workbook-formats/regional_sales.xlsx?url';
+import regionalSalesXls from '../data/workbook-formats/regional_sales.xls?url';
+import regionalSalesXlsb from '../data/workbook-formats/regional_sales.xlsb?url';
+import regionalSalesOds from '../data/workbook-formats/regional_sales.ods?url';
 import { validateDataForCharting } from './validators/data-validator.js';
 
 /**
@@ -178,6 +185,78 @@ export const testEdgeCases = async () => {
     return validation.isValid; // Should handle any data structure
   });
 
+  // Test 16: Pasted spreadsheet cells with thousands separators
+  await testCase(results, 'Tab-separated paste with comma-grouped numbers', async () => {
+    const pasted = createPastedFile([
+      'Country\tPopulation\tArea (km²)',
+      'China\t1,411,750,000\t9,596,961',
+      'India\t1,392,329,000\t3,287,263',
+      'United States\t331,893,745\t9,833,520'
+    ].join('\n'));
+    const result = await parseCSV(pasted);
+    return result.success &&
+      result.meta.delimiter === '\t' &&
+      result.meta.columns.join('|') === 'Country|Population|Area (km²)' &&
+      result.data[0].Population === 1411750000;
+  });
+
+  // Test 17: Finance export with a title above and a totals row below the table
+  await testCase(results, 'Totals row under a detected table', async () => {
+    const report = new File([regionalRevenueReport], 'regional_revenue_report.csv', { type: 'text/csv' });
+    const result = await parseCSV(report);
+    const { tableRange } = result.meta;
+    return result.success &&
+      tableRange.headerRow === 4 &&
+      tableRange.dataRange === 'A5:D10' &&
+      result.data.length === 6 &&
+      result.data.every(row => row.Region !== 'Total') &&
+      result.data[0].Revenue === 12500;
+  });
+
+  // Test 18: Downsampling many small series stays within the point budget
+  await testCase(results, 'Downsampling 400 series to 1000 points', async () => {
+    const rows = Array.from({ length: 400 * 20 }, (_, index) => ({
+      Sensor: `S${index % 400}`,
+      Step: Math.floor(index / 400),
+      Reading: Math.sin(index) * 100
+    }));
+    const config = { yColumns: ['Reading'], xColumn: 'Step', groupColumn: 'Sensor', maxPoints: 1000 };
+    const lines = downsampleRows(rows, { ...config, method: DOWNSAMPLE_METHODS.LTTB });
+    const bars = downsampleRows(rows, { ...config, method: DOWNSAMPLE_METHODS.MIN_MAX });
+    const sensors = new Set(lines.map(row => row.Sensor));
+    return lines.length <= 1000 && bars.length <= 1000 && sensors.size === 400;
+  });
+
+  // Test 19: The empty "Notes" sheet fails the same way in every workbook format
+  await testCase(results, 'Empty sheet in every workbook format', async () => {
+    const workbooks = {
+      xlsx: regionalSalesXlsx,
+      xls: regionalSalesXls,
+      xlsb: regionalSalesXlsb,
+      ods: regionalSalesOds
+    };
+    const messages = await Promise.all(Object.entries(workbooks).map(async ([extension, url]) => {
+      const bytes = await (await fetch(url)).arrayBuffer();
+      const result = await parseExcel(new File([bytes], `regional_sales.${extension}`), { sheetName: 'Notes' })
+        .catch(error => ({ success: false, error: error.message }));
+      return result.success ? null : (result.error || result.errors?.[0]?.message || '').replace(/"[^"]*"/, '"..."');
+    }));
+    return messages.every(message => message && message === messages[0] && message.startsWith('No data found'));
+  });
+
+  // Test 20: The sheet picker's columns and row counts match what parsing the sheets gives
+  await testCase(results, 'Sheet info agrees with parsed sheets', async () => {
+    const bytes = await (await fetch(regionalSalesXlsx)).arrayBuffer();
+    const file = new File([bytes], 'regional_sales.xlsx');
+    const info = await getExcelInfo(file);
+    const [q1, q2] = info.sheets;
+    const stacked = await parseExcel(file, { sheetNames: [q1.name, q2.name] });
+    return stacked.success &&
+      q1.columns.join() === q2.columns.join() &&
+      q1.columns.every(column => stacked.meta.columns.includes(column)) &&
+      q1.rowCount + q2.rowCount === stacked.data.length;
+  });
+
   console.log(`\n🏁 Edge case testing complete: ${results.passed}/${results.tests.length} passed`);
   if (results.failed > 0) {
     console.log('❌ Failed tests:');
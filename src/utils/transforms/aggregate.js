@@ -0,0 +1,146 @@
+// Aggregation and group-by transform
+// Collapses raw rows into one row per group before charting
+
+export const AGGREGATION_FUNCTIONS = {
+  SUM: 'sum',
+  MEAN: 'mean',
+  MEDIAN: 'median',
+  COUNT: 'count',
+  DISTINCT_COUNT: 'distinct',
+  MIN: 'min',
+  MAX: 'max'
+};
+
+export const AGGREGATION_LABELS = {
+  [AGGREGATION_FUNCTIONS.SUM]: 'Sum',
+  [AGGREGATION_FUNCTIONS.MEAN]: 'Mean',
+  [AGGREGATION_FUNCTIONS.MEDIAN]: 'Median',
+  [AGGREGATION_FUNCTIONS.COUNT]: 'Count',
+  [AGGREGATION_FUNCTIONS.DISTINCT_COUNT]: 'Distinct count',
+  [AGGREGATION_FUNCTIONS.MIN]: 'Min',
+  [AGGREGATION_FUNCTIONS.MAX]: 'Max'
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const toNumbers = (values) => values
+  .filter(value => !isEmpty(value))
+  .map(value => (typeof value === 'number' ? value : Number(value)))
+  .filter(value => !isNaN(value));
+
+/**
+ * Median of a numeric array, averaging the two middle values for even lengths
+ * @param {Array<number>} numbers - Numeric values
+ * @returns {number|null} Median or null when empty
+ */
+export const median = (numbers) => {
+  if (numbers.length === 0) return null;
+
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+};
+
+const reducers = {
+  [AGGREGATION_FUNCTIONS.SUM]: (values) => toNumbers(values).reduce((acc, val) => acc + val, 0),
+  [AGGREGATION_FUNCTIONS.MEAN]: (values) => {
+    const numbers = toNumbers(values);
+    return numbers.length > 0 ? numbers.reduce((acc, val) => acc + val, 0) / numbers.length : null;
+  },
+  [AGGREGATION_FUNCTIONS.MEDIAN]: (values) => median(toNumbers(values)),
+  [AGGREGATION_FUNCTIONS.COUNT]: (values) => values.filter(value => !isEmpty(value)).length,
+  [AGGREGATION_FUNCTIONS.DISTINCT_COUNT]: (values) =>
+    new Set(values.filter(value => !isEmpty(value)).map(value => String(value))).size,
+  [AGGREGATION_FUNCTIONS.MIN]: (values) => {
+    const numbers = toNumbers(values);
+    return numbers.length > 0 ? Math.min(...numbers) : null;
+  },
+  [AGGREGATION_FUNCTIONS.MAX]: (values) => {
+    const numbers = toNumbers(values);
+    return numbers.length > 0 ? Math.max(...numbers) : null;
+  }
+};
+
+/**
+ * Reduce a list of values with one of the aggregation functions
+ * @param {string} fn - One of AGGREGATION_FUNCTIONS
+ * @param {Array} values - Values to reduce
+ * @returns {number|null} Aggregated value
+ */
+export const reduceValues = (fn, values) => {
+  if (!reducers[fn]) {
+    throw new Error(`Unsupported aggregation function: ${fn}`);
+  }
+  return reducers[fn](values);
+};
+
+/**
+ * Output column name for a measure
+ * Measures keep their source column name so column mappings survive aggregation;
+ * only counts and repeated columns get a suffix.
+ * @param {Object} measure - Measure definition { column, fn, as }
+ * @param {Array} measures - All measures (to detect repeated columns)
+ * @returns {string} Output column name
+ */
+export const getMeasureName = (measure, measures = []) => {
+  if (measure.as) return measure.as;
+  if (!measure.column) return 'Count';
+
+  const repeated = measures.filter(m => m.column === measure.column).length > 1;
+  if (measure.fn === AGGREGATION_FUNCTIONS.DISTINCT_COUNT || repeated) {
+    return `${measure.column} (${AGGREGATION_LABELS[measure.fn]?.toLowerCase() || measure.fn})`;
+  }
+  return measure.column;
+};
+
+/**
+ * Group rows and aggregate measures for each group
+ * @param {Array} data - Row objects
+ * @param {Object} config - Aggregation config
+ * @param {Array<string>} config.groupBy - Columns to group by (in order)
+ * @param {Array<Object>} config.measures - Measures: { column, fn, as }
+ *   A measure without a column counts rows in the group.
+ * @returns {Array} One row per group with group columns followed by measures
+ */
+export const aggregateData = (data, config = {}) => {
+  const { groupBy = [], measures = [] } = config;
+
+  if (!data || data.length === 0 || measures.length === 0) {
+    return data;
+  }
+
+  measures.forEach(measure => {
+    if (!reducers[measure.fn]) {
+      throw new Error(`Unsupported aggregation function: ${measure.fn}`);
+    }
+  });
+
+  // Group rows, keeping first-seen order so category order matches the file
+  const groups = new Map();
+  data.forEach(row => {
+    const keyValues = groupBy.map(col => (isEmpty(row[col]) ? null : row[col]));
+    const key = JSON.stringify(keyValues.map(value => (value instanceof Date ? value.getTime() : value)));
+
+    if (!groups.has(key)) {
+      groups.set(key, { keyValues, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  });
+
+  return [...groups.values()].map(({ keyValues, rows }) => {
+    const result = {};
+
+    groupBy.forEach((col, index) => {
+      result[col] = keyValues[index] ?? '(blank)';
+    });
+
+    measures.forEach(measure => {
+      const values = measure.column ? rows.map(row => row[measure.column]) : rows.map(() => 1);
+      result[getMeasureName(measure, measures)] = reducers[measure.fn](values);
+    });
+
+    return result;
+  });
+};
@@ -0,0 +1,88 @@
+// Number formats carried from the parsed file through reshaping and aggregation
+// so charted columns display values the way the file wrote them.
+import { AGGREGATION_FUNCTIONS, getMeasureName } from './aggregate.js';
+import { RESHAPE_MODES } from './reshape.js';
+
+// Aggregations whose result is in the same unit as their input
+const UNIT_PRESERVING_FUNCTIONS = [
+  AGGREGATION_FUNCTIONS.SUM,
+  AGGREGATION_FUNCTIONS.MEAN,
+  AGGREGATION_FUNCTIONS.MEDIAN,
+  AGGREGATION_FUNCTIONS.MIN,
+  AGGREGATION_FUNCTIONS.MAX
+];
+
+/**
+ * Collect the number formats recorded in a column analysis
+ * @param {Object} columnAnalysis - Column analysis from validateDataForCharting
+ * @returns {Object} Map of column name to { locale, unit, accounting, format }
+ */
+export const getColumnFormats = (columnAnalysis = {}) => {
+  return Object.fromEntries(
+    Object.entries(columnAnalysis)
+      .filter(([, analysis]) => analysis?.numberFormat)
+      .map(([column, analysis]) => [column, analysis.numberFormat])
+  );
+};
+
+/**
+ * Return the format shared by every column, or null when they differ or are unformatted
+ * @param {Object} formats - Map of column name to number format
+ * @param {Array<string>} columns - Columns plotted on one axis
+ * @returns {Object|null} Shared number format
+ */
+export const getSharedNumberFormat = (formats = {}, columns = []) => {
+  const present = columns.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const [first, ...rest] = present.map(column => formats[column]);
+  if (!first) return null;
+
+  const key = JSON.stringify({ locale: first.locale, format: first.format });
+  return rest.every(format => format && JSON.stringify({ locale: format.locale, format: format.format }) === key)
+    ? first
+    : null;
+};
+
+/**
+ * Map formats onto the columns produced by reshaping and aggregation
+ * @param {Object} formats - Formats of the parsed columns
+ * @param {Object} config - Transform config
+ * @param {Object} config.reshape - Reshape config (see applyReshape)
+ * @param {Object} config.aggregation - Aggregation config (see aggregateData)
+ * @param {Array<string>} config.reshapedColumns - Columns after reshaping, used to find pivoted series columns
+ * @returns {Object} Formats keyed by the charted column names
+ */
+export const deriveColumnFormats = (formats = {}, config = {}) => {
+  const { reshape, aggregation, reshapedColumns = [] } = config;
+  let derived = { ...formats };
+
+  if (reshape?.mode === RESHAPE_MODES.PIVOT && reshape.pivot) {
+    const { index = [], valueColumn, fn } = reshape.pivot;
+    const valueFormat = UNIT_PRESERVING_FUNCTIONS.includes(fn) ? formats[valueColumn] : null;
+    derived = Object.fromEntries(index.filter(column => formats[column]).map(column => [column, formats[column]]));
+    if (valueFormat) {
+      reshapedColumns
+        .filter(column => !index.includes(column))
+        .forEach(column => { derived[column] = valueFormat; });
+    }
+  } else if (reshape?.mode === RESHAPE_MODES.UNPIVOT && reshape.unpivot) {
+    const { valueColumns = [], valueColumnName = 'Value' } = reshape.unpivot;
+    const sharedFormat = getSharedNumberFormat(formats, valueColumns);
+    valueColumns.forEach(column => { delete derived[column]; });
+    if (sharedFormat) derived[valueColumnName] = sharedFormat;
+  }
+
+  if (aggregation?.enabled) {
+    const { groupBy = [], measures = [] } = aggregation;
+    const aggregated = Object.fromEntries(groupBy.filter(column => derived[column]).map(column => [column, derived[column]]));
+    measures.forEach(measure => {
+      if (UNIT_PRESERVING_FUNCTIONS.includes(measure.fn) && derived[measure.column]) {
+        aggregated[getMeasureName(measure, measures)] = derived[measure.column];
+      }
+    });
+    derived = aggregated;
+  }
+
+  return derived;
+};
@@ -0,0 +1,131 @@
+// Column type overrides
+// Lets the user correct a detected column type before reshaping: read a column
+// as numbers, category labels or dates, or leave it out of the chart.
+import { parseLocaleNumber } from '../parsers/number-normalization.js';
+import { DATE_FORMATS, parseDateValue } from '../parsers/date-detection.js';
+
+export const COLUMN_TYPES = {
+  AUTO: 'auto',
+  NUMBER: 'number',
+  CATEGORY: 'category',
+  DATE: 'date',
+  IGNORE: 'ignore'
+};
+
+export const COLUMN_TYPE_LABELS = {
+  [COLUMN_TYPES.AUTO]: 'Detected',
+  [COLUMN_TYPES.NUMBER]: 'Number',
+  [COLUMN_TYPES.CATEGORY]: 'Category',
+  [COLUMN_TYPES.DATE]: 'Date',
+  [COLUMN_TYPES.IGNORE]: 'Ignore'
+};
+
+// Formats tried in turn when text is read as a date; day-first only if month-first fails
+const DATE_FORMAT_ORDER = [
+  DATE_FORMATS.ISO,
+  DATE_FORMATS.ISO_MONTH,
+  DATE_FORMATS.MONTH_NAME,
+  DATE_FORMATS.MDY,
+  DATE_FORMATS.DMY
+];
+
+const isEmpty = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+const formatDateLabel = (date) => {
+  const pad = (part) => String(part).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Map a column analysis to the type it was detected as
+ * @param {Object} analysis - Column analysis from validateDataForCharting
+ * @returns {string} COLUMN_TYPES.NUMBER, DATE or CATEGORY
+ */
+export const getDetectedType = (analysis) => {
+  const primaryType = analysis?.typeAnalysis?.primaryType;
+  if (primaryType === 'number') return COLUMN_TYPES.NUMBER;
+  if (primaryType === 'date') return COLUMN_TYPES.DATE;
+  return COLUMN_TYPES.CATEGORY;
+};
+
+/**
+ * Read a single value as a column type
+ * Values that can't be read become null, so they show as gaps rather than
+ * being charted wrongly. Numbers read as dates are years (2024), or Excel
+ * serial days when they are in that range.
+ * @param {*} value - Cell value
+ * @param {string} type - One of COLUMN_TYPES (AUTO returns the value as is)
+ * @param {Object} options - { numberLocale } - key of NUMBER_LOCALES for text read as numbers
+ * @returns {*} Converted value
+ */
+export const coerceValue = (value, type, options = {}) => {
+  if (type === COLUMN_TYPES.AUTO || type === COLUMN_TYPES.IGNORE) return value;
+  if (isEmpty(value)) return null;
+
+  switch (type) {
+    case COLUMN_TYPES.NUMBER: {
+      if (value instanceof Date) return value.getTime();
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      return parseLocaleNumber(value, options.numberLocale)?.value ?? null;
+    }
+    case COLUMN_TYPES.CATEGORY:
+      return value instanceof Date ? formatDateLabel(value) : String(value);
+    case COLUMN_TYPES.DATE: {
+      if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+      if (typeof value === 'number') {
+        if (Number.isInteger(value) && value >= 1000 && value <= 9999) return new Date(value, 0, 1);
+        return parseDateValue(value, DATE_FORMATS.EXCEL_SERIAL);
+      }
+      const text = String(value).trim();
+      if (/^\d{4}$/.test(text)) return new Date(Number(text), 0, 1);
+      for (const format of DATE_FORMAT_ORDER) {
+        const date = parseDateValue(text, format);
+        if (date) return date;
+      }
+      return null;
+    }
+    default:
+      return value;
+  }
+};
+
+/**
+ * Apply column type overrides to every row
+ * Ignored columns are removed; the rows keep their order so row indexes still
+ * match the source data.
+ * @param {Array} data - Row objects
+ * @param {Object} columnTypes - Map of column name to one of COLUMN_TYPES
+ * @param {Object} options - { numberLocale } - the file's number format (see coerceValue)
+ * @returns {Array} Rows with converted values (the input when nothing is overridden)
+ */
+export const applyColumnTypes = (data, columnTypes = {}, options = {}) => {
+  const overrides = Object.entries(columnTypes).filter(([, type]) => type && type !== COLUMN_TYPES.AUTO);
+  if (!data || overrides.length === 0) return data;
+
+  return data.map(row => {
+    const typed = { ...row };
+    overrides.forEach(([column, type]) => {
+      if (type === COLUMN_TYPES.IGNORE) {
+        delete typed[column];
+      } else if (column in typed) {
+        typed[column] = coerceValue(row[column], type, options);
+      }
+    });
+    return typed;
+  });
+};
+
+/**
+ * Read text typed into a cell as the column's type
+ * @param {string} text - Edited cell text
+ * @param {string} type - Column type (an override, or the detected type)
+ * @returns {*} Value to store, null when the text is blank
+ */
+export const parseEditedValue = (text, type) => {
+  if (isEmpty(text)) return null;
+  if (type === COLUMN_TYPES.NUMBER || type === COLUMN_TYPES.DATE) {
+    // Keep what was typed if it doesn't read as the type, so the cell stays flagged
+    return coerceValue(text, type) ?? text;
+  }
+  return text;
+};
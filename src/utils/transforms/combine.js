@@ -0,0 +1,325 @@
+// Combining several parsed files into one dataset
+// Union: append rows, matching columns by name - e.g. twelve monthly exports
+// Join: match rows on key columns - e.g. actuals from one file, targets from another
+import { MAX_ROWS } from '../constants.js';
+
+export const COMBINE_MODES = {
+  UNION: 'union',
+  JOIN: 'join'
+};
+
+export const JOIN_TYPES = {
+  INNER: 'inner', // rows whose keys are in every file
+  LEFT: 'left', // every row of the first file
+  FULL: 'full' // every row of every file
+};
+
+export const JOIN_TYPE_LABELS = {
+  [JOIN_TYPES.INNER]: 'Matching rows only',
+  [JOIN_TYPES.LEFT]: 'All rows of the first file',
+  [JOIN_TYPES.FULL]: 'All rows of every file'
+};
+
+// Column added by a union to say which file each row came from
+export const SOURCE_COLUMN = 'Source';
+
+// Column names match regardless of case and surrounding spaces
+const normalizeName = (name) => String(name).trim().toLowerCase();
+
+// Keys compare as text so 2024 matches "2024"; blank keys never match
+const keyValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  const text = String(value).trim();
+  return text === '' ? null : text;
+};
+
+const rowKey = (row, columns) => {
+  const values = columns.map(col => keyValue(row[col]));
+  return values.includes(null) ? null : JSON.stringify(values);
+};
+
+const checkRowLimit = (count) => {
+  if (count > MAX_ROWS) {
+    throw new Error(`The combined data would have more than ${MAX_ROWS.toLocaleString()} rows`);
+  }
+};
+
+/**
+ * Describe a parsed file for combining
+ * @param {string} filename - File name, used to label rows and clashing columns
+ * @param {Array} data - Parsed rows
+ * @param {Object} meta - Parser metadata ({ columns, numberFormats })
+ * @param {Array<Object>} existing - Datasets already created, so names stay unique
+ * @returns {Object} Dataset { name, data, columns, numberFormats }
+ */
+export const createDataset = (filename, data, meta = {}, existing = []) => {
+  const baseName = filename.replace(/\.[^.]+$/, '') || filename;
+  const taken = new Set(existing.map(dataset => dataset.name));
+  let name = baseName;
+  for (let suffix = 2; taken.has(name); suffix++) {
+    name = `${baseName} (${suffix})`;
+  }
+
+  return {
+    name,
+    data,
+    columns: meta.columns?.length ? meta.columns : Object.keys(data[0] || {}),
+    numberFormats: meta.numberFormats || {}
+  };
+};
+
+/**
+ * Find the columns every dataset has, using the first dataset's spelling
+ * @param {Array<Object>} datasets - Datasets from createDataset
+ * @returns {Array<string>} Shared column names
+ */
+export const getSharedColumns = (datasets) => {
+  if (datasets.length === 0) return [];
+  const [first, ...rest] = datasets;
+  return first.columns.filter(col => rest.every(dataset => (
+    dataset.columns.some(other => normalizeName(other) === normalizeName(col))
+  )));
+};
+
+/**
+ * Append the rows of several datasets, matching columns by name
+ * Columns missing from a file are left empty on its rows, and reported.
+ * @param {Array<Object>} datasets - Datasets from createDataset
+ * @param {Object} options - Union options
+ * @param {boolean} options.addSource - Add a Source column naming each row's file
+ * @returns {Object} { data, meta: { columns, numberFormats }, report: { mismatches } }
+ */
+export const unionDatasets = (datasets, options = {}) => {
+  const { addSource = true } = options;
+  checkRowLimit(datasets.reduce((total, dataset) => total + dataset.data.length, 0));
+
+  // Output columns in first-seen order, spelled as first seen
+  const columns = [];
+  const columnByName = new Map();
+  const numberFormats = {};
+  datasets.forEach(dataset => {
+    dataset.columns.forEach(col => {
+      const name = normalizeName(col);
+      if (!columnByName.has(name)) {
+        columnByName.set(name, col);
+        columns.push(col);
+      }
+      const outputColumn = columnByName.get(name);
+      if (!numberFormats[outputColumn] && dataset.numberFormats[col]) {
+        numberFormats[outputColumn] = dataset.numberFormats[col];
+      }
+    });
+  });
+
+  const sourceColumn = addSource ? uniqueColumnName(SOURCE_COLUMN, columns) : null;
+
+  const data = [];
+  datasets.forEach(dataset => {
+    const outputNames = dataset.columns.map(col => [col, columnByName.get(normalizeName(col))]);
+    dataset.data.forEach(row => {
+      const combined = Object.fromEntries(columns.map(col => [col, null]));
+      outputNames.forEach(([col, outputColumn]) => {
+        combined[outputColumn] = row[col] ?? null;
+      });
+      if (sourceColumn) combined[sourceColumn] = dataset.name;
+      data.push(combined);
+    });
+  });
+
+  const mismatches = datasets
+    .map(dataset => {
+      const own = new Set(dataset.columns.map(normalizeName));
+      return {
+        dataset: dataset.name,
+        missing: columns.filter(col => !own.has(normalizeName(col)))
+      };
+    })
+    .filter(mismatch => mismatch.missing.length > 0);
+
+  return {
+    data,
+    meta: { columns: sourceColumn ? [...columns, sourceColumn] : columns, numberFormats },
+    report: { mismatches }
+  };
+};
+
+/**
+ * Pick a column name not already taken, adding a number if needed
+ * @param {string} name - Preferred name
+ * @param {Array<string>} taken - Names in use
+ * @returns {string} Unused name
+ */
+const uniqueColumnName = (name, taken) => {
+  const used = new Set(taken.map(normalizeName));
+  if (!used.has(normalizeName(name))) return name;
+  let suffix = 2;
+  while (used.has(normalizeName(`${name} ${suffix}`))) suffix++;
+  return `${name} ${suffix}`;
+};
+
+/**
+ * Join a dataset onto the rows combined so far
+ * @param {Object} left - { data, columns, numberFormats } combined so far
+ * @param {Object} right - Dataset to join on
+ * @param {Array<string>} keys - Key columns, spelled as in the output
+ * @param {string} type - One of JOIN_TYPES
+ * @returns {Object} { data, columns, numberFormats, step } - step reports the matches for this file
+ */
+const joinPair = (left, right, keys, type) => {
+  const rightKeys = keys.map(key => right.columns.find(col => normalizeName(col) === normalizeName(key)));
+
+  // Non-key columns that clash with ones already present are labelled with the file name
+  const renamed = [];
+  const rightColumns = right.columns
+    .filter(col => !rightKeys.includes(col))
+    .map(col => {
+      const taken = left.columns.some(existing => normalizeName(existing) === normalizeName(col));
+      const outputColumn = taken ? uniqueColumnName(`${col} (${right.name})`, left.columns) : col;
+      if (taken) renamed.push({ from: col, to: outputColumn });
+      return [col, outputColumn];
+    });
+
+  const rightIndex = new Map();
+  let duplicateKeys = 0;
+  right.data.forEach(row => {
+    const key = rowKey(row, rightKeys);
+    if (key === null) return;
+    if (rightIndex.has(key)) {
+      if (rightIndex.get(key).length === 1) duplicateKeys++;
+      rightIndex.get(key).push(row);
+    } else {
+      rightIndex.set(key, [row]);
+    }
+  });
+
+  const emptyRight = Object.fromEntries(rightColumns.map(([, outputColumn]) => [outputColumn, null]));
+  const takeRight = (row) => Object.fromEntries(rightColumns.map(([col, outputColumn]) => [outputColumn, row[col] ?? null]));
+
+  const data = [];
+  const matchedKeys = new Set();
+  let unmatchedLeft = 0;
+  left.data.forEach(row => {
+    const key = rowKey(row, keys);
+    const matches = key === null ? null : rightIndex.get(key);
+    if (matches) {
+      matchedKeys.add(key);
+      matches.forEach(match => data.push({ ...row, ...takeRight(match) }));
+      checkRowLimit(data.length);
+    } else {
+      unmatchedLeft++;
+      if (type !== JOIN_TYPES.INNER) data.push({ ...row, ...emptyRight });
+    }
+  });
+
+  // Full joins keep right rows nothing matched, with their keys filled in
+  const unmatchedRightRows = right.data.filter(row => !matchedKeys.has(rowKey(row, rightKeys)));
+  if (type === JOIN_TYPES.FULL) {
+    const emptyLeft = Object.fromEntries(left.columns.map(col => [col, null]));
+    unmatchedRightRows.forEach(row => {
+      const combined = { ...emptyLeft, ...takeRight(row) };
+      keys.forEach((key, index) => {
+        combined[key] = row[rightKeys[index]] ?? null;
+      });
+      data.push(combined);
+    });
+    checkRowLimit(data.length);
+  }
+
+  const numberFormats = { ...left.numberFormats };
+  rightColumns.forEach(([col, outputColumn]) => {
+    if (right.numberFormats[col]) numberFormats[outputColumn] = right.numberFormats[col];
+  });
+
+  return {
+    data,
+    columns: [...left.columns, ...rightColumns.map(([, outputColumn]) => outputColumn)],
+    numberFormats,
+    step: {
+      dataset: right.name,
+      matchedRows: left.data.length - unmatchedLeft,
+      unmatchedLeft,
+      unmatchedRight: unmatchedRightRows.length,
+      duplicateKeys,
+      renamed
+    }
+  };
+};
+
+/**
+ * Join datasets on key columns, one after another in the order given
+ * Keys match as text ignoring surrounding spaces; rows with a blank key
+ * never match. A key repeated in a later file repeats the matching rows.
+ * @param {Array<Object>} datasets - Datasets from createDataset
+ * @param {Object} options - Join options
+ * @param {Array<string>} options.keys - Key columns, which every file must have
+ * @param {string} options.type - One of JOIN_TYPES, defaults to left
+ * @returns {Object} { data, meta: { columns, numberFormats }, report: { steps } }
+ */
+export const joinDatasets = (datasets, options = {}) => {
+  const { keys = [], type = JOIN_TYPES.LEFT } = options;
+
+  if (keys.length === 0) {
+    throw new Error('Choose at least one key column to join on');
+  }
+  const shared = getSharedColumns(datasets);
+  const missingKey = keys.find(key => !shared.includes(key));
+  if (missingKey) {
+    throw new Error(`Key column "${missingKey}" is not in every file`);
+  }
+
+  const [first, ...rest] = datasets;
+  let combined = { data: first.data, columns: first.columns, numberFormats: { ...first.numberFormats } };
+  const steps = [];
+  rest.forEach(dataset => {
+    const { step, ...joined } = joinPair(combined, dataset, keys, type);
+    combined = joined;
+    steps.push(step);
+  });
+
+  return {
+    data: combined.data,
+    meta: { columns: combined.columns, numberFormats: combined.numberFormats },
+    report: { steps }
+  };
+};
+
+/**
+ * Combine datasets with a combine config
+ * @param {Array<Object>} datasets - Datasets from createDataset, at least two
+ * @param {Object} config - { mode, union: { addSource }, join: { keys, type } }
+ * @returns {Object} { data, meta, report } as for unionDatasets or joinDatasets
+ */
+export const combineDatasets = (datasets, config = {}) => {
+  if (datasets.length < 2) {
+    throw new Error('Combining needs at least two files');
+  }
+
+  switch (config.mode) {
+    case COMBINE_MODES.UNION:
+      return unionDatasets(datasets, config.union);
+    case COMBINE_MODES.JOIN:
+      return joinDatasets(datasets, config.join);
+    default:
+      throw new Error(`Unknown combine mode: ${config.mode}`);
+  }
+};
+
+/**
+ * Seed a combine config from the datasets
+ * Files are joined on their first shared column when each adds columns of its
+ * own (actuals and targets); otherwise they are appended (monthly exports,
+ * even if some months have an extra column).
+ * @param {Array<Object>} datasets - Datasets from createDataset
+ * @returns {Object} Combine config for combineDatasets
+ */
+export const createCombineDefaults = (datasets) => {
+  const shared = getSharedColumns(datasets);
+  const eachAddsColumns = datasets.every(dataset => dataset.columns.length > shared.length);
+
+  return {
+    mode: shared.length > 0 && eachAddsColumns ? COMBINE_MODES.JOIN : COMBINE_MODES.UNION,
+    union: { addSource: true },
+    join: { keys: shared.slice(0, 1), type: JOIN_TYPES.LEFT }
+  };
+};
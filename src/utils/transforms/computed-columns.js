@@ -0,0 +1,422 @@
+// Computed columns from spreadsheet-style formulas
+// Formulas are parsed into a tree and evaluated column-at-a-time - never passed
+// to eval or new Function - so a formula can only read the rows it is given.
+
+// Functions a formula can call, with their syntax for the help text
+export const FORMULA_FUNCTIONS = [
+  { name: 'IF', syntax: 'IF(condition, then, else)', description: 'Pick a value by a condition' },
+  { name: 'ROUND', syntax: 'ROUND(value, digits)', description: 'Round to a number of decimal places (0 if left out)' },
+  { name: 'ABS', syntax: 'ABS(value)', description: 'Drop the sign' },
+  { name: 'AND', syntax: 'AND(a, b, ...)', description: 'True when every condition is' },
+  { name: 'OR', syntax: 'OR(a, b, ...)', description: 'True when any condition is' },
+  { name: 'NOT', syntax: 'NOT(condition)', description: 'Flip a condition' },
+  { name: 'LAG', syntax: 'LAG(value, rows)', description: 'Value from an earlier row (1 row if left out)' },
+  { name: 'LEAD', syntax: 'LEAD(value, rows)', description: 'Value from a later row (1 row if left out)' },
+  { name: 'CUMSUM', syntax: 'CUMSUM(value)', description: 'Running total down the rows, skipping blanks' }
+];
+
+// Allowed argument counts by function
+const ARITY = {
+  IF: [2, 3],
+  ROUND: [1, 2],
+  ABS: [1, 1],
+  AND: [1, Infinity],
+  OR: [1, Infinity],
+  NOT: [1, 1],
+  LAG: [1, 2],
+  LEAD: [1, 2],
+  CUMSUM: [1, 1]
+};
+
+const COMPARISON_OPERATORS = ['=', '<>', '!=', '<', '<=', '>', '>='];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.getTime();
+  if (isBlank(value)) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Blank and FALSE-like values are false, as in a spreadsheet
+const toBoolean = (value) => {
+  if (isBlank(value)) return false;
+  if (typeof value === 'string') return value.trim().toUpperCase() !== 'FALSE';
+  return Boolean(toNumber(value) ?? value);
+};
+
+/**
+ * Split a formula into tokens
+ * @param {string} formula - Formula text
+ * @returns {Array<Object>} Tokens { type, value, position }
+ */
+const tokenize = (formula) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < formula.length) {
+    const char = formula[index];
+    const rest = formula.slice(index);
+    let match;
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if ((match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(rest))) {
+      tokens.push({ type: 'number', value: Number(match[0]), position: index });
+      index += match[0].length;
+    } else if (char === '"' || char === "'") {
+      const end = formula.indexOf(char, index + 1);
+      if (end === -1) throw new Error(`Text starting at position ${index + 1} is missing its closing ${char}`);
+      tokens.push({ type: 'string', value: formula.slice(index + 1, end), position: index });
+      index = end + 1;
+    } else if (char === '[') {
+      const end = formula.indexOf(']', index + 1);
+      if (end === -1) throw new Error(`Column name starting at position ${index + 1} is missing its closing ]`);
+      tokens.push({ type: 'column', value: formula.slice(index + 1, end).trim(), position: index });
+      index = end + 1;
+    } else if ((match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest))) {
+      tokens.push({ type: 'name', value: match[0], position: index });
+      index += match[0].length;
+    } else if ((match = /^(<=|>=|<>|!=|[-+*/^&=<>(),])/.exec(rest))) {
+      tokens.push({ type: 'symbol', value: match[0], position: index });
+      index += match[0].length;
+    } else {
+      throw new Error(`Unexpected "${char}" at position ${index + 1}`);
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse tokens into an expression tree, lowest precedence first:
+ * comparison, & (join text), + -, * /, unary minus, ^
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @param {Array<string>} columns - Columns a formula may refer to
+ * @returns {Object} Expression tree
+ */
+const parse = (tokens, columns) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const isSymbol = (...values) => peek()?.type === 'symbol' && values.includes(peek().value);
+  const describe = (token) => (token ? `"${token.value}" at position ${token.position + 1}` : 'the end of the formula');
+
+  const expect = (value) => {
+    if (!isSymbol(value)) throw new Error(`Expected "${value}" but found ${describe(peek())}`);
+    index++;
+  };
+
+  // Exact names first, then a case-insensitive match so "revenue" finds "Revenue"
+  const resolveColumn = (name, token) => {
+    const column = columns.find(col => col === name) ||
+      columns.find(col => col.toLowerCase() === name.toLowerCase());
+    if (!column) throw new Error(`Unknown column "${name}" at position ${token.position + 1}`);
+    return { type: 'column', column };
+  };
+
+  const binary = (next, operators) => () => {
+    let node = next();
+    while (isSymbol(...operators)) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: next() };
+    }
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) throw new Error('The formula ends too early');
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'column':
+        return resolveColumn(token.value, token);
+      case 'name': {
+        const upper = token.value.toUpperCase();
+        if (isSymbol('(')) {
+          if (!ARITY[upper]) throw new Error(`Unknown function "${token.value}" at position ${token.position + 1}`);
+          index++;
+          const args = [];
+          if (!isSymbol(')')) {
+            args.push(parseExpression());
+            while (isSymbol(',')) {
+              index++;
+              args.push(parseExpression());
+            }
+          }
+          expect(')');
+          const [min, max] = ARITY[upper];
+          if (args.length < min || args.length > max) {
+            const expected = min === max ? min : max === Infinity ? `at least ${min}` : `${min} or ${max}`;
+            throw new Error(`${upper} takes ${expected} argument${min === 1 && max === 1 ? '' : 's'}, not ${args.length}`);
+          }
+          return { type: 'call', name: upper, args };
+        }
+        if (upper === 'TRUE' || upper === 'FALSE') return { type: 'literal', value: upper === 'TRUE' };
+        return resolveColumn(token.value, token);
+      }
+      case 'symbol':
+        if (token.value === '(') {
+          const node = parseExpression();
+          expect(')');
+          return node;
+        }
+        throw new Error(`Unexpected ${describe(token)}`);
+      default:
+        throw new Error(`Unexpected ${describe(token)}`);
+    }
+  };
+
+  // ^ binds tighter than unary minus and groups right to left: -2^2 = -4, 2^3^2 = 512
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (!isSymbol('^')) return base;
+    index++;
+    return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+  };
+
+  const parseUnary = () => {
+    if (isSymbol('-', '+')) {
+      const operator = tokens[index++].value;
+      const operand = parseUnary();
+      return operator === '-' ? { type: 'negate', operand } : operand;
+    }
+    return parsePower();
+  };
+
+  const parseTerm = binary(parseUnary, ['*', '/']);
+  const parseSum = binary(parseTerm, ['+', '-']);
+  const parseConcat = binary(parseSum, ['&']);
+
+  const parseExpression = () => {
+    const left = parseConcat();
+    if (!isSymbol(...COMPARISON_OPERATORS)) return left;
+    const operator = tokens[index++].value;
+    return { type: 'binary', operator, left, right: parseConcat() };
+  };
+
+  if (tokens.length === 0) throw new Error('Enter a formula');
+  const tree = parseExpression();
+  if (index < tokens.length) throw new Error(`Unexpected ${describe(peek())}`);
+  return tree;
+};
+
+// Numbers compare as numbers, anything else as text ignoring case
+const compare = (a, b) => {
+  const numberA = toNumber(a);
+  const numberB = toNumber(b);
+  if (numberA !== null && numberB !== null) return numberA - numberB;
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+};
+
+const applyOperator = (operator, a, b) => {
+  if (operator === '&') return `${isBlank(a) ? '' : a}${isBlank(b) ? '' : b}`;
+
+  if (COMPARISON_OPERATORS.includes(operator)) {
+    if (isBlank(a) || isBlank(b)) {
+      // Blanks only equal other blanks
+      if (operator === '=') return isBlank(a) && isBlank(b);
+      if (operator === '<>' || operator === '!=') return isBlank(a) !== isBlank(b);
+      return null;
+    }
+    const order = compare(a, b);
+    switch (operator) {
+      case '=': return order === 0;
+      case '<>':
+      case '!=': return order !== 0;
+      case '<': return order < 0;
+      case '<=': return order <= 0;
+      case '>': return order > 0;
+      default: return order >= 0;
+    }
+  }
+
+  // Arithmetic on blanks or text gives a blank, and so does dividing by zero
+  const x = toNumber(a);
+  const y = toNumber(b);
+  if (x === null || y === null) return null;
+  switch (operator) {
+    case '+': return x + y;
+    case '-': return x - y;
+    case '*': return x * y;
+    case '/': return y === 0 ? null : x / y;
+    default: {
+      const result = x ** y;
+      return Number.isFinite(result) ? result : null;
+    }
+  }
+};
+
+// LAG/LEAD offsets must be written as whole numbers so every row shifts the same way
+const getOffset = (node, name) => {
+  if (!node) return 1;
+  if (node.type !== 'literal' || !Number.isInteger(node.value) || node.value < 0) {
+    throw new Error(`${name}'s second argument must be a whole number of rows, like ${name}([Sales], 1)`);
+  }
+  return node.value;
+};
+
+const shift = (values, offset) => values.map((value, index) => values[index + offset] ?? null);
+
+/**
+ * Evaluate an expression tree over every row
+ * @param {Object} node - Expression tree from parse
+ * @param {Array} rows - Row objects
+ * @returns {Array} One value per row
+ */
+const evaluate = (node, rows) => {
+  switch (node.type) {
+    case 'literal':
+      return rows.map(() => node.value);
+    case 'column':
+      return rows.map(row => row[node.column] ?? null);
+    case 'negate':
+      return evaluate(node.operand, rows).map(value => {
+        const number = toNumber(value);
+        return number === null ? null : -number;
+      });
+    case 'binary': {
+      const left = evaluate(node.left, rows);
+      const right = evaluate(node.right, rows);
+      return left.map((value, index) => applyOperator(node.operator, value, right[index]));
+    }
+    case 'call':
+      return evaluateCall(node, rows);
+    default:
+      throw new Error(`Unknown formula part: ${node.type}`);
+  }
+};
+
+const evaluateCall = ({ name, args }, rows) => {
+  const values = args.map(arg => evaluate(arg, rows));
+
+  switch (name) {
+    case 'IF':
+      return values[0].map((condition, index) => (
+        toBoolean(condition) ? values[1][index] : values[2]?.[index] ?? null
+      ));
+    case 'ROUND':
+      return values[0].map((value, index) => {
+        const number = toNumber(value);
+        const digits = values[1] ? toNumber(values[1][index]) ?? 0 : 0;
+        if (number === null) return null;
+        const factor = 10 ** Math.round(digits);
+        return Math.round(number * factor) / factor;
+      });
+    case 'ABS':
+      return values[0].map(value => {
+        const number = toNumber(value);
+        return number === null ? null : Math.abs(number);
+      });
+    case 'AND':
+      return rows.map((row, index) => values.every(arg => toBoolean(arg[index])));
+    case 'OR':
+      return rows.map((row, index) => values.some(arg => toBoolean(arg[index])));
+    case 'NOT':
+      return values[0].map(value => !toBoolean(value));
+    case 'LAG':
+      return shift(values[0], -getOffset(args[1], name));
+    case 'LEAD':
+      return shift(values[0], getOffset(args[1], name));
+    case 'CUMSUM': {
+      let total = 0;
+      return values[0].map(value => {
+        const number = toNumber(value);
+        if (number === null) return null;
+        total += number;
+        return total;
+      });
+    }
+    default:
+      throw new Error(`Unknown function "${name}"`);
+  }
+};
+
+// Comparisons are shown as TRUE/FALSE so they chart as categories
+const toCellValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return value;
+};
+
+/**
+ * Check a formula and turn it into an evaluator
+ * @param {string} formula - Formula text, e.g. '[Profit] / [Revenue]'
+ * @param {Array<string>} columns - Columns the formula may refer to
+ * @returns {Function} (rows) => one value per row
+ */
+export const compileFormula = (formula, columns) => {
+  const tree = parse(tokenize(String(formula ?? '')), columns);
+  // Catch bad LAG/LEAD offsets now rather than on every evaluation
+  evaluate(tree, []);
+  return (rows) => evaluate(tree, rows).map(toCellValue);
+};
+
+/**
+ * Check a computed column against the columns before it
+ * @param {Object} computedColumn - { name, formula }
+ * @param {Array<string>} columns - Columns available to it
+ * @returns {string|null} Error message, or null when it can be computed
+ */
+export const validateComputedColumn = (computedColumn, columns) => {
+  try {
+    compileFormula(computedColumn.formula, columns);
+  } catch (error) {
+    return error.message;
+  }
+
+  const name = computedColumn.name?.trim();
+  if (!name) return 'Give the column a name';
+  if (columns.some(col => col.toLowerCase() === name.toLowerCase())) {
+    return `There is already a column named "${name}"`;
+  }
+  return null;
+};
+
+/**
+ * Find the computed columns that can't be computed any more (e.g. a column
+ * they use was ignored), keyed by id
+ * @param {Array} data - Row objects before the computed columns
+ * @param {Array<Object>} computedColumns - [{ id, name, formula }]
+ * @returns {Object} Map of id to error message
+ */
+export const getComputedColumnErrors = (data, computedColumns = []) => {
+  const columns = Object.keys(data?.[0] || {});
+  const errors = {};
+  computedColumns.forEach(computedColumn => {
+    const error = validateComputedColumn(computedColumn, columns);
+    if (error) {
+      errors[computedColumn.id] = error;
+    } else {
+      columns.push(computedColumn.name.trim());
+    }
+  });
+  return errors;
+};
+
+/**
+ * Add computed columns to every row, in order, so a formula can use the
+ * columns defined before it. Columns that can't be computed are left out.
+ * LAG, LEAD and CUMSUM follow the row order of the data.
+ * @param {Array} data - Row objects
+ * @param {Array<Object>} computedColumns - [{ id, name, formula }]
+ * @returns {Array} Rows with the new columns (the input when there are none)
+ */
+export const applyComputedColumns = (data, computedColumns = []) => {
+  if (!data || data.length === 0 || computedColumns.length === 0) return data;
+
+  const columns = Object.keys(data[0]);
+  let rows = data;
+  computedColumns.forEach(computedColumn => {
+    if (validateComputedColumn(computedColumn, columns)) return;
+    const name = computedColumn.name.trim();
+    const values = compileFormula(computedColumn.formula, columns)(rows);
+    rows = rows.map((row, index) => ({ ...row, [name]: values[index] }));
+    columns.push(name);
+  });
+  return rows;
+};
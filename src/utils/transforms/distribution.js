@@ -0,0 +1,155 @@
+// Distribution transforms
+// Bins a numeric column for histograms and summarizes groups of values for box plots
+
+export const BINNING_METHODS = {
+  STURGES: 'sturges',
+  FREEDMAN_DIACONIS: 'freedman-diaconis',
+  MANUAL: 'manual'
+};
+
+export const BINNING_METHOD_LABELS = {
+  [BINNING_METHODS.STURGES]: 'Automatic (Sturges)',
+  [BINNING_METHODS.FREEDMAN_DIACONIS]: 'Automatic (Freedman–Diaconis)',
+  [BINNING_METHODS.MANUAL]: 'Manual'
+};
+
+export const MAX_BINS = 100;
+
+export const DEFAULT_BINNING = {
+  method: BINNING_METHODS.STURGES,
+  binCount: 10
+};
+
+// Tukey fences: values more than 1.5 IQR beyond the box are outliers
+const OUTLIER_IQR_MULTIPLIER = 1.5;
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Finite numbers in a column, skipping blanks and text
+ * @param {Array} data - Row objects
+ * @param {string} column - Column name
+ * @returns {Array<number>} Numeric values in row order
+ */
+export const getNumericValues = (data, column) => (data || [])
+  .map(row => row[column])
+  .filter(value => !isEmpty(value))
+  .map(value => (typeof value === 'number' ? value : Number(value)))
+  .filter(Number.isFinite);
+
+/**
+ * Quantile of sorted values by linear interpolation between closest ranks
+ * (the method of Excel's QUARTILE.INC), so the median of an even count is the
+ * mean of the two middle values
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Probability between 0 and 1
+ * @returns {number|null} Quantile, or null when there are no values
+ */
+export const quantile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const clampBinCount = (count) => Math.min(MAX_BINS, Math.max(1, Math.round(count) || 1));
+
+/**
+ * Number of histogram bins for a set of values
+ * @param {Array<number>} values - Numeric values
+ * @param {Object} binning - Binning settings (see DEFAULT_BINNING)
+ * @returns {number} Bin count between 1 and MAX_BINS
+ */
+export const getBinCount = (values, binning = DEFAULT_BINNING) => {
+  const { method, binCount } = { ...DEFAULT_BINNING, ...binning };
+  if (method === BINNING_METHODS.MANUAL) return clampBinCount(binCount);
+  if (values.length < 2) return 1;
+
+  const sturges = Math.ceil(Math.log2(values.length)) + 1;
+  if (method !== BINNING_METHODS.FREEDMAN_DIACONIS) return clampBinCount(sturges);
+
+  // Bin width 2 * IQR / n^(1/3); falls back to Sturges when the middle half has no spread
+  const sorted = [...values].sort((a, b) => a - b);
+  const iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+  const range = sorted[sorted.length - 1] - sorted[0];
+  if (iqr === 0 || range === 0) return clampBinCount(sturges);
+  return clampBinCount(Math.ceil(range / (2 * iqr / Math.cbrt(values.length))));
+};
+
+/**
+ * Count values into equal-width bins; each bin includes its start, and the last
+ * one also its end
+ * @param {Array<number>} values - Numeric values
+ * @param {Object} binning - Binning settings (see DEFAULT_BINNING)
+ * @returns {Array<Object>} Bins as { start, end, count }
+ */
+export const binValues = (values, binning = DEFAULT_BINNING) => {
+  if (values.length === 0) return [];
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  if (min === max) return [{ start: min, end: max, count: values.length }];
+
+  const binCount = getBinCount(values, binning);
+  const width = (max - min) / binCount;
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    start: min + width * index,
+    end: index === binCount - 1 ? max : min + width * (index + 1),
+    count: 0
+  }));
+
+  values.forEach(value => {
+    bins[Math.min(binCount - 1, Math.floor((value - min) / width))].count++;
+  });
+  return bins;
+};
+
+/**
+ * Five-number summary with Tukey outliers
+ * @param {Array<number>} values - Numeric values
+ * @returns {Object|null} { count, min, q1, median, q3, max, lowerWhisker, upperWhisker, outliers },
+ *   or null when there are no values. Whiskers end at the furthest values inside the fences.
+ */
+export const summarizeDistribution = (values) => {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const fence = (q3 - q1) * OUTLIER_IQR_MULTIPLIER;
+  const inside = sorted.filter(value => value >= q1 - fence && value <= q3 + fence);
+
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    q1,
+    median: quantile(sorted, 0.5),
+    q3,
+    max: sorted[sorted.length - 1],
+    lowerWhisker: inside[0],
+    upperWhisker: inside[inside.length - 1],
+    outliers: sorted.filter(value => value < q1 - fence || value > q3 + fence)
+  };
+};
+
+/**
+ * Summarize a value column per category, in order of first appearance
+ * @param {Array} data - Row objects
+ * @param {string} valueColumn - Numeric column to summarize
+ * @param {string|null} categoryColumn - Column to group by, or null for one group of all rows
+ * @returns {Array<Object>} Summaries with a label, skipping groups without numbers
+ */
+export const summarizeByCategory = (data, valueColumn, categoryColumn = null) => {
+  const groups = new Map();
+  (data || []).forEach(row => {
+    const label = categoryColumn ? String(row[categoryColumn] ?? 'Unknown') : valueColumn;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(row);
+  });
+
+  return [...groups.entries()]
+    .map(([label, rows]) => ({ label, ...summarizeDistribution(getNumericValues(rows, valueColumn)) }))
+    .filter(summary => summary.count > 0);
+};
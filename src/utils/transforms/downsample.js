@@ -0,0 +1,155 @@
+// Shape-preserving downsampling for large charts
+// LTTB keeps the points that define a line's visual shape; min/max bucketing
+// keeps each bucket's extremes so bar peaks and dips are never dropped.
+
+export const DOWNSAMPLE_METHODS = {
+  LTTB: 'lttb', // Largest-Triangle-Three-Buckets - line and area charts
+  MIN_MAX: 'min-max' // Min/max per bucket - bar charts
+};
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+/**
+ * Largest-Triangle-Three-Buckets selection
+ * Below three points there are no buckets, so only the ends are kept.
+ * @param {Array<number>} xs - X values (ascending)
+ * @param {Array<number>} ys - Y values
+ * @param {number} threshold - Number of points to keep
+ * @returns {Array<number>} Selected positions, ascending
+ */
+export const lttbIndices = (xs, ys, threshold) => {
+  const length = xs.length;
+  if (threshold >= length) {
+    return xs.map((_, index) => index);
+  }
+  if (threshold < 3) {
+    return [0, length - 1].slice(0, Math.max(0, threshold));
+  }
+
+  const selected = [0];
+  const bucketSize = (length - 2) / (threshold - 2);
+  let anchor = 0;
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    // Average of the next bucket is the third corner of the triangle
+    const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, length);
+    let avgX = 0;
+    let avgY = 0;
+    for (let i = nextStart; i < nextEnd; i++) {
+      avgX += xs[i];
+      avgY += ys[i];
+    }
+    const nextCount = Math.max(1, nextEnd - nextStart);
+    avgX /= nextCount;
+    avgY /= nextCount;
+
+    // Keep the point in the current bucket forming the largest triangle
+    const start = Math.floor(bucket * bucketSize) + 1;
+    const end = Math.floor((bucket + 1) * bucketSize) + 1;
+    let maxArea = -1;
+    let chosen = start;
+    for (let i = start; i < end; i++) {
+      const area = Math.abs(
+        (xs[anchor] - avgX) * (ys[i] - ys[anchor]) -
+        (xs[anchor] - xs[i]) * (avgY - ys[anchor])
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        chosen = i;
+      }
+    }
+
+    selected.push(chosen);
+    anchor = chosen;
+  }
+
+  selected.push(length - 1);
+  return selected;
+};
+
+/**
+ * Min/max bucketing selection - the lowest and highest point of every bucket
+ * With room for a single point, the highest one is kept.
+ * @param {Array<number>} ys - Y values
+ * @param {number} threshold - Number of points to keep (two per bucket)
+ * @returns {Array<number>} Selected positions, ascending
+ */
+export const minMaxIndices = (ys, threshold) => {
+  const length = ys.length;
+  const bucketCount = Math.floor(threshold / 2);
+  if (threshold >= length) {
+    return ys.map((_, index) => index);
+  }
+  if (bucketCount < 1) {
+    return threshold < 1 ? [] : [ys.reduce((maxIndex, y, index) => (y > ys[maxIndex] ? index : maxIndex), 0)];
+  }
+
+  const selected = [];
+  const bucketSize = length / bucketCount;
+
+  for (let bucket = 0; bucket < bucketCount; bucket++) {
+    const start = Math.floor(bucket * bucketSize);
+    const end = Math.min(Math.floor((bucket + 1) * bucketSize), length);
+    let minIndex = start;
+    let maxIndex = start;
+    for (let i = start + 1; i < end; i++) {
+      if (ys[i] < ys[minIndex]) minIndex = i;
+      if (ys[i] > ys[maxIndex]) maxIndex = i;
+    }
+
+    selected.push(Math.min(minIndex, maxIndex));
+    if (maxIndex !== minIndex) selected.push(Math.max(minIndex, maxIndex));
+  }
+
+  return selected;
+};
+
+/**
+ * Downsample rows for charting, keeping rows in their original order
+ * The point budget is shared across value columns (and groups), and the
+ * rows picked for any of them are kept so every series stays aligned. Each
+ * series keeps at least one point, so only more series than maxPoints can
+ * go over it.
+ * @param {Array} rows - Row objects, ordered along the X axis
+ * @param {Object} config - Downsampling config
+ * @param {string} config.method - One of DOWNSAMPLE_METHODS
+ * @param {Array<string>} config.yColumns - Value columns whose shape should be preserved
+ * @param {string} config.xColumn - Optional numeric X column (e.g. timestamps); row position otherwise
+ * @param {string} config.groupColumn - Optional series column; each group is sampled separately
+ * @param {number} config.maxPoints - Maximum rows to keep
+ * @returns {Array} Downsampled rows (the input when already small enough)
+ */
+export const downsampleRows = (rows, config = {}) => {
+  const { method = DOWNSAMPLE_METHODS.LTTB, yColumns = [], xColumn, groupColumn, maxPoints } = config;
+
+  if (!rows || !maxPoints || rows.length <= maxPoints || yColumns.length === 0) {
+    return rows;
+  }
+
+  // Partition row positions by group so each series is sampled on its own
+  const partitions = new Map();
+  rows.forEach((row, index) => {
+    const key = groupColumn ? String(row[groupColumn] ?? '') : '';
+    if (!partitions.has(key)) partitions.set(key, []);
+    partitions.get(key).push(index);
+  });
+
+  const budget = Math.max(1, Math.floor(maxPoints / (partitions.size * yColumns.length)));
+  const numericX = xColumn && rows.every(row => typeof row[xColumn] === 'number');
+  const keep = new Set();
+
+  partitions.forEach(positions => {
+    const xs = positions.map((rowIndex, position) => (numericX ? rows[rowIndex][xColumn] : position));
+
+    yColumns.forEach(column => {
+      const ys = positions.map(rowIndex => toNumber(rows[rowIndex][column]));
+      const selected = method === DOWNSAMPLE_METHODS.MIN_MAX
+        ? minMaxIndices(ys, budget)
+        : lttbIndices(xs, ys, budget);
+      selected.forEach(position => keep.add(positions[position]));
+    });
+  });
+
+  return [...keep].sort((a, b) => a - b).map(index => rows[index]);
+};
@@ -0,0 +1,328 @@
+// Row filtering and sorting applied to the rows as they reach the chart
+// Value filters pick rows before grouping, so they can use any column of the data;
+// top/bottom N and the sort then apply to the grouped rows, so "top 10" with
+// "Region equals North" keeps the ten largest northern groups.
+
+export const FILTER_OPERATORS = {
+  EQUALS: 'equals',
+  CONTAINS: 'contains',
+  RANGE: 'range',
+  TOP_N: 'top',
+  BOTTOM_N: 'bottom',
+  NOT_NULL: 'not-null',
+  DATE_RANGE: 'date-range'
+};
+
+export const FILTER_OPERATOR_LABELS = {
+  [FILTER_OPERATORS.EQUALS]: 'equals',
+  [FILTER_OPERATORS.CONTAINS]: 'contains',
+  [FILTER_OPERATORS.RANGE]: 'is between',
+  [FILTER_OPERATORS.TOP_N]: 'top N',
+  [FILTER_OPERATORS.BOTTOM_N]: 'bottom N',
+  [FILTER_OPERATORS.NOT_NULL]: 'is not empty',
+  [FILTER_OPERATORS.DATE_RANGE]: 'dates between'
+};
+
+// Operators offered for each detected column type (see validateDataForCharting)
+export const FILTER_OPERATORS_BY_TYPE = {
+  number: [
+    FILTER_OPERATORS.RANGE,
+    FILTER_OPERATORS.TOP_N,
+    FILTER_OPERATORS.BOTTOM_N,
+    FILTER_OPERATORS.EQUALS,
+    FILTER_OPERATORS.NOT_NULL
+  ],
+  date: [FILTER_OPERATORS.DATE_RANGE, FILTER_OPERATORS.NOT_NULL],
+  string: [FILTER_OPERATORS.EQUALS, FILTER_OPERATORS.CONTAINS, FILTER_OPERATORS.NOT_NULL]
+};
+
+// Operators that rank rows against each other, applied after grouping
+export const RANKING_OPERATORS = [FILTER_OPERATORS.TOP_N, FILTER_OPERATORS.BOTTOM_N];
+
+export const isRankingFilter = (filter) => RANKING_OPERATORS.includes(filter.operator);
+
+export const SORT_DIRECTIONS = {
+  ASC: 'asc',
+  DESC: 'desc'
+};
+
+export const EMPTY_ROW_RULES = { filters: [], sort: [] };
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value instanceof Date) return value.getTime();
+  if (isEmpty(value)) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Compare dates by calendar day so "2024-03-01" matches a date cell from that day
+const toDayKey = (value) => {
+  const pad = (part) => String(part).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const toText = (value) => (value instanceof Date ? toDayKey(value) : String(value));
+
+// "yyyy-mm-dd" from a date input, read as local midnight
+const parseDayInput = (text) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || '');
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+/**
+ * Check that a filter has what its operator needs, so half-built rules are skipped
+ * @param {Object} filter - { column, operator, value, min, max, count, from, to }
+ * @returns {boolean} True when the filter can be applied
+ */
+export const isFilterComplete = (filter) => {
+  if (!filter?.column) return false;
+
+  switch (filter.operator) {
+    case FILTER_OPERATORS.EQUALS:
+    case FILTER_OPERATORS.CONTAINS:
+      return !isEmpty(filter.value);
+    case FILTER_OPERATORS.RANGE:
+      return toNumber(filter.min) !== null || toNumber(filter.max) !== null;
+    case FILTER_OPERATORS.TOP_N:
+    case FILTER_OPERATORS.BOTTOM_N:
+      return Number.isInteger(Number(filter.count)) && Number(filter.count) > 0;
+    case FILTER_OPERATORS.NOT_NULL:
+      return true;
+    case FILTER_OPERATORS.DATE_RANGE:
+      return Boolean(parseDayInput(filter.from) || parseDayInput(filter.to));
+    default:
+      return false;
+  }
+};
+
+/**
+ * Keep the N rows with the largest (or smallest) values, in their original order
+ * Rows without a number in the column are dropped.
+ */
+const keepExtremes = (data, column, count, largest) => {
+  const ranked = data
+    .map((row, index) => ({ index, value: toNumber(row[column]) }))
+    .filter(entry => entry.value !== null)
+    .sort((a, b) => (largest ? b.value - a.value : a.value - b.value) || a.index - b.index)
+    .slice(0, count);
+  const kept = new Set(ranked.map(entry => entry.index));
+  return data.filter((row, index) => kept.has(index));
+};
+
+/**
+ * Apply one filter
+ * @param {Array} data - Row objects
+ * @param {Object} filter - Filter rule (see isFilterComplete)
+ * @returns {Array} Rows that pass
+ */
+export const applyFilter = (data, filter) => {
+  const { column, operator } = filter;
+
+  switch (operator) {
+    case FILTER_OPERATORS.EQUALS: {
+      const target = String(filter.value).trim().toLowerCase();
+      return data.filter(row => !isEmpty(row[column]) && toText(row[column]).trim().toLowerCase() === target);
+    }
+    case FILTER_OPERATORS.CONTAINS: {
+      const target = String(filter.value).toLowerCase();
+      return data.filter(row => !isEmpty(row[column]) && toText(row[column]).toLowerCase().includes(target));
+    }
+    case FILTER_OPERATORS.RANGE: {
+      const min = toNumber(filter.min);
+      const max = toNumber(filter.max);
+      return data.filter(row => {
+        const value = toNumber(row[column]);
+        return value !== null && (min === null || value >= min) && (max === null || value <= max);
+      });
+    }
+    case FILTER_OPERATORS.TOP_N:
+      return keepExtremes(data, column, Number(filter.count), true);
+    case FILTER_OPERATORS.BOTTOM_N:
+      return keepExtremes(data, column, Number(filter.count), false);
+    case FILTER_OPERATORS.NOT_NULL:
+      return data.filter(row => !isEmpty(row[column]));
+    case FILTER_OPERATORS.DATE_RANGE: {
+      // Both ends are whole days, so "to" includes everything on that day
+      const from = parseDayInput(filter.from);
+      const to = parseDayInput(filter.to);
+      const end = to && new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1);
+      return data.filter(row => {
+        const value = row[column];
+        if (!(value instanceof Date)) return false;
+        return (!from || value >= from) && (!end || value < end);
+      });
+    }
+    default:
+      throw new Error(`Unknown filter operator: ${operator}`);
+  }
+};
+
+/**
+ * Compare two non-empty cell values for sorting: numbers and dates by value,
+ * text in natural order ("Item 2" before "Item 10")
+ */
+const compareValues = (a, b) => {
+  const numberA = typeof a === 'number' || a instanceof Date ? toNumber(a) : null;
+  const numberB = typeof b === 'number' || b instanceof Date ? toNumber(b) : null;
+  if (numberA !== null && numberB !== null) return numberA - numberB;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+/**
+ * Sort rows by several keys; ties keep their original order
+ * @param {Array} data - Row objects
+ * @param {Array<Object>} sortKeys - [{ column, direction }] with direction one of SORT_DIRECTIONS
+ * @returns {Array} Sorted copy
+ */
+export const sortRows = (data, sortKeys = []) => {
+  const keys = sortKeys.filter(key => key.column);
+  if (keys.length === 0) return data;
+
+  return data
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => {
+      for (const { column, direction } of keys) {
+        const valueA = a.row[column];
+        const valueB = b.row[column];
+        // Empty cells stay last whichever way the column is sorted
+        if (isEmpty(valueA) !== isEmpty(valueB)) return isEmpty(valueA) - isEmpty(valueB);
+        const order = compareValues(valueA, valueB);
+        if (order !== 0) return direction === SORT_DIRECTIONS.DESC ? -order : order;
+      }
+      return a.index - b.index;
+    })
+    .map(({ row }) => row);
+};
+
+/**
+ * Find the rules that refer to columns the rows no longer have
+ * (after a reshape or a change of grouping)
+ * @param {Object} rules - { filters, sort }
+ * @param {Array<string>} columns - Columns of the rows before grouping, for value filters
+ * @param {Array<string>} groupedColumns - Columns after grouping, for top/bottom N and sorting
+ * @returns {Set<Object>} Filters and sort keys that are skipped
+ */
+export const getInactiveRules = (rules, columns, groupedColumns = columns) => {
+  const available = new Set(columns);
+  const groupedAvailable = new Set(groupedColumns);
+  return new Set([
+    ...rules.filters.filter(filter => !(isRankingFilter(filter) ? groupedAvailable : available).has(filter.column)),
+    ...rules.sort.filter(key => !groupedAvailable.has(key.column))
+  ]);
+};
+
+/**
+ * Remove one filter or sort key
+ * @param {Object} rules - { filters, sort }
+ * @param {Object} rule - A filter or sort key from rules
+ * @returns {Object} Rules without it
+ */
+export const removeRowRule = (rules, rule) => ({
+  filters: rules.filters.filter(filter => filter !== rule),
+  sort: rules.sort.filter(key => key !== rule)
+});
+
+/**
+ * Apply the value filters, on the rows before grouping
+ * Incomplete filters and filters for missing columns are skipped.
+ * @param {Array} data - Row objects
+ * @param {Object} rules - { filters, sort }
+ * @returns {Array} Rows that pass (the input when no filter applies)
+ */
+export const applyRowFilters = (data, rules) => {
+  if (!data || data.length === 0 || !rules) return data;
+
+  const inactive = getInactiveRules(rules, Object.keys(data[0]));
+  return rules.filters
+    .filter(filter => !isRankingFilter(filter) && isFilterComplete(filter) && !inactive.has(filter))
+    .reduce(applyFilter, data);
+};
+
+/**
+ * Apply top/bottom N filters, then the multi-key sort, on the grouped rows
+ * Incomplete rules and rules for missing columns are skipped.
+ * @param {Array} data - Row objects
+ * @param {Object} rules - { filters, sort }
+ * @returns {Array} Ranked and sorted rows (the input when there are no rules)
+ */
+export const applyRankingRules = (data, rules) => {
+  if (!data || data.length === 0 || !rules) return data;
+
+  const inactive = getInactiveRules(rules, [], Object.keys(data[0]));
+  const ranked = rules.filters
+    .filter(filter => isRankingFilter(filter) && isFilterComplete(filter) && !inactive.has(filter))
+    .reduce(applyFilter, data);
+
+  return sortRows(ranked, rules.sort.filter(key => !inactive.has(key)));
+};
+
+/**
+ * Describe a filter in words, e.g. 'Revenue is between 100 and 500'
+ * @param {Object} filter - Filter rule
+ * @returns {string} Description
+ */
+export const describeFilter = (filter) => {
+  const { column, operator } = filter;
+
+  switch (operator) {
+    case FILTER_OPERATORS.EQUALS:
+      return `${column} = "${filter.value}"`;
+    case FILTER_OPERATORS.CONTAINS:
+      return `${column} contains "${filter.value}"`;
+    case FILTER_OPERATORS.RANGE: {
+      const min = toNumber(filter.min);
+      const max = toNumber(filter.max);
+      if (min !== null && max !== null) return `${column} between ${min} and ${max}`;
+      return min !== null ? `${column} ≥ ${min}` : `${column} ≤ ${max}`;
+    }
+    case FILTER_OPERATORS.TOP_N:
+      return `Top ${filter.count} by ${column}`;
+    case FILTER_OPERATORS.BOTTOM_N:
+      return `Bottom ${filter.count} by ${column}`;
+    case FILTER_OPERATORS.NOT_NULL:
+      return `${column} is not empty`;
+    case FILTER_OPERATORS.DATE_RANGE:
+      if (filter.from && filter.to) return `${column} from ${filter.from} to ${filter.to}`;
+      return filter.from ? `${column} from ${filter.from}` : `${column} until ${filter.to}`;
+    default:
+      return column;
+  }
+};
+
+/**
+ * Describe a sort key, e.g. 'Sort by Revenue (descending)'
+ * @param {Object} sortKey - { column, direction }
+ * @param {number} position - Index in the sort keys; later keys read 'Then by ...'
+ * @returns {string} Description
+ */
+export const describeSortKey = (sortKey, position = 0) => (
+  `${position === 0 ? 'Sort' : 'Then'} by ${describeSortColumn(sortKey)}`
+);
+
+const describeSortColumn = ({ column, direction }) => (
+  `${column} (${direction === SORT_DIRECTIONS.DESC ? 'descending' : 'ascending'})`
+);
+
+/**
+ * Describe the active rules in one line, for exported chart metadata
+ * @param {Object} rules - { filters, sort }
+ * @param {Array<string>} columns - Columns before grouping, to leave out skipped rules
+ * @param {Array<string>} groupedColumns - Columns after grouping
+ * @returns {string} e.g. 'Filters: Region = "North"; Top 5 by Revenue. Sorted by Revenue (descending)' - empty without rules
+ */
+export const describeRowRules = (rules, columns, groupedColumns = columns) => {
+  if (!rules) return '';
+  const inactive = getInactiveRules(rules, columns, groupedColumns);
+  const filters = rules.filters.filter(filter => isFilterComplete(filter) && !inactive.has(filter));
+  const sort = rules.sort.filter(key => key.column && !inactive.has(key));
+
+  const parts = [];
+  if (filters.length > 0) parts.push(`Filters: ${filters.map(describeFilter).join('; ')}`);
+  if (sort.length > 0) {
+    parts.push(`Sorted by ${sort.map(describeSortColumn).join(', then ')}`);
+  }
+  return parts.join('. ');
+};
@@ -0,0 +1,168 @@
+// Wide/long reshaping transforms
+// Long: one row per (index, series) pair - e.g. Date, Metric, Value
+// Wide: one row per index with one column per series - e.g. Date, Revenue, Cost
+import { AGGREGATION_FUNCTIONS, reduceValues } from './aggregate.js';
+
+export const RESHAPE_MODES = {
+  NONE: 'none',
+  PIVOT: 'pivot', // long -> wide
+  UNPIVOT: 'unpivot' // wide -> long
+};
+
+const groupKey = (row, columns) => JSON.stringify(columns.map(col => {
+  const value = row[col];
+  return value instanceof Date ? value.getTime() : value ?? null;
+}));
+
+/**
+ * Pivot long data into wide series - one column per distinct value of the series column
+ * @param {Array} data - Row objects in long format
+ * @param {Object} config - Pivot config
+ * @param {Array<string>} config.index - Columns that identify a row in the output (e.g. Date)
+ * @param {string} config.seriesColumn - Column whose distinct values become new columns
+ * @param {string} config.valueColumn - Column holding the values
+ * @param {string} config.fn - Aggregation for repeated (index, series) pairs, defaults to sum
+ * @returns {Array} Wide row objects
+ */
+export const pivotLongToWide = (data, config = {}) => {
+  const { index = [], seriesColumn, valueColumn, fn = AGGREGATION_FUNCTIONS.SUM } = config;
+
+  if (!seriesColumn || !valueColumn) {
+    throw new Error('Pivot requires a series column and a value column');
+  }
+  if (index.includes(seriesColumn) || index.includes(valueColumn)) {
+    throw new Error('Pivot index columns cannot include the series or value column');
+  }
+
+  // Series columns appear in first-seen order
+  const seriesNames = [];
+  const seenSeries = new Set();
+  const rows = new Map();
+
+  data.forEach(row => {
+    const series = String(row[seriesColumn] ?? '(blank)');
+    if (!seenSeries.has(series)) {
+      seenSeries.add(series);
+      seriesNames.push(series);
+    }
+
+    const key = groupKey(row, index);
+    if (!rows.has(key)) {
+      rows.set(key, { indexRow: row, values: new Map() });
+    }
+
+    const cells = rows.get(key).values;
+    if (!cells.has(series)) cells.set(series, []);
+    cells.get(series).push(row[valueColumn]);
+  });
+
+  const clashing = seriesNames.filter(name => index.includes(name));
+  if (clashing.length > 0) {
+    throw new Error(`Series value "${clashing[0]}" clashes with an index column name`);
+  }
+
+  return [...rows.values()].map(({ indexRow, values }) => {
+    const result = {};
+    index.forEach(col => {
+      result[col] = indexRow[col] ?? null;
+    });
+    seriesNames.forEach(name => {
+      result[name] = values.has(name) ? reduceValues(fn, values.get(name)) : null;
+    });
+    return result;
+  });
+};
+
+/**
+ * Unpivot wide data into long format - one row per (id, value column) pair
+ * @param {Array} data - Row objects in wide format
+ * @param {Object} config - Unpivot config
+ * @param {Array<string>} config.idColumns - Columns copied onto every output row
+ * @param {Array<string>} config.valueColumns - Columns folded into name/value pairs
+ * @param {string} config.nameColumn - Output column holding the former column name
+ * @param {string} config.valueColumnName - Output column holding the value
+ * @returns {Array} Long row objects
+ */
+export const unpivotWideToLong = (data, config = {}) => {
+  const {
+    idColumns = [],
+    valueColumns = [],
+    nameColumn = 'Series',
+    valueColumnName = 'Value'
+  } = config;
+
+  if (valueColumns.length === 0) {
+    throw new Error('Unpivot requires at least one value column');
+  }
+  if (nameColumn === valueColumnName || idColumns.includes(nameColumn) || idColumns.includes(valueColumnName)) {
+    throw new Error('Unpivot output column names must be unique');
+  }
+
+  const result = [];
+  data.forEach(row => {
+    valueColumns.forEach(col => {
+      const longRow = {};
+      idColumns.forEach(id => {
+        longRow[id] = row[id] ?? null;
+      });
+      longRow[nameColumn] = col;
+      longRow[valueColumnName] = row[col] ?? null;
+      result.push(longRow);
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Apply a reshape config to data
+ * @param {Array} data - Row objects
+ * @param {Object} reshape - { mode, pivot, unpivot }
+ * @returns {Array} Reshaped rows (the input when mode is none)
+ */
+export const applyReshape = (data, reshape) => {
+  if (!data || !reshape) return data;
+
+  switch (reshape.mode) {
+    case RESHAPE_MODES.PIVOT:
+      return pivotLongToWide(data, reshape.pivot);
+    case RESHAPE_MODES.UNPIVOT:
+      return unpivotWideToLong(data, reshape.unpivot);
+    default:
+      return data;
+  }
+};
+
+/**
+ * Build default pivot/unpivot settings from column analysis
+ * The series column is the category with the fewest distinct values,
+ * since long exports typically have a short list of metric names.
+ * @param {Object} columnAnalysis - Column analysis from the data validator
+ * @returns {Object} Reshape config with mode set to none
+ */
+export const createReshapeDefaults = (columnAnalysis = {}) => {
+  const columns = Object.values(columnAnalysis);
+  const numeric = columns
+    .filter(col => col.isChartable && col.typeAnalysis.primaryType === 'number')
+    .map(col => col.name);
+  const nonNumeric = columns.map(col => col.name).filter(name => !numeric.includes(name));
+  const seriesCandidate = columns
+    .filter(col => col.isCategorical && col.uniqueValues > 1)
+    .sort((a, b) => a.uniqueValues - b.uniqueValues)[0]?.name || null;
+
+  return {
+    mode: RESHAPE_MODES.NONE,
+    pivot: {
+      index: nonNumeric.filter(name => name !== seriesCandidate),
+      seriesColumn: seriesCandidate,
+      valueColumn: numeric[0] || null,
+      fn: AGGREGATION_FUNCTIONS.SUM
+    },
+    unpivot: {
+      idColumns: nonNumeric,
+      valueColumns: numeric,
+      nameColumn: 'Series',
+      valueColumnName: 'Value'
+    }
+  };
+};
@@ -0,0 +1,245 @@
+// Load a data file from a URL
+// The response is streamed with progress, its format is worked out from the
+// headers, the URL and the first bytes, and it is handed back as a File so it
+// goes through the same parsers as an upload.
+import { MAX_FILE_SIZE, ERROR_TYPES } from './constants.js';
+import { getFileFormat } from './parsers/parse-file.js';
+import { createNetworkError, createHttpError, createFileError } from './error-handler.js';
+
+// Content types that name a format; generic types fall back to the URL and the bytes
+const CONTENT_TYPE_EXTENSIONS = {
+  'text/csv': '.csv',
+  'application/csv': '.csv',
+  'text/comma-separated-values': '.csv',
+  'text/tab-separated-values': '.csv',
+  'application/json': '.json',
+  'text/json': '.json',
+  'application/x-ndjson': '.ndjson',
+  'application/ndjson': '.ndjson',
+  'application/jsonl': '.ndjson',
+  'application/x-jsonlines': '.ndjson',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.ms-excel.sheet.binary.macroenabled.12': '.xlsb',
+  'application/vnd.oasis.opendocument.spreadsheet': '.ods'
+};
+
+const TEXT_EXTENSIONS = ['.csv', '.json', '.ndjson', '.jsonl'];
+
+// Marks returned by sniffBytes for content that isn't data
+const HTML_PAGE = 'html';
+
+/**
+ * Work out the format from the first bytes of a response
+ * @param {Uint8Array} bytes - Start of the response body
+ * @returns {string} Extension ('.xlsx', '.xls', '.xlsb', '.ods', '.json', '.ndjson' or '.csv'), or 'html' for a web page
+ */
+export const sniffBytes = (bytes) => {
+  // ZIP container: .xlsx, .xlsb and .ods differ by the files inside
+  if (bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04) {
+    // File names sit in each entry's header and again in the directory at the end
+    const decoder = new TextDecoder('latin1');
+    const names = decoder.decode(bytes.subarray(0, 64 * 1024)) + decoder.decode(bytes.subarray(-64 * 1024));
+    // ODS stores its mimetype uncompressed first, though some writers compress it
+    const isOpenDocument = names.includes('application/vnd.oasis.opendocument.spreadsheet') ||
+      (names.includes('META-INF/manifest.xml') && names.includes('content.xml'));
+    if (isOpenDocument) return '.ods';
+    if (names.includes('xl/workbook.bin')) return '.xlsb';
+    return '.xlsx';
+  }
+
+  // OLE compound file: Excel 97-2003
+  if (bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0) return '.xls';
+
+  const text = new TextDecoder('utf-8').decode(bytes.subarray(0, 4096)).replace(/^\uFEFF/, '').trimStart();
+  if (/^<(!doctype html|html|head|body)[\s>]/i.test(text)) return HTML_PAGE;
+  if (text.startsWith('[')) return '.json';
+  if (text.startsWith('{')) {
+    // One object per line is NDJSON
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    return lines.length > 1 && lines.slice(0, -1).every(line => /^\s*\{.*\}\s*$/.test(line)) ? '.ndjson' : '.json';
+  }
+  return '.csv';
+};
+
+/**
+ * Pick the extension the file is parsed as
+ * Binary formats are trusted from the bytes, since servers often send CSV as
+ * application/vnd.ms-excel or workbooks as application/octet-stream. Text is
+ * taken from the name or content type when they give one.
+ * @param {string|null} declared - Extension from the file name or content type
+ * @param {string} sniffed - Result of sniffBytes
+ * @returns {string} Extension
+ */
+const resolveExtension = (declared, sniffed) => {
+  if (!TEXT_EXTENSIONS.includes(sniffed) && sniffed !== HTML_PAGE) return sniffed;
+  return declared && TEXT_EXTENSIONS.includes(declared) ? declared : sniffed;
+};
+
+// Percent-decode a name, keeping it as sent when the encoding is malformed ("100%.csv")
+const decodeName = (name) => {
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+};
+
+/**
+ * Find the file name from Content-Disposition or the last part of the URL path
+ * @param {Response} response - Fetch response
+ * @param {string} url - Requested URL
+ * @returns {string} File name, possibly without an extension
+ */
+const getResponseFilename = (response, url) => {
+  const disposition = response.headers.get('content-disposition') || '';
+  const match = disposition.match(/filename\*=UTF-8''([^;]+)|filename="?([^";]+)"?/i);
+  const headerName = match ? decodeName(match[1] || match[2]).trim() : '';
+  if (headerName) return headerName;
+
+  const path = new URL(url, globalThis.location?.href).pathname;
+  const lastSegment = decodeName(path.split('/').filter(Boolean).pop() || '');
+  return lastSegment || 'download';
+};
+
+/**
+ * Build the request URL, sending cross-origin requests through a proxy when one is set
+ * @param {string} url - Data URL
+ * @param {string} proxy - Proxy URL; "{url}" is replaced with the encoded data URL, otherwise it is appended
+ * @returns {string} URL to fetch
+ */
+export const buildRequestUrl = (url, proxy) => {
+  const target = new URL(url, globalThis.location?.href);
+  const isSameOrigin = globalThis.location && target.origin === globalThis.location.origin;
+  if (!proxy || isSameOrigin) return target.href;
+
+  const encoded = encodeURIComponent(target.href);
+  return proxy.includes('{url}') ? proxy.replace('{url}', encoded) : `${proxy}${encoded}`;
+};
+
+/**
+ * Read a response body in chunks, reporting bytes as they arrive
+ * @param {Response} response - Fetch response
+ * @param {Function} onProgress - Called with { receivedBytes, totalBytes, percent } (totalBytes and percent are null when the size is unknown)
+ * @returns {Promise<Uint8Array|null>} Body bytes, or null when it passed MAX_FILE_SIZE
+ */
+const readBody = async (response, onProgress) => {
+  const totalBytes = Number(response.headers.get('content-length')) || null;
+  const report = (receivedBytes) => onProgress({
+    receivedBytes,
+    totalBytes,
+    // Compressed responses can report a smaller length than the bytes received
+    percent: totalBytes ? Math.min(100, (receivedBytes / totalBytes) * 100) : null
+  });
+
+  if (!response.body) {
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    report(bytes.length);
+    return bytes.length > MAX_FILE_SIZE ? null : bytes;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let receivedBytes = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    receivedBytes += value.length;
+    if (receivedBytes > MAX_FILE_SIZE) {
+      await reader.cancel();
+      return null;
+    }
+    report(receivedBytes);
+  }
+
+  const bytes = new Uint8Array(receivedBytes);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+};
+
+/**
+ * Download a CSV, Excel or JSON file from a URL
+ * @param {string} url - Absolute URL, or a path on this site (e.g. "/sales_sample.csv")
+ * @param {Object} options - Download options
+ * @param {AbortSignal} options.signal - Aborts the download; the promise then rejects with an AbortError
+ * @param {Function} options.onProgress - Called with { receivedBytes, totalBytes, percent }
+ * @param {string} options.proxy - Proxy for cross-origin URLs (see buildRequestUrl)
+ * @returns {Promise<Object>} { success, file, meta, errors } - file is a File named with the detected extension
+ */
+export const loadFileFromUrl = async (url, options = {}) => {
+  const { signal, onProgress = () => {}, proxy } = options;
+  const trimmedUrl = url.trim();
+  const fail = (error) => ({ success: false, file: null, meta: { url: trimmedUrl }, errors: [error] });
+
+  let requestUrl;
+  try {
+    requestUrl = buildRequestUrl(trimmedUrl, proxy);
+    if (!/^https?:$/.test(new URL(requestUrl).protocol)) throw new Error('Only http and https URLs are supported');
+  } catch (error) {
+    return fail(createNetworkError(trimmedUrl, `"${trimmedUrl}" is not a valid web address. ${error.message}`, { action: 'check-url' }));
+  }
+
+  let response;
+  try {
+    response = await fetch(requestUrl, { signal });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    // Browsers report blocked cross-origin requests and unreachable servers the same way
+    return fail(createNetworkError(trimmedUrl, `Couldn't download "${trimmedUrl}". The server may be unreachable, or it doesn't allow this site to read it (CORS).`));
+  }
+
+  if (!response.ok) {
+    return fail(createHttpError(trimmedUrl, response.status, response.statusText));
+  }
+
+  const contentLength = Number(response.headers.get('content-length'));
+  if (contentLength > MAX_FILE_SIZE) {
+    return fail(createFileError(trimmedUrl, `"${trimmedUrl}" is too large (${(contentLength / 1024 / 1024).toFixed(1)}MB). Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB.`, ERROR_TYPES.FILE_SIZE));
+  }
+
+  let bytes;
+  try {
+    bytes = await readBody(response, onProgress);
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    return fail(createNetworkError(trimmedUrl, `The download of "${trimmedUrl}" was interrupted. ${error.message}`));
+  }
+
+  if (!bytes) {
+    return fail(createFileError(trimmedUrl, `"${trimmedUrl}" is larger than ${MAX_FILE_SIZE / 1024 / 1024}MB, the maximum size.`, ERROR_TYPES.FILE_SIZE));
+  }
+  if (bytes.length === 0) {
+    return fail(createFileError(trimmedUrl, `"${trimmedUrl}" returned an empty response.`, ERROR_TYPES.EMPTY_FILE));
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  const sniffed = sniffBytes(bytes);
+  if (sniffed === HTML_PAGE) {
+    return fail(createFileError(trimmedUrl, `"${trimmedUrl}" returned a web page instead of data. It may need you to sign in, or the link may point to a page about the file rather than the file itself.`, ERROR_TYPES.FILE_TYPE));
+  }
+
+  // The name's extension wins over the content type, which wins over the bytes
+  const filename = getResponseFilename(response, trimmedUrl);
+  const namedFormat = getFileFormat(filename);
+  const nameExtension = namedFormat ? filename.slice(filename.lastIndexOf('.')).toLowerCase() : null;
+  const extension = resolveExtension(nameExtension || CONTENT_TYPE_EXTENSIONS[contentType] || null, sniffed);
+  const baseName = namedFormat ? filename.slice(0, filename.lastIndexOf('.')) : filename;
+
+  return {
+    success: true,
+    file: new File([bytes], `${baseName}${extension}`, { type: contentType }),
+    meta: {
+      url: trimmedUrl,
+      requestUrl,
+      contentType,
+      format: getFileFormat(extension),
+      size: bytes.length
+    },
+    errors: []
+  };
+};
@@ -1,6 +1,8 @@
 // Data Validator Utility
-import { ERROR_TYPES, CHART_TYPES, PERFORMANCE_THRESHOLDS } from '../constants.js';
+import { ERROR_TYPES, CHART_TYPES, BAR_CHART_TYPES, DISTRIBUTION_CHART_TYPES, XY_CHART_TYPES, PERFORMANCE_THRESHOLDS } from '../constants.js';
 import { validateLargeDataset } from '../performance-optimizer.js';
+import { AGGREGATION_FUNCTIONS } from '../transforms/aggregate.js';
+import { quantile } from '../transforms/distribution.js';
 
 /**
  * Validate parsed data for chart compatibility and suggest chart types
@@ -28,7 +30,7 @@ export const validateDataForCharting = (data, meta = {}) => {
     const analysisData = performanceInfo.requiresOptimization ? performanceInfo.sampleData : data;
 
     // Analyze column types and characteristics (using sampled data for large datasets)
-    const columnAnalysis = analyzeColumns(analysisData, meta.columns || []);
+    const columnAnalysis = analyzeColumns(analysisData, meta.columns || [], meta.numberFormats);
     
     // Validate chart compatibility
     const chartCompatibility = validateChartCompatibility(columnAnalysis, analysisData);
@@ -36,6 +38,9 @@ export const validateDataForCharting = (data, meta = {}) => {
     // Generate chart suggestions
     const suggestions = generateChartSuggestions(columnAnalysis, chartCompatibility, analysisData);
     
+    // Suggest a group-by when category labels repeat across rows
+    const aggregation = suggestAggregation(columnAnalysis);
+
     // Check for warnings (non-blocking issues)
     const warnings = generateWarnings(columnAnalysis, analysisData);
     
@@ -58,6 +63,7 @@ export const validateDataForCharting = (data, meta = {}) => {
       suggestions: suggestions,
       columnAnalysis: columnAnalysis,
       chartCompatibility: chartCompatibility,
+      aggregation: aggregation,
       performance: performanceInfo
     };
 
@@ -129,16 +135,17 @@ const validateBasicDataStructure = (data, meta) => {
  * Analyze column types and characteristics
  * @param {Array} data - Data array
  * @param {Array} columnNames - Column names
+ * @param {Object} numberFormats - Parser number formats by column ({ locale, unit, accounting, format })
  * @returns {Object} Column analysis results
  */
-const analyzeColumns = (data, columnNames = []) => {
+const analyzeColumns = (data, columnNames = [], numberFormats = {}) => {
   const analysis = {};
   
   // Get column names from data if not provided
   const columns = columnNames.length > 0 ? columnNames : Object.keys(data[0] || {});
   
   columns.forEach(columnName => {
-    analysis[columnName] = analyzeColumn(data, columnName);
+    analysis[columnName] = analyzeColumn(data, columnName, numberFormats[columnName]);
   });
 
   return analysis;
@@ -148,9 +155,10 @@ const analyzeColumns = (data, columnNames = []) => {
  * Analyze a single column for type and characteristics
  * @param {Array} data - Data array
  * @param {string} columnName - Name of column to analyze
+ * @param {Object} numberFormat - How the parser found the values written, if they needed normalizing
  * @returns {Object} Column analysis
  */
-const analyzeColumn = (data, columnName) => {
+const analyzeColumn = (data, columnName, numberFormat = null) => {
   const values = data.map(row => row[columnName]).filter(val => val !== null && val !== undefined && val !== '');
   const totalValues = data.length;
   const nonEmptyValues = values.length;
@@ -164,6 +172,12 @@ const analyzeColumn = (data, columnName) => {
   
   // Pattern analysis
   const patterns = analyzePatterns(values, columnName);
+  if (numberFormat?.unit === '%') {
+    patterns.isPercentageCandidate = true;
+  }
+
+  // Dates are distinct objects, so compare them by timestamp
+  const uniqueCount = new Set(values.map(val => (val instanceof Date ? val.getTime() : val))).size;
 
   return {
     name: columnName,
@@ -174,13 +188,33 @@ const analyzeColumn = (data, columnName) => {
     typeAnalysis: typeAnalysis,
     stats: stats,
     patterns: patterns,
+    // Unit ('$', '€', '%'...) and Intl.NumberFormat options for displaying values as they were written
+    unit: typeAnalysis.primaryType === 'number' ? numberFormat?.unit || null : null,
+    numberFormat: typeAnalysis.primaryType === 'number' ? numberFormat : null,
     isChartable: typeAnalysis.primaryType === 'number' || typeAnalysis.primaryType === 'date',
     isCategorical: typeAnalysis.primaryType === 'string' && values.length > 0,
-    uniqueValues: [...new Set(values)].length,
-    uniquePercentage: (([...new Set(values)].length) / nonEmptyValues) * 100
+    uniqueValues: uniqueCount,
+    uniquePercentage: (uniqueCount / nonEmptyValues) * 100
   };
 };
 
+/**
+ * Classify a single non-empty value
+ * @param {*} value - Cell value
+ * @returns {string} 'number', 'string', 'date', 'boolean' or 'object'
+ */
+const getValueType = (value) => {
+  if (typeof value === 'number' && !isNaN(value)) return 'number';
+  if (value instanceof Date) return 'date';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'string') {
+    // Check if string represents a number
+    const numValue = Number(value);
+    return !isNaN(numValue) && value.trim() !== '' ? 'number' : 'string';
+  }
+  return 'object';
+};
+
 /**
  * Analyze types within a column
  * @param {Array} values - Non-empty values from column
@@ -196,23 +230,7 @@ const analyzeColumnTypes = (values) => {
   };
 
   values.forEach(value => {
-    if (typeof value === 'number' && !isNaN(value)) {
-      typeCounts.number++;
-    } else if (value instanceof Date) {
-      typeCounts.date++;
-    } else if (typeof value === 'boolean') {
-      typeCounts.boolean++;
-    } else if (typeof value === 'string') {
-      // Check if string represents a number
-      const numValue = Number(value);
-      if (!isNaN(numValue) && value.trim() !== '') {
-        typeCounts.number++;
-      } else {
-        typeCounts.string++;
-      }
-    } else {
-      typeCounts.object++;
-    }
+    typeCounts[getValueType(value)]++;
   });
 
   // Determine primary type
@@ -256,7 +274,9 @@ const calculateStats = (values) => {
     max: Math.max(...numericValues),
     sum: sum,
     mean: mean,
-    median: sorted[Math.floor(sorted.length / 2)],
+    median: quantile(sorted, 0.5),
+    q1: quantile(sorted, 0.25),
+    q3: quantile(sorted, 0.75),
     range: Math.max(...numericValues) - Math.min(...numericValues),
     hasNegatives: numericValues.some(val => val < 0),
     hasDecimals: numericValues.some(val => val % 1 !== 0),
@@ -416,7 +436,7 @@ const generateChartSuggestions = (columnAnalysis, chartCompatibility, data) => {
  * @param {string} chartType - Chart type to get recommendations for
  * @returns {Object} Recommended columns for chart type
  */
-const getRecommendedColumns = (columnAnalysis, chartType) => {
+export const getRecommendedColumns = (columnAnalysis, chartType) => {
   const numericCols = Object.values(columnAnalysis).filter(col => 
     col.isChartable && col.typeAnalysis.primaryType === 'number'
   );
@@ -439,6 +459,7 @@ const getRecommendedColumns = (columnAnalysis, chartType) => {
     
     case 'line':
     case 'area':
+    case 'combo':
       recommendations.xAxis = dateCols.length > 0 ? dateCols.map(col => col.name) : 
                              categoricalCols.map(col => col.name);
       recommendations.yAxis = numericCols.map(col => col.name);
@@ -455,6 +476,45 @@ const getRecommendedColumns = (columnAnalysis, chartType) => {
   return recommendations;
 };
 
+/**
+ * Suggest default aggregation settings from column analysis
+ * Grouping is only recommended when a category column has repeated labels,
+ * e.g. a transaction log with many rows per category.
+ * @param {Object} columnAnalysis - Column analysis results
+ * @returns {Object|null} { recommended, groupBy, measures } or null without numeric columns
+ */
+const suggestAggregation = (columnAnalysis) => {
+  const columns = Object.values(columnAnalysis);
+  // Row identifiers such as "TxnId" or "order_id" are numeric but meaningless to sum
+  const numericCols = columns.filter(col => col.isChartable &&
+    col.typeAnalysis.primaryType === 'number' &&
+    !/(^|[\s_-])id$/i.test(col.name) && !/[a-z]Id$/.test(col.name));
+
+  if (numericCols.length === 0) {
+    return null;
+  }
+
+  // Best group-by: a category (or date) column whose values repeat, preferring fewer groups
+  const groupCandidates = columns
+    .filter(col => (col.isCategorical || col.typeAnalysis.primaryType === 'date') &&
+      col.uniqueValues > 1 &&
+      col.uniqueValues < col.nonEmptyValues &&
+      !col.patterns.isIdCandidate)
+    .sort((a, b) => a.uniqueValues - b.uniqueValues);
+
+  return {
+    recommended: groupCandidates.length > 0,
+    groupBy: groupCandidates.length > 0 ? [groupCandidates[0].name] : [],
+    measures: numericCols.map(col => ({
+      column: col.name,
+      // Rates and percentages don't add up, so average them instead of summing
+      fn: col.patterns.isPercentageCandidate || /rate|avg|average|price|ratio/i.test(col.name)
+        ? AGGREGATION_FUNCTIONS.MEAN
+        : AGGREGATION_FUNCTIONS.SUM
+    }))
+  };
+};
+
 /**
  * Generate warnings for data quality issues
  * @param {Object} columnAnalysis - Column analysis results
@@ -498,6 +558,32 @@ const generateWarnings = (columnAnalysis, data) => {
   return warnings;
 };
 
+/**
+ * Find the cells behind the column warnings: blanks in number and date
+ * columns, and values of a different type from the rest of their column
+ * @param {Array} data - Data array
+ * @param {Object} columnAnalysis - Column analysis from validateDataForCharting
+ * @returns {Map} Map of "rowIndex:column" to { type, message } ('missing-data' or 'mixed-types')
+ */
+export const findFlaggedCells = (data, columnAnalysis = {}) => {
+  const flagged = new Map();
+  const checked = Object.values(columnAnalysis).filter(col => col.isChartable);
+
+  data.forEach((row, rowIndex) => {
+    checked.forEach(col => {
+      const value = row[col.name];
+      const expected = col.typeAnalysis.primaryType;
+      if (value === null || value === undefined || value === '') {
+        flagged.set(`${rowIndex}:${col.name}`, { type: 'missing-data', message: `Missing ${expected}` });
+      } else if (getValueType(value) !== expected) {
+        flagged.set(`${rowIndex}:${col.name}`, { type: 'mixed-types', message: `Not a ${expected} like the rest of "${col.name}"` });
+      }
+    });
+  });
+
+  return flagged;
+};
+
 /**
  * Create standardized error for no numeric data
  * @param {string} filename - Filename for context
@@ -551,4 +637,82 @@ export const hasNumericData = (data) => {
 export const getChartRecommendations = (data, meta = {}) => {
   const validation = validateDataForCharting(data, meta);
   return validation.suggestions || [];
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Suggest an initial column encoding for the column mapping panel
+ * @param {Array} data - Parsed data
+ * @param {string} chartType - Chart type the encoding is for
+ * @param {Object} meta - Metadata from parser
+ * @returns {Object} Encoding with x, y, seriesBy, size and color channels
+ */
+export const suggestEncoding = (data, chartType, meta = {}) => {
+  const validation = validateDataForCharting(data, meta);
+  const columnAnalysis = validation.columnAnalysis || {};
+  const columns = Object.values(columnAnalysis);
+  const numericCols = columns
+    .filter(col => col.isChartable && col.typeAnalysis.primaryType === 'number')
+    .map(col => col.name);
+
+  // Doughnut and polar area share the pie recommendations, bar variants and radar
+  // the bar ones; scatter and bubble plot numeric against numeric
+  const recommendationType = chartType === 'doughnut' || chartType === CHART_TYPES.POLAR_AREA
+    ? 'pie'
+    : BAR_CHART_TYPES.includes(chartType) || chartType === CHART_TYPES.RADAR ? 'bar' : chartType;
+  const recommended = getRecommendedColumns(columnAnalysis, recommendationType);
+
+  // Histograms bin one column; box plots split one column by a category that repeats
+  // (and has few enough values to fit side by side)
+  if (DISTRIBUTION_CHART_TYPES.includes(chartType)) {
+    const groupColumn = chartType === CHART_TYPES.BOX_PLOT
+      ? columns.find(col => col.isCategorical && col.uniqueValues < col.nonEmptyValues && col.uniqueValues <= 20)
+      : null;
+    return {
+      x: groupColumn?.name || null,
+      y: numericCols.slice(0, 1),
+      seriesBy: null,
+      size: null,
+      color: null
+    };
+  }
+
+  if (XY_CHART_TYPES.includes(chartType)) {
+    return {
+      x: numericCols[0] || null,
+      y: numericCols.slice(1, 2),
+      seriesBy: null,
+      size: chartType === CHART_TYPES.BUBBLE ? numericCols[2] || null : null,
+      color: null
+    };
+  }
+
+  const xCandidates = recommendationType === 'pie' ? recommended.categories : recommended.xAxis;
+  const yCandidates = recommendationType === 'pie' ? recommended.values : recommended.yAxis;
+  const fallbackX = columns.find(col => col.isCategorical)?.name || null;
+
+  return {
+    x: xCandidates?.[0] || fallbackX,
+    y: (yCandidates && yCandidates.length > 0 ? yCandidates : numericCols)
+      .slice(0, recommendationType === 'pie' ? 1 : undefined),
+    seriesBy: null,
+    size: null,
+    color: null
+  };
+};
+
+/**
+ * Check whether an encoding still fits the columns of a dataset
+ * @param {Object} encoding - Encoding from the column mapping panel
+ * @param {Array} data - Data the encoding will be applied to
+ * @returns {boolean} True if every mapped column exists in the data
+ */
+export const isEncodingCompatible = (encoding, data) => {
+  if (!encoding || !data || data.length === 0) return false;
+
+  const columns = Object.keys(data[0] || {});
+  const channels = [encoding.x, encoding.seriesBy, encoding.size, encoding.color].filter(Boolean);
+
+  return encoding.y.length > 0 &&
+    encoding.y.every(col => columns.includes(col)) &&
+    channels.every(col => columns.includes(col));
+};
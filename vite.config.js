@@ -1,9 +1,24 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: [
+      // Chart.js does not export its UMD bundle; interactive embeds inline it with ?raw
+      {
+        find: /^chart\.js\/umd(\?.*)?$/,
+        replacement: `${fileURLToPath(new URL('./node_modules/chart.js/dist/chart.umd.min.js', import.meta.url))}$1`,
+      },
+      // Time-scale embeds also need the date adapter, bundled with date-fns
+      {
+        find: /^chartjs-adapter-date-fns\/bundle(\?.*)?$/,
+        replacement: `${fileURLToPath(new URL('./node_modules/chartjs-adapter-date-fns/dist/chartjs-adapter-date-fns.bundle.min.js', import.meta.url))}$1`,
+      },
+    ],
+  },
   server: {
     host: '0.0.0.0',
     port: process.env.PORT || 5173,